@@ -140,10 +140,19 @@ const ERC20_ABI = [
       { name: 'spender', type: 'address' }
     ],
     outputs: [{ name: '', type: 'uint256' }]
+  },
+  {
+    name: 'Transfer',
+    type: 'event',
+    inputs: [
+      { name: 'from', type: 'address', indexed: true },
+      { name: 'to', type: 'address', indexed: true },
+      { name: 'value', type: 'uint256', indexed: false }
+    ]
   }
 ];
 
-// PancakeSwap V2 Router ABI (for BNB price)
+// PancakeSwap V2 Router ABI (BNB price, swaps for migrated tokens)
 const PANCAKESWAP_V2_ROUTER_ABI = [
   {
     name: 'getAmountsOut',
@@ -154,15 +163,174 @@ const PANCAKESWAP_V2_ROUTER_ABI = [
       { name: 'path', type: 'address[]' }
     ],
     outputs: [{ name: 'amounts', type: 'uint256[]' }]
+  },
+  {
+    name: 'swapExactETHForTokens',
+    type: 'function',
+    stateMutability: 'payable',
+    inputs: [
+      { name: 'amountOutMin', type: 'uint256' },
+      { name: 'path', type: 'address[]' },
+      { name: 'to', type: 'address' },
+      { name: 'deadline', type: 'uint256' }
+    ],
+    outputs: [{ name: 'amounts', type: 'uint256[]' }]
+  },
+  {
+    name: 'swapExactTokensForETHSupportingFeeOnTransferTokens',
+    type: 'function',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'amountIn', type: 'uint256' },
+      { name: 'amountOutMin', type: 'uint256' },
+      { name: 'path', type: 'address[]' },
+      { name: 'to', type: 'address' },
+      { name: 'deadline', type: 'uint256' }
+    ],
+    outputs: []
+  }
+];
+
+// PancakeSwap V2 Factory ABI (pair lookup for migrated tokens)
+const PANCAKESWAP_V2_FACTORY_ABI = [
+  {
+    name: 'getPair',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [
+      { name: 'tokenA', type: 'address' },
+      { name: 'tokenB', type: 'address' }
+    ],
+    outputs: [{ name: 'pair', type: 'address' }]
+  }
+];
+
+// PancakeSwap V2 Pair ABI (reserves for spot price)
+const PANCAKESWAP_V2_PAIR_ABI = [
+  {
+    name: 'getReserves',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [],
+    outputs: [
+      { name: 'reserve0', type: 'uint112' },
+      { name: 'reserve1', type: 'uint112' },
+      { name: 'blockTimestampLast', type: 'uint32' }
+    ]
+  },
+  {
+    name: 'token0',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [],
+    outputs: [{ name: '', type: 'address' }]
+  }
+];
+
+// Token Manager events (creation is emitted by the four.meme factory/manager contract)
+const TOKEN_MANAGER_EVENTS_ABI = [
+  {
+    name: 'TokenCreate',
+    type: 'event',
+    inputs: [
+      { name: 'creator', type: 'address', indexed: false },
+      { name: 'token', type: 'address', indexed: false },
+      { name: 'requestId', type: 'uint256', indexed: false },
+      { name: 'name', type: 'string', indexed: false },
+      { name: 'symbol', type: 'string', indexed: false },
+      { name: 'totalSupply', type: 'uint256', indexed: false },
+      { name: 'launchTime', type: 'uint256', indexed: false },
+      { name: 'launchFee', type: 'uint256', indexed: false }
+    ]
+  },
+  {
+    name: 'TokenPurchase',
+    type: 'event',
+    inputs: [
+      { name: 'token', type: 'address', indexed: false },
+      { name: 'account', type: 'address', indexed: false },
+      { name: 'price', type: 'uint256', indexed: false },
+      { name: 'amount', type: 'uint256', indexed: false },
+      { name: 'cost', type: 'uint256', indexed: false },
+      { name: 'fee', type: 'uint256', indexed: false },
+      { name: 'offers', type: 'uint256', indexed: false },
+      { name: 'funds', type: 'uint256', indexed: false }
+    ]
+  },
+  {
+    name: 'TokenSale',
+    type: 'event',
+    inputs: [
+      { name: 'token', type: 'address', indexed: false },
+      { name: 'account', type: 'address', indexed: false },
+      { name: 'price', type: 'uint256', indexed: false },
+      { name: 'amount', type: 'uint256', indexed: false },
+      { name: 'cost', type: 'uint256', indexed: false },
+      { name: 'fee', type: 'uint256', indexed: false },
+      { name: 'offers', type: 'uint256', indexed: false },
+      { name: 'funds', type: 'uint256', indexed: false }
+    ]
+  }
+];
+
+// Custom errors a TokenManager buy/sell can revert with, decoded by the pre-flight simulation.
+// Error(string) and Panic(uint256) are always decoded; custom errors need their fragment here.
+// The token transfers inside a trade surface OpenZeppelin v5 ERC20 errors. The TokenManager's
+// own errors come from its verified ABI via the `transactions.errorAbiFile` setting.
+const TOKEN_MANAGER_ERRORS_ABI = [
+  {
+    name: 'ERC20InsufficientBalance',
+    type: 'error',
+    inputs: [
+      { name: 'sender', type: 'address' },
+      { name: 'balance', type: 'uint256' },
+      { name: 'needed', type: 'uint256' }
+    ]
+  },
+  {
+    name: 'ERC20InsufficientAllowance',
+    type: 'error',
+    inputs: [
+      { name: 'spender', type: 'address' },
+      { name: 'allowance', type: 'uint256' },
+      { name: 'needed', type: 'uint256' }
+    ]
+  },
+  {
+    name: 'ERC20InvalidSender',
+    type: 'error',
+    inputs: [{ name: 'sender', type: 'address' }]
+  },
+  {
+    name: 'ERC20InvalidReceiver',
+    type: 'error',
+    inputs: [{ name: 'receiver', type: 'address' }]
+  }
+];
+
+// WBNB events (the router unwraps a sell's output with withdraw(); its wad is the BNB paid out)
+const WBNB_EVENTS_ABI = [
+  {
+    name: 'Withdrawal',
+    type: 'event',
+    inputs: [
+      { name: 'src', type: 'address', indexed: true },
+      { name: 'wad', type: 'uint256', indexed: false }
+    ]
   }
 ];
 
 module.exports = {
   TOKEN_MANAGER_HELPER_ABI,
+  TOKEN_MANAGER_EVENTS_ABI,
   TOKEN_MANAGER_V1_ABI,
   TOKEN_MANAGER_V2_ABI,
   ERC20_ABI,
-  PANCAKESWAP_V2_ROUTER_ABI
+  PANCAKESWAP_V2_ROUTER_ABI,
+  PANCAKESWAP_V2_FACTORY_ABI,
+  PANCAKESWAP_V2_PAIR_ABI,
+  WBNB_EVENTS_ABI,
+  TOKEN_MANAGER_ERRORS_ABI
 };
 
 
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./config');
+const { loadPatterns } = require('./patternDetection');
+const { readHistory, runBacktest, DEFAULT_FILL_MODEL } = require('./backtestEngine');
+
+function readOption(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 && index + 1 < args.length ? args[index + 1] : undefined;
+}
+
+function readNumberOption(args, name, fallback) {
+  const value = readOption(args, name);
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    console.error(`❌ ${name} must be a non-negative number`);
+    process.exit(1);
+  }
+  return number;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log('Usage: node backtest.js [options]');
+    console.log('  --from YYYY-MM-DD     First history day to replay');
+    console.log('  --to YYYY-MM-DD       Last history day to replay');
+    console.log('  --dir <path>          History directory (default: history.dir from config, else data/history)');
+    console.log('  --patterns <file>     Patterns file (default: patterns.json)');
+    console.log(`  --fee <percent>       Trading fee per side (default: ${DEFAULT_FILL_MODEL.feePercent})`);
+    console.log(`  --slippage <percent>  Adverse slippage per fill (default: ${DEFAULT_FILL_MODEL.slippagePercent})`);
+    console.log(`  --gas <bnb>           Gas cost per transaction (default: ${DEFAULT_FILL_MODEL.gasBNB})`);
+    console.log(`  --latency-ms <ms>     Decision to fill delay (default: ${DEFAULT_FILL_MODEL.latencyMs})`);
+    console.log('  --out <file>          Write the full results (with every trade) as JSON');
+    process.exit(0);
+  }
+
+  const config = loadConfig();
+  const patternsFile = readOption(args, '--patterns');
+  let patterns;
+  if (patternsFile) {
+    try {
+      patterns = JSON.parse(fs.readFileSync(path.resolve(patternsFile), 'utf8')).patterns.filter(p => p.enabled);
+    } catch (error) {
+      console.error(`❌ Error loading ${patternsFile}:`, error.message);
+      process.exit(1);
+    }
+  } else {
+    patterns = loadPatterns();
+  }
+  if (patterns.length === 0) {
+    console.error('❌ No enabled patterns to backtest');
+    process.exit(1);
+  }
+
+  const dirOption = readOption(args, '--dir');
+  const dir = dirOption ? path.resolve(dirOption) : (config.history && config.history.dir);
+  const from = readOption(args, '--from');
+  const to = readOption(args, '--to');
+  const fillModel = {
+    feePercent: readNumberOption(args, '--fee', DEFAULT_FILL_MODEL.feePercent),
+    slippagePercent: readNumberOption(args, '--slippage', DEFAULT_FILL_MODEL.slippagePercent),
+    gasBNB: readNumberOption(args, '--gas', DEFAULT_FILL_MODEL.gasBNB),
+    latencyMs: readNumberOption(args, '--latency-ms', DEFAULT_FILL_MODEL.latencyMs)
+  };
+
+  // Streamed from disk: memory follows the tokens being monitored, not the size of the history
+  console.log(`\n📼 Replaying history against ${patterns.length} patterns...`);
+  const results = runBacktest(readHistory({ dir, from, to }), { patterns, config, fillModel });
+  if (results.records === 0) {
+    console.error('❌ No price history found for the selected range');
+    process.exit(1);
+  }
+
+  console.log(`   Records: ${results.records}`);
+  console.log(`   Period: ${results.from} → ${results.to} (${results.hours.toFixed(1)}h)`);
+  console.log(`   Fills: ${fillModel.feePercent}% fee, ${fillModel.slippagePercent}% slippage, ${fillModel.gasBNB} BNB gas, ${fillModel.latencyMs}ms latency`);
+  const rows = [...Object.entries(results.patterns), ['TOTAL', results.total]];
+  for (const [name, stats] of rows) {
+    console.log(`\n📊 ${name}`);
+    console.log(`   Tokens matched: ${stats.tokensMatched}`);
+    console.log(`   Trades: ${stats.trades} (${stats.winRatePercent.toFixed(1)}% wins, ${stats.tradesPerHour.toFixed(2)}/h)`);
+    console.log(`   P&L: ${stats.totalPnlBNB.toFixed(6)} BNB total, ${stats.avgPnlBNB.toFixed(6)} BNB avg`);
+    console.log(`   Max drawdown: ${stats.maxDrawdownBNB.toFixed(6)} BNB`);
+    console.log(`   Costs: ${stats.feesBNB.toFixed(6)} BNB fees, ${stats.gasBNB.toFixed(6)} BNB gas`);
+    const reasons = Object.entries(stats.exitReasons).map(([reason, count]) => `${reason}=${count}`).join(', ');
+    if (reasons) console.log(`   Exits: ${reasons}`);
+  }
+
+  const out = readOption(args, '--out');
+  if (out) {
+    fs.writeFileSync(path.resolve(out), JSON.stringify(results, null, 2));
+    console.log(`\n💾 Results written to ${out}`);
+  }
+}
+
+main();
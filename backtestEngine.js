@@ -0,0 +1,506 @@
+const fs = require('fs');
+const { matchPattern } = require('./patternDetection');
+const { shouldBuy, shouldSell, applyCurveState } = require('./tradingLogic');
+const { PriceHistory } = require('./priceHistory');
+
+/**
+ * Offline replay of recorded token histories through the live trading logic
+ *
+ * Creations from the price history go through matchPattern(), and each price tick drives
+ * shouldBuy()/shouldSell() on a simulated clock (the tick's timestamp). Token state is
+ * updated the way updateTokenPrice() does it. Orders fill at the first tick of that token
+ * at or after decision time + latencyMs, with the trading fee, an adverse slippage and gas
+ * per transaction applied. Results are reported per pattern.
+ */
+
+const DEFAULT_FILL_MODEL = {
+  feePercent: 1, // four.meme trading fee, charged on both sides
+  slippagePercent: 1, // Adverse price move applied to every fill
+  gasBNB: 0.0002, // Gas per buy or sell transaction
+  latencyMs: 1500 // Decision to fill delay
+};
+
+const READ_CHUNK_BYTES = 1024 * 1024;
+const DEFAULT_REORDER_WINDOW_MS = 10 * 60 * 1000;
+
+/**
+ * Lines of a file, read in fixed-size chunks
+ */
+function* readLines(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(READ_CHUNK_BYTES);
+    let rest = '';
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      const lines = (rest + buffer.toString('utf8', 0, bytesRead)).split('\n');
+      rest = lines.pop();
+      yield* lines;
+    }
+    if (rest) yield rest;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Min-heap of records by time; ties keep read order
+ */
+class RecordHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  before(a, b) {
+    return a.record.t < b.record.t || (a.record.t === b.record.t && a.seq < b.seq);
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.before(items[i], items[parent])) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.before(items[left], items[smallest])) smallest = left;
+        if (right < items.length && this.before(items[right], items[smallest])) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Stream history records (optionally only files of days from..to, YYYY-MM-DD) in time order
+ *
+ * Files are read one after another, line by line. Lines land in a file in flush order, so a
+ * creation stamped with its block time can follow samples taken after it; records are held
+ * for `reorderWindowMs` past the newest timestamp read and released in time order, which
+ * keeps memory bounded by the records of that window.
+ */
+function* readHistory({ dir, from, to, reorderWindowMs = DEFAULT_REORDER_WINDOW_MS } = {}) {
+  const history = new PriceHistory({ dir });
+  const pending = new RecordHeap();
+  let newest = -Infinity;
+  let seq = 0;
+  for (const file of history.listFiles()) {
+    if ((from && file.day < from) || (to && file.day > to)) continue;
+    for (const line of readLines(file.path)) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (_) {
+        // A crash mid-write can leave a truncated last line behind
+        continue;
+      }
+      pending.push({ record, seq: seq++ });
+      newest = Math.max(newest, record.t);
+      while (pending.size > 0 && pending.peek().record.t <= newest - reorderWindowMs) {
+        yield pending.pop().record;
+      }
+    }
+  }
+  while (pending.size > 0) {
+    yield pending.pop().record;
+  }
+}
+
+/**
+ * Collect history records in time order. With `patterns`, only creations one of them matches
+ * and the price samples of those tokens are kept, so memory follows the matched tokens rather
+ * than the whole history.
+ */
+function loadHistory({ dir, from, to, patterns, reorderWindowMs } = {}) {
+  const matched = patterns ? new Set() : null;
+  const records = [];
+  for (const record of readHistory({ dir, from, to, reorderWindowMs })) {
+    if (matched) {
+      const tokenAddress = String(record.token).toLowerCase();
+      if (record.type === 'create') {
+        if (!matchPattern({ tokenAddress, gasPriceGwei: record.gasPriceGwei, gasLimit: record.gasLimit }, patterns)) continue;
+        matched.add(tokenAddress);
+      } else if (!matched.has(tokenAddress)) {
+        continue;
+      }
+    }
+    records.push(record);
+  }
+  return records;
+}
+
+function emptyPatternStats() {
+  return { tokensMatched: 0, trades: 0, wins: 0, totalPnlBNB: 0, feesBNB: 0, gasBNB: 0, equityBNB: 0, peakEquityBNB: 0, maxDrawdownBNB: 0, exitReasons: {} };
+}
+
+class BacktestEngine {
+  constructor({ patterns, config = {}, fillModel = {} }) {
+    this.patterns = patterns;
+    this.config = { ...config, trading: config.trading || {}, monitoring: config.monitoring || {} };
+    this.fillModel = { ...DEFAULT_FILL_MODEL, ...fillModel };
+    this.tokens = new Map(); // token -> simulated monitored token
+    this.finished = new Set(); // tokens traded out or dropped from monitoring
+    this.stats = new Map(); // pattern name -> stats
+    this.trades = [];
+    this.firstAt = null;
+    this.lastAt = null;
+    this.recordCount = 0;
+  }
+
+  run(records) {
+    for (const record of records) {
+      this.processRecord(record);
+    }
+    return this.finish();
+  }
+
+  processRecord(record) {
+    // A record later than the reorder window comes out of order; keep the period's bounds
+    this.firstAt = Math.min(this.firstAt ?? record.t, record.t);
+    this.lastAt = Math.max(this.lastAt ?? record.t, record.t);
+    this.recordCount++;
+    if (record.type === 'create') {
+      this.onCreate(record);
+    } else if (record.type === 'price') {
+      this.onPrice(record);
+    }
+  }
+
+  statsFor(patternName) {
+    if (!this.stats.has(patternName)) {
+      this.stats.set(patternName, emptyPatternStats());
+    }
+    return this.stats.get(patternName);
+  }
+
+  onCreate(record) {
+    const tokenAddress = String(record.token).toLowerCase();
+    if (this.tokens.has(tokenAddress) || this.finished.has(tokenAddress)) return;
+
+    const pattern = matchPattern({ tokenAddress, gasPriceGwei: record.gasPriceGwei, gasLimit: record.gasLimit }, this.patterns);
+    if (!pattern) return;
+    const maxConcurrentTokens = Number(this.config.monitoring.maxConcurrentTokens ?? 200);
+    if (this.tokens.size >= maxConcurrentTokens) return;
+
+    const creationTime = new Date(record.t);
+    this.tokens.set(tokenAddress, {
+      tokenAddress,
+      matchedPattern: pattern,
+      creationTime,
+      launchTime: creationTime, // Not in the history; creation is close enough
+      lastPriceUpdate: creationTime,
+      lastPriceChange: creationTime,
+      currentPriceUSD: 0,
+      currentPriceBNB: 0,
+      previousPriceUSD: 0,
+      priceChangePercent: 0,
+      positionOpen: false,
+      lastSellPriceUSD: 0,
+      peakPriceSinceLastSell: 0,
+      tradeCount: 0,
+      tradeCycle: 0,
+      buyPriceUSD: 0,
+      hasSoldHalf: false,
+      hasBeenTraded: false,
+      lastSellAttemptAt: null,
+      lowPriceSince: null,
+      pendingOrder: null,
+      position: null // { tokens, costBNB, realizedBNB, openedAt }
+    });
+    this.statsFor(pattern.name).tokensMatched++;
+  }
+
+  onPrice(record) {
+    const token = this.tokens.get(String(record.token).toLowerCase());
+    if (!token || !(record.priceUSD > 0) || !(record.priceBNB > 0)) return;
+    const now = new Date(record.t);
+
+    // Same state updates as updateTokenPrice()
+    const previousPriceUSD = token.currentPriceUSD;
+    const priceChangePercent = previousPriceUSD > 0 ? ((record.priceUSD - previousPriceUSD) / previousPriceUSD) * 100 : 0;
+    token.previousPriceUSD = previousPriceUSD;
+    token.currentPriceUSD = record.priceUSD;
+    token.currentPriceBNB = record.priceBNB;
+    token.priceChangePercent = priceChangePercent;
+    if (record.fundsBNB !== null && record.fundsBNB !== undefined) {
+      applyCurveState(token, { progressPercent: record.progress, fundsRaisedBNB: record.fundsBNB }, now,
+        Number(this.config.monitoring.curveInflowWindowSeconds ?? 60));
+    }
+    const priceChangeThreshold = Number(this.config.monitoring.priceChangeThreshold ?? 0.000001);
+    if (Math.abs(priceChangePercent) > priceChangeThreshold) {
+      token.lastPriceChange = now;
+      token.lastPriceUpdate = now;
+    }
+
+    if (token.pendingOrder && record.t >= token.pendingOrder.fillAt) {
+      const order = token.pendingOrder;
+      token.pendingOrder = null;
+      if (order.side === 'buy') {
+        this.fillBuy(token, record, now);
+      } else {
+        this.fillSell(token, record, now, order);
+      }
+    }
+    if (!this.tokens.has(token.tokenAddress)) return;
+
+    if (!token.pendingOrder) {
+      this.checkTradingOpportunities(token, record, now);
+    }
+    if (this.tokens.has(token.tokenAddress)) {
+      this.checkTokenRemoval(token, record, now);
+    }
+  }
+
+  /**
+   * Same decision order as the service's checkTradingOpportunities()
+   */
+  checkTradingOpportunities(token, record, now) {
+    const pattern = token.matchedPattern;
+    if (shouldBuy(token, pattern, this.config, now)) {
+      this.placeOrder(token, record, now, { side: 'buy' });
+      return;
+    }
+
+    const sellDecision = shouldSell(token, pattern, this.config, now);
+    if (sellDecision && sellDecision.shouldSell) {
+      const cooldownMs = Math.max(0, Number(this.config.trading.sellCooldownSeconds || 0) * 1000);
+      if (cooldownMs > 0 && token.lastSellAttemptAt && now.getTime() - token.lastSellAttemptAt.getTime() < cooldownMs) {
+        return;
+      }
+      token.lastSellAttemptAt = now;
+      this.placeOrder(token, record, now, { side: 'sell', amountMode: sellDecision.amountMode, reason: sellDecision.reason });
+    }
+  }
+
+  placeOrder(token, record, now, order) {
+    const latencyMs = Math.max(0, Number(this.fillModel.latencyMs) || 0);
+    token.pendingOrder = { ...order, fillAt: record.t + latencyMs };
+    if (latencyMs === 0) {
+      token.pendingOrder = null;
+      if (order.side === 'buy') {
+        this.fillBuy(token, record, now);
+      } else {
+        this.fillSell(token, record, now, order);
+      }
+    }
+  }
+
+  fillBuy(token, record, now) {
+    const { feePercent, slippagePercent, gasBNB } = this.fillModel;
+    const stats = this.statsFor(token.matchedPattern.name);
+    const spendBNB = Number(token.matchedPattern.trading.buyAmount ?? this.config.trading.buyAmountBNB ?? 0.001);
+    const feeBNB = spendBNB * feePercent / 100;
+    const fillPriceBNB = record.priceBNB * (1 + slippagePercent / 100);
+
+    token.position = { tokens: (spendBNB - feeBNB) / fillPriceBNB, costBNB: spendBNB + gasBNB, realizedBNB: 0, openedAt: record.t };
+    stats.feesBNB += feeBNB;
+    stats.gasBNB += gasBNB;
+
+    token.positionOpen = true;
+    token.hasBeenTraded = true;
+    token.buyPriceUSD = record.priceUSD;
+    token.peakPriceSinceLastSell = token.buyPriceUSD;
+    token.hasSoldHalf = false;
+    token.buyTime = now;
+  }
+
+  fillSell(token, record, now, { amountMode = 'all', reason }) {
+    const position = token.position;
+    if (!position || position.tokens <= 0) return;
+    const { feePercent, slippagePercent, gasBNB } = this.fillModel;
+    const stats = this.statsFor(token.matchedPattern.name);
+
+    const tokens = amountMode === 'half' ? position.tokens / 2 : position.tokens;
+    const grossBNB = tokens * record.priceBNB * (1 - slippagePercent / 100);
+    const feeBNB = grossBNB * feePercent / 100;
+    const costPartBNB = position.costBNB * (tokens / position.tokens);
+    position.realizedBNB += grossBNB - feeBNB - gasBNB - costPartBNB;
+    position.tokens -= tokens;
+    position.costBNB -= costPartBNB;
+    stats.feesBNB += feeBNB;
+    stats.gasBNB += gasBNB;
+    token.sellPriceUSD = record.priceUSD;
+
+    if (amountMode === 'half') {
+      token.partialSellAtUSD = record.priceUSD;
+      token.hasSoldHalf = true;
+      return;
+    }
+    this.closeTrade(token, record.t, reason);
+    token.lastSellPriceUSD = record.priceUSD;
+
+    // Re-entry handling as in executeSell()
+    const maxTradesPerToken = Number(this.config.trading.maxTradesPerCycle ?? 2);
+    const currentTradeCount = Number(token.tradeCount || 0);
+    if (this.config.trading.reentryEnabled && currentTradeCount + 1 < maxTradesPerToken) {
+      token.lastSellTime = now;
+      token.tradeCount = currentTradeCount + 1;
+      token.tradeCycle = (token.tradeCycle || 0) + 1;
+      token.hasCompletedFirstCycle = true;
+      token.hasBeenTraded = false;
+      token.buyPriceUSD = 0;
+      token.peakPriceSinceLastSell = 0;
+      token.hasSoldHalf = false;
+    } else {
+      this.removeToken(token);
+    }
+  }
+
+  /**
+   * Book the round trip of a token's position and update the pattern's equity curve
+   */
+  closeTrade(token, at, reason) {
+    const position = token.position;
+    const stats = this.statsFor(token.matchedPattern.name);
+    stats.trades++;
+    if (position.realizedBNB > 0) stats.wins++;
+    stats.totalPnlBNB += position.realizedBNB;
+    stats.exitReasons[reason] = (stats.exitReasons[reason] || 0) + 1;
+    stats.equityBNB += position.realizedBNB;
+    stats.peakEquityBNB = Math.max(stats.peakEquityBNB, stats.equityBNB);
+    stats.maxDrawdownBNB = Math.max(stats.maxDrawdownBNB, stats.peakEquityBNB - stats.equityBNB);
+
+    this.trades.push({
+      pattern: token.matchedPattern.name,
+      token: token.tokenAddress,
+      openedAt: new Date(position.openedAt).toISOString(),
+      closedAt: new Date(at).toISOString(),
+      pnlBNB: position.realizedBNB,
+      reason
+    });
+    token.position = null;
+    token.positionOpen = false;
+  }
+
+  /**
+   * Inactivity and low-price removal as in checkTokenRemoval(); a position still open is closed at the tick's price
+   */
+  checkTokenRemoval(token, record, now) {
+    const inactiveMinutes = (now.getTime() - token.lastPriceUpdate.getTime()) / 60000;
+    if (inactiveMinutes >= Number(this.config.monitoring.inactiveTimeoutMinutes ?? 30)) {
+      this.dropToken(token, record, 'removed_inactive');
+      return;
+    }
+
+    const lowPrice = this.config.monitoring.lowPriceRemovalUSD;
+    const lowMinutes = this.config.monitoring.lowPriceRemovalMinutes;
+    if (typeof lowPrice === 'number' && typeof lowMinutes === 'number' && lowMinutes > 0) {
+      if (token.currentPriceUSD <= lowPrice) {
+        if (!token.lowPriceSince) token.lowPriceSince = now;
+        if ((now.getTime() - token.lowPriceSince.getTime()) / 60000 >= lowMinutes) {
+          this.dropToken(token, record, 'removed_low_price');
+        }
+      } else {
+        token.lowPriceSince = null;
+      }
+    }
+  }
+
+  dropToken(token, record, reason) {
+    if (token.position) {
+      this.fillSell(token, record, new Date(record.t), { amountMode: 'all', reason });
+    }
+    this.removeToken(token);
+  }
+
+  removeToken(token) {
+    this.tokens.delete(token.tokenAddress);
+    this.finished.add(token.tokenAddress);
+  }
+
+  /**
+   * Close what is still open at its last price and summarize per pattern
+   */
+  finish() {
+    for (const token of Array.from(this.tokens.values())) {
+      if (token.position && token.currentPriceBNB > 0) {
+        this.fillSell(token, { t: this.lastAt, priceBNB: token.currentPriceBNB, priceUSD: token.currentPriceUSD }, new Date(this.lastAt), { amountMode: 'all', reason: 'end_of_data' });
+      }
+    }
+
+    const hours = this.firstAt !== null ? Math.max((this.lastAt - this.firstAt) / 3600000, 1 / 60) : 0;
+    const summarize = stats => ({
+      tokensMatched: stats.tokensMatched,
+      trades: stats.trades,
+      wins: stats.wins,
+      winRatePercent: stats.trades > 0 ? (stats.wins / stats.trades) * 100 : 0,
+      totalPnlBNB: stats.totalPnlBNB,
+      avgPnlBNB: stats.trades > 0 ? stats.totalPnlBNB / stats.trades : 0,
+      maxDrawdownBNB: stats.maxDrawdownBNB,
+      tradesPerHour: hours > 0 ? stats.trades / hours : 0,
+      feesBNB: stats.feesBNB,
+      gasBNB: stats.gasBNB,
+      exitReasons: stats.exitReasons
+    });
+
+    const patterns = {};
+    for (const [name, stats] of this.stats) {
+      patterns[name] = summarize(stats);
+    }
+
+    // Portfolio view: all patterns' trades in close order
+    const total = emptyPatternStats();
+    for (const stats of this.stats.values()) {
+      total.tokensMatched += stats.tokensMatched;
+      total.feesBNB += stats.feesBNB;
+      total.gasBNB += stats.gasBNB;
+    }
+    for (const trade of [...this.trades].sort((a, b) => (a.closedAt < b.closedAt ? -1 : 1))) {
+      total.trades++;
+      if (trade.pnlBNB > 0) total.wins++;
+      total.totalPnlBNB += trade.pnlBNB;
+      total.exitReasons[trade.reason] = (total.exitReasons[trade.reason] || 0) + 1;
+      total.equityBNB += trade.pnlBNB;
+      total.peakEquityBNB = Math.max(total.peakEquityBNB, total.equityBNB);
+      total.maxDrawdownBNB = Math.max(total.maxDrawdownBNB, total.peakEquityBNB - total.equityBNB);
+    }
+
+    return {
+      from: this.firstAt !== null ? new Date(this.firstAt).toISOString() : null,
+      to: this.lastAt !== null ? new Date(this.lastAt).toISOString() : null,
+      hours,
+      records: this.recordCount,
+      fillModel: this.fillModel,
+      patterns,
+      total: summarize(total),
+      trades: this.trades
+    };
+  }
+}
+
+/**
+ * Replay records (an array or any iterable, such as readHistory()) with a fresh engine (patterns are deep-copied so runs don't share state)
+ */
+function runBacktest(records, { patterns, config, fillModel } = {}) {
+  const engine = new BacktestEngine({ patterns: JSON.parse(JSON.stringify(patterns || [])), config, fillModel });
+  return engine.run(records);
+}
+
+module.exports = { BacktestEngine, runBacktest, readHistory, loadHistory, DEFAULT_FILL_MODEL };
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readHistory, loadHistory } = require('./backtestEngine');
+
+const MINUTE = 60000;
+const START = Date.parse('2024-06-01T23:50:00Z');
+
+function writeHistory(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, records] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), records.map(record => (typeof record === 'string' ? record : JSON.stringify(record))).join('\n') + '\n');
+  }
+  return dir;
+}
+
+function price(token, minutes) {
+  return { type: 'price', t: START + minutes * MINUTE, token, priceBNB: 1e-6, priceUSD: 6e-4 };
+}
+
+test('history is streamed across files in time order, including late-flushed creations', t => {
+  const dir = writeHistory(t, {
+    'prices-2024-06-01.ndjson': [price('0xa', 0), price('0xa', 1)],
+    // Rolled over by size; the creation is stamped with its block time, a minute before the line above it
+    'prices-2024-06-01.1.ndjson': [price('0xa', 2), { type: 'create', t: START + 1.5 * MINUTE, token: '0xb', gasPriceGwei: 5, gasLimit: 1000000 }, '{"type":"price","t":'],
+    'prices-2024-06-02.ndjson': [price('0xb', 11), price('0xa', 12)]
+  });
+
+  const times = Array.from(readHistory({ dir }), record => (record.t - START) / MINUTE);
+  assert.deepStrictEqual(times, [0, 1, 1.5, 2, 11, 12]);
+
+  assert.deepStrictEqual(Array.from(readHistory({ dir, from: '2024-06-02' }), record => record.token), ['0xb', '0xa']);
+});
+
+test('loadHistory with patterns keeps only the matched tokens', t => {
+  const dir = writeHistory(t, {
+    'prices-2024-06-01.ndjson': [
+      { type: 'create', t: START, token: '0xA', gasPriceGwei: 5, gasLimit: 1000000 },
+      { type: 'create', t: START, token: '0xb', gasPriceGwei: 50, gasLimit: 1000000 },
+      price('0xa', 1),
+      price('0xb', 1)
+    ]
+  });
+  const patterns = [{ name: 'low', enabled: true, gasPrice: { min: 1, max: 10 }, gasLimit: { min: 0, max: 2000000 } }];
+
+  const records = loadHistory({ dir, patterns });
+  assert.deepStrictEqual(records.map(record => [record.type, record.token]), [['create', '0xA'], ['price', '0xa']]);
+  assert.strictEqual(loadHistory({ dir }).length, 4);
+});
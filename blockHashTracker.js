@@ -0,0 +1,71 @@
+/**
+ * Rolling window of recently scanned block hashes used for reorg detection
+ *
+ * The scanner records the hash of every block it finishes. Before scanning the next
+ * range it compares that block's parentHash with the recorded hash; on a mismatch it
+ * walks the recorded entries backwards to find the last block still canonical. The hashes
+ * are saved with the scan cursor, so the check also covers blocks scanned before a restart.
+ */
+
+class BlockHashTracker {
+  constructor(maxDepth = 64) {
+    this.maxDepth = Math.max(2, Number(maxDepth) || 64);
+    this.hashes = new Map(); // blockNumber -> hash
+  }
+
+  record(blockNumber, hash) {
+    const number = Number(blockNumber);
+    this.hashes.set(number, hash);
+    // Drop entries that fell out of the tracking window
+    const oldestAllowed = number - this.maxDepth;
+    for (const tracked of this.hashes.keys()) {
+      if (tracked <= oldestAllowed) this.hashes.delete(tracked);
+    }
+  }
+
+  get(blockNumber) {
+    return this.hashes.get(Number(blockNumber));
+  }
+
+  /**
+   * Tracked block numbers, newest first
+   */
+  numbersDescending() {
+    return Array.from(this.hashes.keys()).sort((a, b) => b - a);
+  }
+
+  oldest() {
+    const numbers = this.numbersDescending();
+    return numbers.length ? numbers[numbers.length - 1] : null;
+  }
+
+  /**
+   * Forget every block above the given (canonical) ancestor
+   */
+  rollbackTo(blockNumber) {
+    for (const tracked of Array.from(this.hashes.keys())) {
+      if (tracked > blockNumber) this.hashes.delete(tracked);
+    }
+  }
+
+  clear() {
+    this.hashes.clear();
+  }
+
+  /**
+   * Plain { blockNumber: hash } object for the state journal
+   */
+  snapshot() {
+    return Object.fromEntries(this.hashes);
+  }
+
+  restore(snapshot) {
+    this.clear();
+    const numbers = Object.keys(snapshot || {}).map(Number).filter(Number.isFinite).sort((a, b) => a - b);
+    for (const number of numbers) {
+      this.record(number, snapshot[number]);
+    }
+  }
+}
+
+module.exports = { BlockHashTracker };
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BlockHashTracker } = require('./blockHashTracker');
+
+test('only the last maxDepth blocks are tracked', () => {
+  const tracker = new BlockHashTracker(3);
+  for (let block = 100; block <= 105; block++) {
+    tracker.record(block, `0x${block}`);
+  }
+  assert.deepStrictEqual(tracker.numbersDescending(), [105, 104, 103]);
+  assert.strictEqual(tracker.oldest(), 103);
+  assert.strictEqual(tracker.get(102), undefined);
+  assert.strictEqual(tracker.get('105'), '0x105');
+});
+
+test('rollbackTo forgets the blocks above the common ancestor', () => {
+  const tracker = new BlockHashTracker(64);
+  for (let block = 100; block <= 105; block++) {
+    tracker.record(block, `0x${block}`);
+  }
+  tracker.rollbackTo(102);
+  assert.deepStrictEqual(tracker.numbersDescending(), [102, 101, 100]);
+
+  // Re-scanned blocks on the new branch replace the old hashes
+  tracker.record(103, '0x103b');
+  assert.strictEqual(tracker.get(103), '0x103b');
+});
+
+test('a snapshot restores into a tracker with a smaller window', () => {
+  const tracker = new BlockHashTracker(64);
+  for (let block = 100; block <= 105; block++) {
+    tracker.record(block, `0x${block}`);
+  }
+  const snapshot = JSON.parse(JSON.stringify(tracker.snapshot()));
+
+  const restored = new BlockHashTracker(3);
+  restored.restore(snapshot);
+  assert.deepStrictEqual(restored.numbersDescending(), [105, 104, 103]);
+  assert.strictEqual(restored.get(104), '0x104');
+  restored.restore(undefined);
+  assert.strictEqual(restored.oldest(), null);
+});
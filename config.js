@@ -10,9 +10,29 @@ function loadConfig() {
   return {};
 }
 
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Defaults with the loaded config laid over them, section by section, so keys added in
+ * newer versions are present on installs whose config file predates them. Arrays and
+ * scalars from the file replace the default as a whole.
+ */
+function mergeConfig(defaults, loaded) {
+  if (!isPlainObject(defaults) || !isPlainObject(loaded)) {
+    return loaded === undefined ? defaults : loaded;
+  }
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(loaded)) {
+    merged[key] = mergeConfig(defaults[key], value);
+  }
+  return merged;
+}
+
 function saveConfig(config) {
   const configPath = path.join(__dirname, 'price-trading-config.json');
   fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
 }
 
-module.exports = { loadConfig, saveConfig };
+module.exports = { loadConfig, saveConfig, mergeConfig };
@@ -0,0 +1,87 @@
+/**
+ * Per-action gas pricing and gas limits
+ *
+ * Each action (snipe, buy, sell, stopLossSell, emergencySell, approve) has a profile:
+ *   { mode: 'multiplier', multiplier: 1.2, maxGwei: 5 }   node gas price x multiplier
+ *   { mode: 'fixed', gwei: 3, maxGwei: 5 }                a fixed price
+ *   { mode: 'creator', multiplier: 1, maxGwei: 10 }       the token creator's gas price x multiplier
+ * The profile's price is capped at its maxGwei. Retry and emergency multipliers apply after
+ * that cap, so every escalation really raises the price (a replacement priced like the
+ * transaction it replaces is rejected as underpriced); escalated prices are bounded by
+ * `maxEscalatedGwei` instead: an escalation over it is clamped to that ceiling, with a
+ * warning, since it may then equal the previous attempt's price. Gas limits come from estimateGas plus
+ * `estimateBufferPercent`, or `fallbackGasLimit` when estimation fails.
+ */
+
+const DEFAULT_PROFILE = { mode: 'multiplier', multiplier: 1, maxGwei: 10 };
+const DEFAULT_MAX_ESCALATED_GWEI = 30;
+
+function gweiToWei(gwei) {
+  return BigInt(Math.round(Number(gwei) * 1e9));
+}
+
+function scale(wei, multiplier) {
+  return (wei * BigInt(Math.round(Number(multiplier) * 1000))) / 1000n;
+}
+
+class GasPolicy {
+  constructor({ getConfig, getBaseGasPrice, estimateGas }) {
+    this.getConfig = getConfig; // Read on every use so config updates apply live
+    this.getBaseGasPrice = getBaseGasPrice; // () -> Promise<bigint> (node gas price)
+    this.estimateGas = estimateGas; // (request) -> Promise<bigint>
+  }
+
+  getProfile(action) {
+    const profiles = (this.getConfig() || {}).profiles || {};
+    return { ...DEFAULT_PROFILE, ...(profiles[action] || {}) };
+  }
+
+  /**
+   * Gas price for an action; `multiplier` stacks on top of the capped price (retries,
+   * emergency escalation), clamped to maxEscalatedGwei.
+   */
+  async getGasPrice(action, { creatorGasPriceGwei, multiplier = 1 } = {}) {
+    const profile = this.getProfile(action);
+    let gasPrice;
+    if (profile.mode === 'fixed' && Number(profile.gwei) > 0) {
+      gasPrice = gweiToWei(profile.gwei);
+    } else if (profile.mode === 'creator' && Number(creatorGasPriceGwei) > 0) {
+      gasPrice = scale(gweiToWei(creatorGasPriceGwei), profile.multiplier ?? 1);
+    } else {
+      // 'multiplier', or 'creator' without a known creator gas price
+      gasPrice = scale(await this.getBaseGasPrice(), profile.multiplier ?? 1);
+    }
+
+    const maxGwei = Number(profile.maxGwei);
+    if (maxGwei > 0 && gasPrice > gweiToWei(maxGwei)) {
+      gasPrice = gweiToWei(maxGwei);
+    }
+
+    if (multiplier !== 1) {
+      gasPrice = scale(gasPrice, multiplier);
+      const maxEscalatedGwei = Number((this.getConfig() || {}).maxEscalatedGwei ?? DEFAULT_MAX_ESCALATED_GWEI);
+      if (maxEscalatedGwei > 0 && gasPrice > gweiToWei(maxEscalatedGwei)) {
+        console.log(`⚠️ ${action} gas price x${multiplier} is ${Number(gasPrice) / 1e9} gwei, clamped to maxEscalatedGwei ${maxEscalatedGwei}`);
+        gasPrice = gweiToWei(maxEscalatedGwei);
+      }
+    }
+    return gasPrice;
+  }
+
+  /**
+   * estimateGas + buffer; falls back to a fixed limit (e.g. a sell whose approve is still pending)
+   */
+  async getGasLimit(request, fallbackGasLimit) {
+    const config = this.getConfig() || {};
+    const fallback = BigInt(fallbackGasLimit ?? config.fallbackGasLimit ?? 500000);
+    const bufferPercent = Math.max(0, Number(config.estimateBufferPercent ?? 20));
+    try {
+      const estimate = await this.estimateGas(request);
+      return (estimate * BigInt(Math.round(100 + bufferPercent))) / 100n;
+    } catch (error) {
+      return fallback;
+    }
+  }
+}
+
+module.exports = { GasPolicy };
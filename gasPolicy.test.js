@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { GasPolicy } = require('./gasPolicy');
+
+const GWEI = 1000000000n;
+
+function createPolicy(config, baseGwei = 4n) {
+  return new GasPolicy({
+    getConfig: () => config,
+    getBaseGasPrice: async () => baseGwei * GWEI,
+    estimateGas: async () => 100000n
+  });
+}
+
+test('escalations apply on top of the profile cap, so each retry pays more', async () => {
+  const policy = createPolicy({ profiles: { sell: { mode: 'multiplier', multiplier: 2, maxGwei: 5 } } });
+
+  assert.strictEqual(await policy.getGasPrice('sell'), 5n * GWEI);
+  const first = await policy.getGasPrice('sell', { multiplier: 1.25 });
+  const second = await policy.getGasPrice('sell', { multiplier: 1.5 });
+  assert.strictEqual(first, 6250000000n);
+  assert.ok(second * 100n >= first * 110n, 'a replacement must be priced at least 10% higher');
+});
+
+test('an escalation over maxEscalatedGwei is clamped to it', async () => {
+  const policy = createPolicy({ maxEscalatedGwei: 12, profiles: { emergencySell: { maxGwei: 5 } } });
+
+  assert.strictEqual(await policy.getGasPrice('emergencySell', { multiplier: 2 }), 8n * GWEI);
+  assert.strictEqual(await policy.getGasPrice('emergencySell', { multiplier: 4 }), 12n * GWEI);
+});
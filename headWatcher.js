@@ -0,0 +1,159 @@
+const { createPublicClient, webSocket } = require('viem');
+const { bsc } = require('viem/chains');
+
+/**
+ * WebSocket newHeads (and optional log) subscription that drives token scanning
+ *
+ * Calls `onHead` for every new head or matching log. When the socket errors or goes
+ * quiet for `staleAfterMs`, `onDisconnect` fires and a reconnect is scheduled with
+ * exponential backoff; `onConnect` fires once the subscriptions are live again.
+ */
+
+class HeadWatcher {
+  constructor({
+    url,
+    logFilter = null,
+    onHead,
+    onConnect = () => {},
+    onDisconnect = () => {},
+    staleAfterMs = 15000,
+    reconnectDelayMs = 2000,
+    maxReconnectDelayMs = 60000
+  }) {
+    this.url = url;
+    this.logFilter = logFilter; // { address, event } for eth_subscribe logs
+    this.onHead = onHead;
+    this.onConnect = onConnect;
+    this.onDisconnect = onDisconnect;
+    this.staleAfterMs = staleAfterMs;
+    this.reconnectDelayMs = reconnectDelayMs;
+    this.maxReconnectDelayMs = maxReconnectDelayMs;
+
+    this.client = null;
+    this.unwatchers = [];
+    this.connected = false;
+    this.stopped = true;
+    this.failures = 0;
+    this.staleTimer = null;
+    this.reconnectTimer = null;
+    this.reconnecting = false;
+  }
+
+  async start() {
+    this.stopped = false;
+    await this.connect();
+  }
+
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.reconnecting = false;
+    await this.teardown();
+  }
+
+  async connect() {
+    if (this.stopped) return;
+    try {
+      // Reconnects are handled here so subscriptions are re-created after a drop
+      this.client = createPublicClient({
+        chain: bsc,
+        transport: webSocket(this.url, { reconnect: false, keepAlive: { interval: 10000 }, retryCount: 0 })
+      });
+
+      const onError = error => this.handleFailure(error?.shortMessage || error?.message || 'subscription error');
+
+      this.unwatchers.push(this.client.watchBlockNumber({
+        poll: false,
+        onBlockNumber: blockNumber => this.handleNotification(blockNumber),
+        onError
+      }));
+
+      if (this.logFilter) {
+        this.unwatchers.push(this.client.watchEvent({
+          poll: false,
+          address: this.logFilter.address,
+          event: this.logFilter.event,
+          onLogs: logs => {
+            const latest = logs.reduce((max, log) => (log.blockNumber > max ? log.blockNumber : max), 0n);
+            this.handleNotification(latest);
+          },
+          onError
+        }));
+      }
+
+      // Subscriptions are set up asynchronously; make sure the socket actually opened
+      await this.client.getBlockNumber();
+
+      this.connected = true;
+      this.failures = 0;
+      this.resetStaleTimer();
+      console.log(`🔌 WebSocket subscription active: ${this.url}`);
+      this.onConnect();
+    } catch (error) {
+      await this.handleFailure(error?.shortMessage || error?.message || 'connect failed');
+    }
+  }
+
+  handleNotification(blockNumber) {
+    if (this.stopped) return;
+    this.resetStaleTimer();
+    try {
+      this.onHead(blockNumber);
+    } catch (error) {
+      console.error('❌ Error handling WebSocket head:', error);
+    }
+  }
+
+  resetStaleTimer() {
+    clearTimeout(this.staleTimer);
+    this.staleTimer = setTimeout(() => {
+      this.handleFailure(`no heads for ${this.staleAfterMs}ms`);
+    }, this.staleAfterMs);
+  }
+
+  async handleFailure(reason) {
+    // Both subscriptions usually fail together; only the first report schedules a reconnect
+    if (this.stopped || this.reconnecting) return;
+    this.reconnecting = true;
+
+    const wasConnected = this.connected;
+    await this.teardown();
+
+    this.failures++;
+    const delay = Math.min(this.maxReconnectDelayMs, this.reconnectDelayMs * 2 ** (this.failures - 1));
+    console.log(`⚠️ WebSocket subscription lost (${reason}), retrying in ${Math.round(delay / 1000)}s`);
+    if (wasConnected) {
+      this.onDisconnect(reason);
+    }
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.reconnecting = false;
+      this.connect();
+    }, delay);
+  }
+
+  async teardown() {
+    this.connected = false;
+    clearTimeout(this.staleTimer);
+    this.staleTimer = null;
+
+    for (const unwatch of this.unwatchers) {
+      try {
+        unwatch();
+      } catch (_) { }
+    }
+    this.unwatchers = [];
+
+    if (this.client) {
+      try {
+        const rpcClient = await this.client.transport.getRpcClient();
+        rpcClient.close();
+      } catch (_) { }
+      this.client = null;
+    }
+  }
+}
+
+module.exports = { HeadWatcher };
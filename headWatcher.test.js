@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { WebSocketServer } = require('ws');
+const { HeadWatcher } = require('./headWatcher');
+
+/**
+ * Local stand-in for a BSC WebSocket endpoint: answers eth_subscribe / eth_unsubscribe /
+ * eth_blockNumber and pushes newHeads notifications on `head()`
+ */
+async function startNode(t) {
+  const server = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+  await new Promise(resolve => server.once('listening', resolve));
+  const node = {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    connections: 0,
+    blockNumber: 100,
+    sockets: new Set(),
+    head() {
+      node.blockNumber++;
+      for (const socket of node.sockets) {
+        for (const subscription of socket.subscriptions) {
+          socket.send(JSON.stringify({
+            jsonrpc: '2.0',
+            method: 'eth_subscription',
+            params: { subscription, result: { number: `0x${node.blockNumber.toString(16)}` } }
+          }));
+        }
+      }
+    },
+    dropConnections() {
+      for (const socket of node.sockets) socket.terminate();
+    }
+  };
+
+  let nextId = 1;
+  server.on('connection', socket => {
+    node.connections++;
+    socket.subscriptions = [];
+    node.sockets.add(socket);
+    socket.on('close', () => node.sockets.delete(socket));
+    socket.on('message', data => {
+      const request = JSON.parse(data);
+      let result = null;
+      if (request.method === 'eth_subscribe') {
+        result = `0x${(nextId++).toString(16)}`;
+        socket.subscriptions.push(result);
+      } else if (request.method === 'eth_unsubscribe') {
+        result = true;
+      } else if (request.method === 'eth_blockNumber') {
+        result = `0x${node.blockNumber.toString(16)}`;
+      }
+      socket.send(JSON.stringify({ jsonrpc: '2.0', id: request.id, result }));
+    });
+  });
+
+  t.after(() => {
+    node.dropConnections();
+    server.close();
+  });
+  return node;
+}
+
+async function waitFor(condition, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function createWatcher(t, node, events) {
+  // Node 20's test runner now and then misreads reconnect logs mixed into its child output
+  t.mock.method(console, 'log', () => {});
+  const watcher = new HeadWatcher({
+    url: node.url,
+    onHead: blockNumber => events.push(['head', Number(blockNumber)]),
+    onConnect: () => events.push(['connect']),
+    onDisconnect: reason => events.push(['disconnect', reason]),
+    staleAfterMs: 300,
+    reconnectDelayMs: 20,
+    maxReconnectDelayMs: 50
+  });
+  t.after(() => watcher.stop());
+  return watcher;
+}
+
+test('heads are delivered and a quiet socket is replaced after staleAfterMs', async t => {
+  const node = await startNode(t);
+  const events = [];
+  const watcher = createWatcher(t, node, events);
+
+  await watcher.start();
+  assert.strictEqual(watcher.connected, true);
+  await waitFor(() => node.sockets.size > 0 && [...node.sockets][0].subscriptions.length > 0);
+  node.head();
+  await waitFor(() => events.some(([type]) => type === 'head'));
+  assert.deepStrictEqual(events.find(([type]) => type === 'head'), ['head', 101]);
+
+  // No heads for longer than staleAfterMs: disconnect, then a fresh connection and subscription
+  await waitFor(() => events.filter(([type]) => type === 'connect').length === 2);
+  const disconnect = events.find(([type]) => type === 'disconnect');
+  assert.match(disconnect[1], /no heads for 300ms/);
+  assert.strictEqual(node.connections, 2);
+
+  await waitFor(() => [...node.sockets].some(socket => socket.subscriptions.length > 0));
+  node.head();
+  await waitFor(() => events.some(([type, blockNumber]) => type === 'head' && blockNumber === 102));
+});
+
+test('a dropped connection is re-established with its subscriptions', async t => {
+  const node = await startNode(t);
+  const events = [];
+  const watcher = createWatcher(t, node, events);
+
+  await watcher.start();
+  await waitFor(() => [...node.sockets].some(socket => socket.subscriptions.length > 0));
+  node.dropConnections();
+
+  await waitFor(() => node.connections >= 2 && watcher.connected);
+  assert.ok(events.some(([type]) => type === 'disconnect'));
+  await waitFor(() => [...node.sockets].some(socket => socket.subscriptions.length > 0));
+  node.head();
+  await waitFor(() => events.some(([type, blockNumber]) => type === 'head' && blockNumber === 101));
+
+  await watcher.stop();
+  const connections = node.connections;
+  await new Promise(resolve => setTimeout(resolve, 400));
+  assert.strictEqual(node.connections, connections, 'a stopped watcher does not reconnect');
+});
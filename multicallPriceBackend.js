@@ -0,0 +1,64 @@
+/**
+ * Batched getTokenInfo reads for price monitoring
+ *
+ * The getTokenInfo calls of all active tokens are packed into Multicall3 aggregate calls
+ * of up to `multicallBatchSize` reads each, so a price tick costs a few RPC requests
+ * instead of one per token. A read that reverts comes back as null. When a whole chunk's
+ * multicall fails, its tokens are read one by one instead; a token whose own read fails
+ * too is left out of the result.
+ */
+
+class MulticallPriceBackend {
+  constructor({ multicall, readTokenInfo, helperAddress, helperAbi, getConfig }) {
+    this.multicall = multicall; // ({ contracts, allowFailure }) -> Promise<[{ status, result }]>
+    this.readTokenInfo = readTokenInfo; // (tokenAddress) -> Promise<getTokenInfo result>
+    this.helperAddress = helperAddress;
+    this.helperAbi = helperAbi;
+    this.getConfig = getConfig; // Read on every use so config updates apply live
+  }
+
+  /**
+   * getTokenInfo result per lowercased token address (null when that read reverted)
+   */
+  async fetchTokenInfos(tokenAddresses) {
+    const batchSize = Math.max(1, Number((this.getConfig() || {}).multicallBatchSize) || 100);
+    const results = new Map();
+
+    for (let i = 0; i < tokenAddresses.length; i += batchSize) {
+      const chunk = tokenAddresses.slice(i, i + batchSize);
+      try {
+        const responses = await this.multicall({
+          contracts: chunk.map(tokenAddress => ({
+            address: this.helperAddress,
+            abi: this.helperAbi,
+            functionName: 'getTokenInfo',
+            args: [tokenAddress]
+          })),
+          allowFailure: true
+        });
+        responses.forEach((response, index) => {
+          results.set(chunk[index].toLowerCase(), response.status === 'success' ? response.result : null);
+        });
+      } catch (error) {
+        console.log(`⚠️ Multicall price read failed for ${chunk.length} tokens, reading them one by one: ${error.shortMessage || error.message}`);
+        await this.readChunkIndividually(chunk, results);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Sequential per-token reads, so a struggling endpoint is not hit with a whole chunk at once
+   */
+  async readChunkIndividually(chunk, results) {
+    for (const tokenAddress of chunk) {
+      try {
+        results.set(tokenAddress.toLowerCase(), await this.readTokenInfo(tokenAddress));
+      } catch (error) {
+        // Left out: the token is skipped this tick
+      }
+    }
+  }
+}
+
+module.exports = { MulticallPriceBackend };
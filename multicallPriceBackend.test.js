@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MulticallPriceBackend } = require('./multicallPriceBackend');
+
+const tokens = ['0xAAA', '0xBBB', '0xCCC', '0xDDD', '0xEEE'];
+
+function createBackend({ failingChunk = -1, failingReads = [] } = {}) {
+  const calls = { multicall: [], reads: [] };
+  const backend = new MulticallPriceBackend({
+    multicall: async ({ contracts, allowFailure }) => {
+      assert.strictEqual(allowFailure, true);
+      calls.multicall.push(contracts.map(contract => contract.args[0]));
+      if (calls.multicall.length - 1 === failingChunk) throw new Error('request timed out');
+      return contracts.map(contract => contract.args[0] === '0xBBB'
+        ? { status: 'failure', error: new Error('reverted') }
+        : { status: 'success', result: [`info ${contract.args[0]}`] });
+    },
+    readTokenInfo: async tokenAddress => {
+      calls.reads.push(tokenAddress);
+      if (failingReads.includes(tokenAddress)) throw new Error('rate limited');
+      return [`read ${tokenAddress}`];
+    },
+    helperAddress: '0xhelper',
+    helperAbi: [],
+    getConfig: () => ({ multicallBatchSize: 2 })
+  });
+  return { backend, calls };
+}
+
+test('reads are packed into multicallBatchSize chunks and reverted reads come back as null', async () => {
+  const { backend, calls } = createBackend();
+  const infos = await backend.fetchTokenInfos(tokens);
+
+  assert.deepStrictEqual(calls.multicall, [['0xAAA', '0xBBB'], ['0xCCC', '0xDDD'], ['0xEEE']]);
+  assert.deepStrictEqual(calls.reads, []);
+  assert.deepStrictEqual(infos.get('0xaaa'), ['info 0xAAA']);
+  assert.strictEqual(infos.get('0xbbb'), null);
+  assert.strictEqual(infos.size, 5);
+});
+
+test('a failed chunk falls back to per-token reads; tokens whose own read fails are left out', async () => {
+  const { backend, calls } = createBackend({ failingChunk: 1, failingReads: ['0xDDD'] });
+  const infos = await backend.fetchTokenInfos(tokens);
+
+  assert.deepStrictEqual(calls.reads, ['0xCCC', '0xDDD']);
+  assert.deepStrictEqual(infos.get('0xccc'), ['read 0xCCC']);
+  assert.strictEqual(infos.has('0xddd'), false);
+  assert.deepStrictEqual(infos.get('0xeee'), ['info 0xEEE']);
+});
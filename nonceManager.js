@@ -0,0 +1,193 @@
+/**
+ * Per-wallet nonce allocation
+ *
+ * Nonces are handed out from a local counter per address, seeded from the chain's
+ * pending transaction count, so concurrent buys, sells and approvals on one wallet
+ * never collide. Nonces of transactions that failed to broadcast go back to the pool,
+ * as do those of dropped transactions: a nonce counts as dropped only once the chain's
+ * pending count no longer covers it and its transaction went unfound on
+ * `dropAfterMisses` reconciles in a row. A nonce error from the node resyncs the wallet
+ * from chain.
+ */
+
+const DEFAULT_DROP_AFTER_MISSES = 3;
+
+const NONCE_ERROR_PATTERNS = [
+  'nonce too low',
+  'nonce too high',
+  'nonce provided',
+  'already used',
+  'replacement transaction underpriced'
+];
+
+function isNonceError(error) {
+  const message = String(error?.shortMessage || error?.message || error).toLowerCase();
+  return NONCE_ERROR_PATTERNS.some(pattern => message.includes(pattern));
+}
+
+class NonceManager {
+  constructor({ getTransactionCount, getTransaction, dropAfterMisses = DEFAULT_DROP_AFTER_MISSES, clock = { now: () => Date.now() } }) {
+    this.getTransactionCount = getTransactionCount; // (address, blockTag) -> Promise<number>
+    this.getTransaction = getTransaction; // (hash) -> Promise<tx>, throws when unknown
+    this.dropAfterMisses = Math.max(1, Number(dropAfterMisses) || DEFAULT_DROP_AFTER_MISSES);
+    this.clock = clock; // { now: () => ms }, the service's clock
+    this.wallets = new Map(); // address -> { next, pending: Map<nonce, { hash, label, at, misses }>, released: number[], lock }
+  }
+
+  state(address) {
+    const key = address.toLowerCase();
+    if (!this.wallets.has(key)) {
+      this.wallets.set(key, { next: null, pending: new Map(), released: [], lock: Promise.resolve() });
+    }
+    return this.wallets.get(key);
+  }
+
+  /**
+   * Run fn with the wallet's nonce state to itself
+   */
+  async withLock(address, fn) {
+    const state = this.state(address);
+    const run = state.lock.then(() => fn(state));
+    state.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Reserve the next nonce; with replaceLabel, reuse the oldest pending nonce with exactly that
+   * label instead (labels name the token, so only the same token's transaction is replaced)
+   */
+  async acquire(address, { replaceLabel = null } = {}) {
+    return this.withLock(address, async state => {
+      if (state.next === null) {
+        state.next = await this.getTransactionCount(address, 'pending');
+      }
+      if (replaceLabel) {
+        const stuck = Array.from(state.pending).filter(([, entry]) => entry.label === replaceLabel);
+        if (stuck.length > 0) {
+          return Math.min(...stuck.map(([nonce]) => nonce));
+        }
+      }
+      if (state.released.length > 0) {
+        return state.released.shift();
+      }
+      return state.next++;
+    });
+  }
+
+  markSubmitted(address, nonce, hash, label) {
+    this.state(address).pending.set(nonce, { hash, label, at: this.clock.now(), misses: 0 });
+  }
+
+  /**
+   * Hand a nonce back when its transaction never reached the chain
+   */
+  release(address, nonce) {
+    const state = this.state(address);
+    state.pending.delete(nonce);
+    if (state.next === null || nonce >= state.next || state.released.includes(nonce)) return;
+    if (nonce === state.next - 1) {
+      state.next--;
+    } else {
+      state.released.push(nonce);
+      state.released.sort((a, b) => a - b);
+    }
+  }
+
+  /**
+   * Forget a transaction once it is mined (success or revert both consume the nonce)
+   */
+  complete(address, hash) {
+    const state = this.state(address);
+    for (const [nonce, entry] of state.pending) {
+      if (entry.hash === hash) state.pending.delete(nonce);
+    }
+  }
+
+  /**
+   * Re-read the wallet's nonce from chain after the node rejected one of ours
+   */
+  async resync(address) {
+    return this.withLock(address, async state => {
+      const [latest, pending] = await Promise.all([
+        this.getTransactionCount(address, 'latest'),
+        this.getTransactionCount(address, 'pending')
+      ]);
+      for (const nonce of Array.from(state.pending.keys())) {
+        if (nonce < latest) state.pending.delete(nonce);
+      }
+      const highestPending = state.pending.size > 0 ? Math.max(...state.pending.keys()) + 1 : 0;
+      state.next = Math.max(pending, highestPending);
+      state.released = [];
+      console.log(`🔢 Nonce resynced for ${address.slice(0, 8)}...: next ${state.next}`);
+    });
+  }
+
+  /**
+   * Drop mined entries and release nonces of transactions that left the mempool. One failed
+   * lookup proves little (fallback nodes often don't see other nodes' mempools), so a nonce
+   * is only released while the pending count shows it unoccupied, after repeated misses.
+   */
+  async reconcile(address) {
+    const state = this.state(address);
+    if (state.pending.size === 0) return;
+    try {
+      const [latest, pendingCount] = await Promise.all([
+        this.getTransactionCount(address, 'latest'),
+        this.getTransactionCount(address, 'pending')
+      ]);
+      for (const [nonce, entry] of Array.from(state.pending)) {
+        if (nonce < latest) {
+          state.pending.delete(nonce);
+          continue;
+        }
+        if (nonce < pendingCount) {
+          // Something (ours or a replacement) still holds the nonce
+          entry.misses = 0;
+          continue;
+        }
+        let found = false;
+        try {
+          found = Boolean(await this.getTransaction(entry.hash));
+        } catch (_) {
+          found = false;
+        }
+        if (found) {
+          entry.misses = 0;
+          continue;
+        }
+        entry.misses = (entry.misses || 0) + 1;
+        if (entry.misses >= this.dropAfterMisses) {
+          console.log(`🔢 ${entry.label || 'Transaction'} ${entry.hash} was dropped; releasing nonce ${nonce} for ${address.slice(0, 8)}...`);
+          this.release(address, nonce);
+        }
+      }
+    } catch (error) {
+      console.log(`⚠️ Nonce reconcile failed for ${address.slice(0, 8)}...: ${error.shortMessage || error.message}`);
+    }
+  }
+
+  /**
+   * Sign and broadcast through sendFn(nonce); resyncs and retries once on a nonce error.
+   * With replaceStuck, a still-pending transaction with the same label (e.g. `sell 0x<token>`)
+   * is replaced.
+   */
+  async send(address, label, sendFn, { replaceStuck = false } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const nonce = await this.acquire(address, { replaceLabel: replaceStuck && attempt === 0 ? label : null });
+      const replacing = this.state(address).pending.has(nonce);
+      try {
+        const hash = await sendFn(nonce);
+        this.markSubmitted(address, nonce, hash, label);
+        return hash;
+      } catch (error) {
+        // A failed replacement leaves the original transaction pending on its nonce
+        if (!replacing) this.release(address, nonce);
+        if (!isNonceError(error) || attempt > 0) throw error;
+        console.log(`🔢 ${label} nonce ${nonce} rejected for ${address.slice(0, 8)}... (${error.shortMessage || error.message})`);
+        await this.resync(address);
+      }
+    }
+  }
+}
+
+module.exports = { NonceManager, isNonceError };
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { NonceManager, isNonceError } = require('./nonceManager');
+
+const WALLET = '0x2222222222222222222222222222222222222222';
+
+/**
+ * Chain stand-in with `latest` / `pending` counts and a mempool of known hashes
+ */
+function createChain({ latest = 5, pending = 5 } = {}) {
+  const chain = { latest, pending, mempool: new Set() };
+  const nonces = new NonceManager({
+    getTransactionCount: async (address, blockTag) => chain[blockTag],
+    getTransaction: async hash => {
+      if (!chain.mempool.has(hash)) throw new Error('transaction not found');
+      return { hash };
+    },
+    dropAfterMisses: 2
+  });
+  return { chain, nonces };
+}
+
+test('concurrent sends on one wallet get consecutive nonces', async () => {
+  const { nonces } = createChain();
+  const used = await Promise.all([1, 2, 3].map(i => nonces.send(WALLET, `buy ${i}`, async nonce => `0x${nonce}`)));
+  assert.deepStrictEqual(used.sort(), ['0x5', '0x6', '0x7']);
+});
+
+test('a nonce whose broadcast failed is handed out again', async () => {
+  const { nonces } = createChain();
+  await nonces.send(WALLET, 'buy a', async nonce => `0x${nonce}`);
+  await assert.rejects(nonces.send(WALLET, 'buy b', async () => {
+    throw new Error('insufficient funds');
+  }), /insufficient funds/);
+  assert.strictEqual(await nonces.send(WALLET, 'buy c', async nonce => `0x${nonce}`), '0x6');
+});
+
+test('replaceStuck reuses the pending nonce of the same label only', async () => {
+  const { nonces } = createChain();
+  await nonces.send(WALLET, 'sell 0xaa', async nonce => `0xsell${nonce}`);
+  await nonces.send(WALLET, 'sell 0xbb', async nonce => `0xsell${nonce}`);
+
+  const replacement = await nonces.send(WALLET, 'sell 0xaa', async nonce => `0xbump${nonce}`, { replaceStuck: true });
+  assert.strictEqual(replacement, '0xbump5');
+  const other = await nonces.send(WALLET, 'sell 0xcc', async nonce => `0xsell${nonce}`, { replaceStuck: true });
+  assert.strictEqual(other, '0xsell7');
+
+  // A rejected replacement leaves the original pending on its nonce
+  await assert.rejects(nonces.send(WALLET, 'sell 0xbb', async () => {
+    throw new Error('gas price too low');
+  }, { replaceStuck: true }));
+  assert.strictEqual(nonces.state(WALLET).pending.get(6).hash, '0xsell6');
+  assert.strictEqual(await nonces.send(WALLET, 'buy 0xdd', async nonce => `0x${nonce}`), '0x8');
+});
+
+test('a nonce error resyncs from chain and retries once', async () => {
+  const { chain, nonces } = createChain();
+  await nonces.send(WALLET, 'buy a', async nonce => `0x${nonce}`);
+
+  // Another process used nonces 6 and 7
+  chain.latest = 8;
+  chain.pending = 8;
+  const attempts = [];
+  const hash = await nonces.send(WALLET, 'buy b', async nonce => {
+    attempts.push(nonce);
+    if (nonce < 8) throw new Error('nonce too low');
+    return `0x${nonce}`;
+  });
+  assert.deepStrictEqual(attempts, [6, 8]);
+  assert.strictEqual(hash, '0x8');
+  assert.strictEqual(isNonceError(new Error('replacement transaction underpriced')), true);
+});
+
+test('reconcile releases a dropped nonce only after repeated misses outside the pending count', async () => {
+  const { chain, nonces } = createChain();
+  await nonces.send(WALLET, 'buy a', async nonce => `0x${nonce}`);
+  await nonces.send(WALLET, 'buy b', async nonce => `0x${nonce}`);
+
+  // Nonce 5 mined; nonce 6 unknown to this node while the pending count still covers it
+  chain.latest = 6;
+  chain.pending = 7;
+  await nonces.reconcile(WALLET);
+  await nonces.reconcile(WALLET);
+  assert.deepStrictEqual(Array.from(nonces.state(WALLET).pending.keys()), [6]);
+
+  // Gone from the pending count too: released on the second miss
+  chain.pending = 6;
+  await nonces.reconcile(WALLET);
+  assert.ok(nonces.state(WALLET).pending.has(6));
+  await nonces.reconcile(WALLET);
+  assert.strictEqual(nonces.state(WALLET).pending.size, 0);
+  assert.strictEqual(await nonces.send(WALLET, 'buy c', async nonce => `0x${nonce}`), '0x6');
+});
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./config');
+const { loadHistory } = require('./backtestEngine');
+const { ParameterOptimizer, applyParameters, OBJECTIVES } = require('./parameterOptimizer');
+
+function readOption(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 && index + 1 < args.length ? args[index + 1] : undefined;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+function formatParameters(parameters) {
+  return Object.entries(parameters).map(([field, value]) => `${field}=${value}`).join(', ');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const valueOptions = ['--from', '--to', '--dir', '--patterns', '--method', '--objective', '--top', '--out'];
+  const sweepFile = args.find((arg, index) => !arg.startsWith('-') && !valueOptions.includes(args[index - 1]));
+  if (args.includes('--help') || args.includes('-h') || !sweepFile) {
+    console.log('Usage: node optimize.js <sweep.json> [options]');
+    console.log('  <sweep.json>          Pattern name, parameter ranges and search settings');
+    console.log('  --from YYYY-MM-DD     First history day to use');
+    console.log('  --to YYYY-MM-DD       Last history day to use');
+    console.log('  --dir <path>          History directory (default: history.dir from config, else data/history)');
+    console.log('  --patterns <file>     Patterns file holding the pattern (default: patterns.json)');
+    console.log('  --method <grid|random>  Overrides the sweep file');
+    console.log(`  --objective <${OBJECTIVES.join('|')}>  Overrides the sweep file`);
+    console.log('  --top <n>             Configurations to list (default: 10)');
+    console.log('  --out <file>          Candidate patterns file (default: patterns.candidate.json)');
+    process.exit(args.includes('--help') || args.includes('-h') ? 0 : 1);
+  }
+
+  const patternsFile = readOption(args, '--patterns') || path.join(__dirname, 'patterns.json');
+  let sweep;
+  let patternsData;
+  try {
+    sweep = readJson(sweepFile);
+    patternsData = readJson(patternsFile);
+  } catch (error) {
+    console.error('❌ Error loading sweep or patterns file:', error.message);
+    process.exit(1);
+  }
+
+  const pattern = patternsData.patterns.find(p => p.name === sweep.pattern);
+  if (!pattern) {
+    console.error(`❌ Pattern "${sweep.pattern}" not found in ${patternsFile}`);
+    process.exit(1);
+  }
+
+  const config = loadConfig();
+  const dirOption = readOption(args, '--dir');
+  const dir = dirOption ? path.resolve(dirOption) : (config.history && config.history.dir);
+  // Only the tokens this pattern matches: the sweep changes trading settings, not gas ranges
+  const records = loadHistory({ dir, from: readOption(args, '--from'), to: readOption(args, '--to'), patterns: [{ ...pattern, enabled: true }] });
+  if (records.length === 0) {
+    console.error(`❌ No price history of tokens matching "${pattern.name}" found for the selected range`);
+    process.exit(1);
+  }
+
+  let optimizer;
+  try {
+    const walkForward = sweep.walkForward || {};
+    optimizer = new ParameterOptimizer({
+      pattern: { ...pattern, enabled: true },
+      ranges: sweep.ranges,
+      config,
+      fillModel: sweep.fillModel,
+      options: {
+        method: readOption(args, '--method') || sweep.method,
+        objective: readOption(args, '--objective') || sweep.objective,
+        samples: sweep.samples,
+        seed: sweep.seed,
+        minTrades: sweep.minTrades,
+        maxCombinations: sweep.maxCombinations,
+        folds: walkForward.folds,
+        trainPercent: walkForward.trainPercent
+      }
+    });
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+
+  console.log(`\n🔬 Optimizing "${pattern.name}" over ${records.length} history records of matching tokens (${optimizer.method} search, objective ${optimizer.objective})...`);
+  let result;
+  try {
+    result = optimizer.run(records);
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+
+  const top = Math.max(1, Number(readOption(args, '--top')) || 10);
+  console.log(`\n🏆 Top ${Math.min(top, result.ranking.length)} of ${result.combinations} configurations:`);
+  result.ranking.slice(0, top).forEach((entry, index) => {
+    const note = entry.eligible ? '' : ` (under ${optimizer.minTrades} trades)`;
+    console.log(`   ${index + 1}. score ${entry.score.toFixed(6)} | ${entry.summary.trades} trades, ${entry.summary.totalPnlBNB.toFixed(6)} BNB, DD ${entry.summary.maxDrawdownBNB.toFixed(6)}${note}`);
+    console.log(`      ${formatParameters(entry.parameters)}`);
+  });
+
+  const { folds, degradedFolds, overfitWarning } = result.walkForward;
+  if (folds.length > 0) {
+    console.log(`\n🚶 Walk-forward (${folds.length} folds, ${optimizer.trainPercent}% train):`);
+    folds.forEach((fold, index) => {
+      console.log(`   Fold ${index + 1}: train ${fold.trainScore.toFixed(6)} (${fold.trainTrades} trades) → test ${fold.testScore.toFixed(6)} (${fold.testTrades} trades)${fold.degraded ? ' ⚠️ degraded' : ''}`);
+      console.log(`      ${formatParameters(fold.parameters)}`);
+    });
+    if (overfitWarning) {
+      console.log(`⚠️ Likely overfit: in-sample winners degraded out of sample in ${degradedFolds}/${folds.length} folds`);
+    }
+  }
+
+  const best = result.ranking[0];
+  if (!best.eligible) {
+    console.log(`\n⚠️ No configuration reached ${optimizer.minTrades} trades; not writing candidates`);
+    process.exit(1);
+  }
+
+  // Candidate file: the patterns file with the tuned pattern's trading settings replaced
+  const out = path.resolve(readOption(args, '--out') || path.join(__dirname, 'patterns.candidate.json'));
+  const candidate = {
+    ...patternsData,
+    patterns: patternsData.patterns.map(p => (p.name === pattern.name ? applyParameters(p, best.parameters) : p)),
+    optimization: {
+      pattern: pattern.name,
+      objective: result.objective,
+      method: result.method,
+      score: best.score,
+      parameters: best.parameters,
+      summary: best.summary,
+      historyFrom: records[0] ? new Date(records[0].t).toISOString() : null,
+      historyTo: records.length ? new Date(records[records.length - 1].t).toISOString() : null,
+      walkForward: result.walkForward,
+      createdAt: new Date().toISOString()
+    }
+  };
+  fs.writeFileSync(out, JSON.stringify(candidate, null, 2));
+  console.log(`\n💾 Candidate patterns written to ${out} (review before copying over patterns.json)`);
+}
+
+main();
@@ -0,0 +1,135 @@
+const { encodeFunctionData } = require('viem');
+const {
+  PANCAKESWAP_V2_ROUTER_ABI,
+  PANCAKESWAP_V2_FACTORY_ABI,
+  PANCAKESWAP_V2_PAIR_ABI
+} = require('./abis');
+
+/**
+ * PancakeSwap V2 path for tokens that migrated off the four.meme bonding curve
+ *
+ * Buys go through swapExactETHForTokens and sells through
+ * swapExactTokensForETHSupportingFeeOnTransferTokens, each with a minimum output taken
+ * from getAmountsOut less the slippage limit. Spot prices are read from the token/WBNB
+ * pair's reserves. four.meme tokens have 18 decimals, the same scale as BNB.
+ */
+
+const PANCAKESWAP_ROUTER_V2 = '0x10ED43C718714eb63d5aA57B78B54704E256024E';
+const PANCAKESWAP_FACTORY_V2 = '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73';
+const WBNB_ADDRESS = '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c';
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+/**
+ * Minimum acceptable output for a quoted amount and a slippage limit in percent
+ */
+function applySlippage(amount, slippagePercent) {
+  const percent = Math.min(100, Math.max(0, Number(slippagePercent) || 0));
+  return amount * BigInt(Math.round((100 - percent) * 100)) / 10000n;
+}
+
+class PancakeSwapRouter {
+  constructor({ readContract, clock = { now: () => Date.now() } }) {
+    this.readContract = readContract; // (params) -> Promise<result>, with RPC failover
+    this.clock = clock; // { now: () => ms }, the service's clock
+    this.pairs = new Map(); // token -> pair address (only pairs that exist; they never move)
+  }
+
+  async getPair(tokenAddress) {
+    const key = tokenAddress.toLowerCase();
+    if (this.pairs.has(key)) return this.pairs.get(key);
+
+    const pair = await this.readContract({
+      address: PANCAKESWAP_FACTORY_V2,
+      abi: PANCAKESWAP_V2_FACTORY_ABI,
+      functionName: 'getPair',
+      args: [tokenAddress, WBNB_ADDRESS]
+    });
+    if (!pair || pair === ZERO_ADDRESS) return null;
+    this.pairs.set(key, pair);
+    return pair;
+  }
+
+  /**
+   * Token and WBNB reserves of the token's pair, or null when there is no pair yet
+   */
+  async getReserves(tokenAddress) {
+    const pair = await this.getPair(tokenAddress);
+    if (!pair) return null;
+
+    const [reserves, token0] = await Promise.all([
+      this.readContract({ address: pair, abi: PANCAKESWAP_V2_PAIR_ABI, functionName: 'getReserves' }),
+      this.readContract({ address: pair, abi: PANCAKESWAP_V2_PAIR_ABI, functionName: 'token0' })
+    ]);
+    const tokenIsToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
+    return {
+      pair,
+      reserveToken: tokenIsToken0 ? reserves[0] : reserves[1],
+      reserveBNB: tokenIsToken0 ? reserves[1] : reserves[0]
+    };
+  }
+
+  /**
+   * Spot price in BNB per token from the pair reserves
+   */
+  async getPriceBNB(tokenAddress) {
+    const reserves = await this.getReserves(tokenAddress);
+    if (!reserves || reserves.reserveToken === 0n) return null;
+    return Number(reserves.reserveBNB) / Number(reserves.reserveToken);
+  }
+
+  /**
+   * Tokens out for amountInWei BNB, after the pair fee and price impact
+   */
+  async quoteBuy(tokenAddress, amountInWei) {
+    const amounts = await this.readContract({
+      address: PANCAKESWAP_ROUTER_V2,
+      abi: PANCAKESWAP_V2_ROUTER_ABI,
+      functionName: 'getAmountsOut',
+      args: [amountInWei, [WBNB_ADDRESS, tokenAddress]]
+    });
+    return amounts[amounts.length - 1];
+  }
+
+  /**
+   * BNB out (wei) for selling `tokens`
+   */
+  async quoteSell(tokenAddress, tokens) {
+    const amounts = await this.readContract({
+      address: PANCAKESWAP_ROUTER_V2,
+      abi: PANCAKESWAP_V2_ROUTER_ABI,
+      functionName: 'getAmountsOut',
+      args: [tokens, [tokenAddress, WBNB_ADDRESS]]
+    });
+    return amounts[amounts.length - 1];
+  }
+
+  deadline(deadlineSeconds) {
+    return BigInt(Math.floor(this.clock.now() / 1000) + Math.max(1, Number(deadlineSeconds) || 60));
+  }
+
+  buildBuyRequest({ tokenAddress, amountInWei, minTokensOut, recipient, deadlineSeconds }) {
+    return {
+      to: PANCAKESWAP_ROUTER_V2,
+      value: amountInWei,
+      data: encodeFunctionData({
+        abi: PANCAKESWAP_V2_ROUTER_ABI,
+        functionName: 'swapExactETHForTokens',
+        args: [minTokensOut, [WBNB_ADDRESS, tokenAddress], recipient, this.deadline(deadlineSeconds)]
+      })
+    };
+  }
+
+  buildSellRequest({ tokenAddress, tokens, minBNBOut, recipient, deadlineSeconds }) {
+    return {
+      to: PANCAKESWAP_ROUTER_V2,
+      value: 0n,
+      data: encodeFunctionData({
+        abi: PANCAKESWAP_V2_ROUTER_ABI,
+        functionName: 'swapExactTokensForETHSupportingFeeOnTransferTokens',
+        args: [tokens, minBNBOut, [tokenAddress, WBNB_ADDRESS], recipient, this.deadline(deadlineSeconds)]
+      })
+    };
+  }
+}
+
+module.exports = { PancakeSwapRouter, applySlippage, PANCAKESWAP_ROUTER_V2, WBNB_ADDRESS };
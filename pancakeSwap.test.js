@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { decodeFunctionData } = require('viem');
+const { PancakeSwapRouter, applySlippage, PANCAKESWAP_ROUTER_V2 } = require('./pancakeSwap');
+const { PANCAKESWAP_V2_ROUTER_ABI } = require('./abis');
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const WALLET = '0x2222222222222222222222222222222222222222';
+const PAIR = '0x4444444444444444444444444444444444444444';
+const WBNB = '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c';
+
+/**
+ * Router on a fake chain: one token/WBNB pair with the token as token1
+ */
+function createRouter({ pair = PAIR } = {}) {
+  const reads = [];
+  const router = new PancakeSwapRouter({
+    readContract: async ({ address, functionName, args }) => {
+      reads.push(functionName);
+      if (functionName === 'getPair') return pair;
+      if (functionName === 'getReserves') return [50n * 10n ** 18n, 10n ** 24n, 0];
+      if (functionName === 'token0') return WBNB;
+      if (functionName === 'getAmountsOut') {
+        assert.strictEqual(address, PANCAKESWAP_ROUTER_V2);
+        return [args[0], args[0] * 2n];
+      }
+      throw new Error(`unexpected read ${functionName}`);
+    },
+    clock: { now: () => Date.parse('2024-06-01T00:00:00Z') }
+  });
+  return { router, reads };
+}
+
+test('the spot price comes from the pair reserves, whichever side the token is on', async () => {
+  const { router, reads } = createRouter();
+  assert.strictEqual(await router.getPriceBNB(TOKEN), 0.00005); // 50 BNB / 1M tokens
+  await router.getPriceBNB(TOKEN);
+  assert.strictEqual(reads.filter(name => name === 'getPair').length, 1); // Pair addresses are cached
+
+  const { router: unlisted } = createRouter({ pair: '0x0000000000000000000000000000000000000000' });
+  assert.strictEqual(await unlisted.getPriceBNB(TOKEN), null);
+});
+
+test('swaps route through WBNB with the slippage floor and a deadline on the clock', async () => {
+  const { router } = createRouter();
+  const quoted = await router.quoteSell(TOKEN, 1000n);
+  const sell = router.buildSellRequest({ tokenAddress: TOKEN, tokens: 1000n, minBNBOut: applySlippage(quoted, 10), recipient: WALLET, deadlineSeconds: 60 });
+
+  assert.strictEqual(sell.to, PANCAKESWAP_ROUTER_V2);
+  const { functionName, args } = decodeFunctionData({ abi: PANCAKESWAP_V2_ROUTER_ABI, data: sell.data });
+  assert.strictEqual(functionName, 'swapExactTokensForETHSupportingFeeOnTransferTokens');
+  assert.deepStrictEqual(args, [1000n, 1800n, [TOKEN, WBNB], WALLET, BigInt(Date.parse('2024-06-01T00:00:00Z') / 1000 + 60)]);
+
+  const buy = router.buildBuyRequest({ tokenAddress: TOKEN, amountInWei: 5n, minTokensOut: 9n, recipient: WALLET, deadlineSeconds: 30 });
+  assert.strictEqual(buy.value, 5n);
+  assert.deepStrictEqual(decodeFunctionData({ abi: PANCAKESWAP_V2_ROUTER_ABI, data: buy.data }).args.slice(0, 2), [9n, [WBNB, TOKEN]]);
+});
+
+test('applySlippage clamps the limit to 0-100%', () => {
+  assert.strictEqual(applySlippage(1000n, 2.5), 975n);
+  assert.strictEqual(applySlippage(1000n, -5), 1000n);
+  assert.strictEqual(applySlippage(1000n, 150), 0n);
+});
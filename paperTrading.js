@@ -0,0 +1,194 @@
+/**
+ * Paper trading with on-chain quotes
+ *
+ * Test-mode buys and sells are priced by the same tryBuy/trySell (or PancakeSwap
+ * getAmountsOut) quotes a real trade would use. The order is quoted at the moment of
+ * decision, held for `latencyMs` (the time a real transaction takes to land), then
+ * re-quoted; the fill is booked at the second quote, with the trading fee and gas for one
+ * transaction per wallet. Buys whose fill price drifted past the slippage limit fail like
+ * a real slippage revert. All wallets' orders are quoted as one amount so the fill carries
+ * our own price impact. Simulated BNB and token balances are kept per wallet, in BigInt
+ * wei / token units in memory and decimal strings in the state journal.
+ */
+
+function toWei(bnb) {
+  return BigInt(Math.floor(Number(bnb) * 1e18));
+}
+
+const SYSTEM_CLOCK = { now: () => Date.now(), sleep: ms => new Promise(resolve => setTimeout(resolve, ms)) };
+
+class PaperTrader {
+  constructor({ stateStore, quoteBuy, quoteSell, getGasCostWei, getConfig, clock = SYSTEM_CLOCK }) {
+    this.stateStore = stateStore;
+    this.quoteBuy = quoteBuy; // (tokenAddress, amountWei) -> Promise<{ tokens, spentWei, feeWei }>
+    this.quoteSell = quoteSell; // (tokenAddress, tokens) -> Promise<{ proceedsWei, feeWei }>
+    this.getGasCostWei = getGasCostWei; // (gasAction) -> Promise<bigint> for one transaction
+    this.getConfig = getConfig; // Read on every use so config updates apply live
+    this.clock = clock; // { sleep: ms => Promise }, the service's clock, waits out the latency
+    this.wallets = new Map(); // wallet -> { bnbWei, tokens: Map<token, bigint> }
+  }
+
+  /**
+   * Reload simulated balances from the (already loaded) state store
+   */
+  load() {
+    this.wallets = new Map();
+    for (const [wallet, saved] of this.stateStore.entries('paperWallets')) {
+      this.wallets.set(wallet, {
+        bnbWei: BigInt(saved.bnbWei || 0),
+        tokens: new Map(Object.entries(saved.tokens || {}).map(([token, amount]) => [token, BigInt(amount)]))
+      });
+    }
+  }
+
+  persistWallet(wallet) {
+    const state = this.wallets.get(wallet);
+    const tokens = {};
+    for (const [token, amount] of state.tokens) {
+      if (amount > 0n) tokens[token] = amount.toString();
+    }
+    this.stateStore.set('paperWallets', wallet, { bnbWei: state.bnbWei.toString(), tokens });
+  }
+
+  /**
+   * Simulated wallet state, opened with `startingBalanceBNB` (the wallet's real balance if known)
+   */
+  getWallet(address, startingBalanceBNB) {
+    const wallet = address.toLowerCase();
+    if (!this.wallets.has(wallet)) {
+      const fallback = Number((this.getConfig() || {}).startingBalanceBNB ?? 1);
+      this.wallets.set(wallet, {
+        bnbWei: toWei(startingBalanceBNB > 0 ? startingBalanceBNB : fallback),
+        tokens: new Map()
+      });
+      this.persistWallet(wallet);
+    }
+    return this.wallets.get(wallet);
+  }
+
+  getTokenBalance(address, tokenAddress) {
+    const state = this.wallets.get(address.toLowerCase());
+    return state ? state.tokens.get(tokenAddress.toLowerCase()) || 0n : 0n;
+  }
+
+  async waitLatency() {
+    const latencyMs = Math.max(0, Number((this.getConfig() || {}).latencyMs ?? 1500));
+    if (latencyMs > 0) await this.clock.sleep(latencyMs);
+  }
+
+  /**
+   * Buy `amountBNB` per wallet; wallets: [{ address, balanceBNB }]
+   */
+  async buy({ tokenAddress, wallets, amountBNB, maxSlippagePercent = 10, gasAction = 'buy' }) {
+    try {
+      const token = tokenAddress.toLowerCase();
+      const amountWei = toWei(amountBNB);
+      const gasWei = await this.getGasCostWei(gasAction);
+      const funded = wallets.filter(wallet => this.getWallet(wallet.address, wallet.balanceBNB).bnbWei >= amountWei + gasWei);
+      if (funded.length === 0) {
+        return { success: false, error: 'No funded paper wallets available', code: 'INSUFFICIENT_FUNDS' };
+      }
+
+      const totalWei = amountWei * BigInt(funded.length);
+      const decisionQuote = await this.quoteBuy(token, totalWei);
+      await this.waitLatency();
+      const fillQuote = await this.quoteBuy(token, totalWei);
+      if (decisionQuote.tokens === 0n || fillQuote.tokens === 0n) {
+        return { success: false, error: 'Buy quote returned no tokens', code: 'QUOTE_FAILED' };
+      }
+
+      // Price per token at fill vs. at decision
+      const driftPercent = (Number(fillQuote.spentWei) / Number(fillQuote.tokens)) /
+        (Number(decisionQuote.spentWei) / Number(decisionQuote.tokens)) * 100 - 100;
+      const slippagePercent = Math.min(100, Math.max(0, Number(maxSlippagePercent) || 0));
+      if (driftPercent > slippagePercent) {
+        return {
+          success: false,
+          error: `price moved ${driftPercent.toFixed(2)}% during latency, max slippage ${slippagePercent}%`,
+          code: 'SLIPPAGE_EXCEEDED'
+        };
+      }
+
+      const count = BigInt(funded.length);
+      const fills = funded.map(wallet => {
+        const address = wallet.address.toLowerCase();
+        const state = this.wallets.get(address);
+        const fill = {
+          wallet: address,
+          tokens: fillQuote.tokens / count,
+          spentWei: fillQuote.spentWei / count,
+          feeWei: fillQuote.feeWei / count,
+          gasWei
+        };
+        state.bnbWei -= fill.spentWei + gasWei;
+        state.tokens.set(token, (state.tokens.get(token) || 0n) + fill.tokens);
+        this.persistWallet(address);
+        return fill;
+      });
+      return { success: true, fills, driftPercent };
+    } catch (error) {
+      return { success: false, error: error.shortMessage || error.message, code: 'QUOTE_FAILED' };
+    }
+  }
+
+  /**
+   * Sell every paper wallet's holding of the token (half of it for amountMode 'half')
+   */
+  async sell({ tokenAddress, amountMode = 'all', gasAction = 'sell' }) {
+    try {
+      const token = tokenAddress.toLowerCase();
+      const orders = [];
+      for (const [wallet, state] of this.wallets) {
+        const balance = state.tokens.get(token) || 0n;
+        const tokens = amountMode === 'half' ? balance / 2n : balance;
+        if (tokens > 0n) orders.push({ wallet, state, tokens });
+      }
+      if (orders.length === 0) {
+        return { success: false, error: 'No paper wallets hold the token', code: 'NO_BALANCE' };
+      }
+
+      const totalTokens = orders.reduce((sum, order) => sum + order.tokens, 0n);
+      const gasWei = await this.getGasCostWei(gasAction);
+      const decisionQuote = await this.quoteSell(token, totalTokens);
+      await this.waitLatency();
+      const fillQuote = await this.quoteSell(token, totalTokens);
+      const driftPercent = decisionQuote.proceedsWei > 0n
+        ? (Number(fillQuote.proceedsWei) / Number(decisionQuote.proceedsWei)) * 100 - 100
+        : 0;
+
+      const fills = orders.map(({ wallet, state, tokens }) => {
+        const fill = {
+          wallet,
+          tokens,
+          proceedsWei: fillQuote.proceedsWei * tokens / totalTokens,
+          feeWei: fillQuote.feeWei * tokens / totalTokens,
+          gasWei
+        };
+        state.bnbWei += fill.proceedsWei - gasWei;
+        state.tokens.set(token, (state.tokens.get(token) || 0n) - tokens);
+        this.persistWallet(wallet);
+        return fill;
+      });
+      return { success: true, fills, driftPercent };
+    } catch (error) {
+      return { success: false, error: error.shortMessage || error.message, code: 'QUOTE_FAILED' };
+    }
+  }
+
+  /**
+   * Simulated balances in BNB / whole tokens for status output
+   */
+  getSummary() {
+    const wallets = [];
+    for (const [wallet, state] of this.wallets) {
+      const tokens = {};
+      for (const [token, amount] of state.tokens) {
+        if (amount > 0n) tokens[token] = Number(amount) / 1e18;
+      }
+      wallets.push({ wallet, balanceBNB: Number(state.bnbWei) / 1e18, tokens });
+    }
+    return wallets;
+  }
+}
+
+module.exports = { PaperTrader };
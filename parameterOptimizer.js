@@ -0,0 +1,263 @@
+const { runBacktest } = require('./backtestEngine');
+
+/**
+ * Parameter sweeps of one pattern's trading settings over recorded history
+ *
+ * Ranges map `pattern.trading` fields (dotted paths reach nested ones such as
+ * `curve.minProgressPercent`) to either a list of values or `{ min, max, step }`. Grid search
+ * backtests every combination, random search `samples` draws from the ranges. Configurations
+ * are ranked by the objective; ones with fewer than `minTrades` trades rank last.
+ *
+ * Walk-forward validation cuts the history into `folds` consecutive windows by token creation
+ * time, runs the search on the first `trainPercent` of each window and backtests the winner on
+ * the rest. Winners that fall apart out of sample are reported as likely overfit.
+ *
+ * Every backtest replays the same records. Load them with loadHistory({ patterns: [pattern] })
+ * so only the tokens the pattern matches are held; trading parameters don't change which
+ * tokens match.
+ */
+
+const OBJECTIVES = ['totalPnl', 'sharpe', 'maxDrawdown'];
+
+function roundValue(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+/**
+ * All values of a grid range
+ */
+function rangeValues(range) {
+  if (Array.isArray(range)) return range;
+  const { min, max, step } = range;
+  if (!(step > 0) || max < min) {
+    throw new Error(`Invalid range ${JSON.stringify(range)}: needs min <= max and step > 0`);
+  }
+  const values = [];
+  for (let value = min; value <= max + step / 1e6; value += step) {
+    values.push(roundValue(value));
+  }
+  return values;
+}
+
+/**
+ * Deterministic PRNG (mulberry32) so a random search can be repeated with the same seed
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function gridCombinations(ranges, maxCombinations) {
+  const fields = Object.keys(ranges);
+  const values = fields.map(field => rangeValues(ranges[field]));
+  const total = values.reduce((count, list) => count * list.length, 1);
+  if (total > maxCombinations) {
+    throw new Error(`Grid has ${total} combinations (limit ${maxCombinations}); narrow the ranges or use random search`);
+  }
+
+  let combinations = [{}];
+  fields.forEach((field, index) => {
+    combinations = combinations.flatMap(combination => values[index].map(value => ({ ...combination, [field]: value })));
+  });
+  return combinations;
+}
+
+function randomCombinations(ranges, samples, random) {
+  const combinations = [];
+  for (let i = 0; i < samples; i++) {
+    const combination = {};
+    for (const [field, range] of Object.entries(ranges)) {
+      if (Array.isArray(range)) {
+        combination[field] = range[Math.floor(random() * range.length)];
+      } else {
+        const value = range.min + random() * (range.max - range.min);
+        combination[field] = roundValue(range.step > 0 ? range.min + Math.round((value - range.min) / range.step) * range.step : value);
+      }
+    }
+    combinations.push(combination);
+  }
+  return combinations;
+}
+
+/**
+ * Copy of the pattern with the combination written into pattern.trading
+ */
+function applyParameters(pattern, parameters) {
+  const candidate = JSON.parse(JSON.stringify(pattern));
+  for (const [field, value] of Object.entries(parameters)) {
+    const keys = field.split('.');
+    let target = candidate.trading;
+    for (const key of keys.slice(0, -1)) {
+      if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+      target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+  }
+  return candidate;
+}
+
+/**
+ * Objective score of a backtest, higher is better. totalPnl is per hour so windows of
+ * different length compare; sharpe is mean over standard deviation of per-trade P&L.
+ */
+function scoreResults(results, objective) {
+  const total = results.total;
+  if (objective === 'totalPnl') {
+    return results.hours > 0 ? total.totalPnlBNB / results.hours : 0;
+  }
+  if (objective === 'sharpe') {
+    const pnls = results.trades.map(trade => trade.pnlBNB);
+    if (pnls.length < 2) return 0;
+    const mean = pnls.reduce((sum, pnl) => sum + pnl, 0) / pnls.length;
+    const variance = pnls.reduce((sum, pnl) => sum + (pnl - mean) ** 2, 0) / (pnls.length - 1);
+    return variance > 0 ? mean / Math.sqrt(variance) : 0;
+  }
+  if (objective === 'maxDrawdown') {
+    return -total.maxDrawdownBNB;
+  }
+  throw new Error(`Unknown objective "${objective}" (use ${OBJECTIVES.join(', ')})`);
+}
+
+/**
+ * Records that belong to tokens created in [fromMs, toMs), as a view over `records` that is
+ * walked on each replay instead of a copy held for the whole fold
+ */
+function selectByCreationTime(records, fromMs, toMs) {
+  const tokens = new Set();
+  for (const record of records) {
+    if (record.type === 'create' && record.t >= fromMs && record.t < toMs) {
+      tokens.add(String(record.token).toLowerCase());
+    }
+  }
+  return {
+    *[Symbol.iterator]() {
+      for (const record of records) {
+        if (tokens.has(String(record.token).toLowerCase())) yield record;
+      }
+    }
+  };
+}
+
+class ParameterOptimizer {
+  constructor({ pattern, ranges, config = {}, fillModel = {}, options = {} }) {
+    if (!pattern || !pattern.trading) {
+      throw new Error('A pattern with trading settings is required');
+    }
+    if (!ranges || Object.keys(ranges).length === 0) {
+      throw new Error('No parameter ranges given');
+    }
+    this.pattern = pattern;
+    this.ranges = ranges;
+    this.config = config;
+    this.fillModel = fillModel;
+    this.method = options.method || 'grid';
+    this.objective = options.objective || 'totalPnl';
+    this.samples = Math.max(1, Number(options.samples) || 200);
+    this.seed = Number(options.seed ?? 1);
+    this.minTrades = Math.max(0, Number(options.minTrades ?? 5));
+    this.maxCombinations = Math.max(1, Number(options.maxCombinations) || 5000);
+    this.folds = Math.max(0, Number(options.folds ?? 3));
+    this.trainPercent = Math.min(95, Math.max(5, Number(options.trainPercent) || 70));
+    if (!OBJECTIVES.includes(this.objective)) {
+      throw new Error(`Unknown objective "${this.objective}" (use ${OBJECTIVES.join(', ')})`);
+    }
+    if (!['grid', 'random'].includes(this.method)) {
+      throw new Error(`Unknown search method "${this.method}" (use grid or random)`);
+    }
+  }
+
+  combinations() {
+    return this.method === 'grid'
+      ? gridCombinations(this.ranges, this.maxCombinations)
+      : randomCombinations(this.ranges, this.samples, createRandom(this.seed));
+  }
+
+  evaluate(records, parameters) {
+    const results = runBacktest(records, {
+      patterns: [applyParameters(this.pattern, parameters)],
+      config: this.config,
+      fillModel: this.fillModel
+    });
+    return {
+      parameters,
+      score: scoreResults(results, this.objective),
+      eligible: results.total.trades >= this.minTrades,
+      summary: results.total
+    };
+  }
+
+  /**
+   * Backtest every combination and rank them, best first
+   */
+  search(records, combinations = this.combinations()) {
+    return combinations
+      .map(parameters => this.evaluate(records, parameters))
+      .sort((a, b) => (a.eligible === b.eligible ? b.score - a.score : a.eligible ? -1 : 1));
+  }
+
+  /**
+   * Train/test fold results and whether the in-sample winners held up out of sample
+   */
+  walkForward(records, combinations = this.combinations()) {
+    let startMs = Infinity;
+    let endMs = -Infinity;
+    for (const record of records) {
+      if (record.type !== 'create') continue;
+      startMs = Math.min(startMs, record.t);
+      endMs = Math.max(endMs, record.t + 1);
+    }
+    if (this.folds === 0 || startMs === Infinity) {
+      return { folds: [], degradedFolds: 0, overfitWarning: false };
+    }
+
+    const foldMs = (endMs - startMs) / this.folds;
+    const folds = [];
+    for (let i = 0; i < this.folds; i++) {
+      const foldStart = startMs + i * foldMs;
+      const splitMs = foldStart + foldMs * this.trainPercent / 100;
+      const train = selectByCreationTime(records, foldStart, splitMs);
+      const test = selectByCreationTime(records, splitMs, foldStart + foldMs);
+      const best = this.search(train, combinations)[0];
+      const outOfSample = this.evaluate(test, best.parameters);
+      // Out of sample keeps at least half of a positive in-sample score, and doesn't flip negative
+      const degraded = !best.eligible || best.score <= 0
+        ? outOfSample.score < best.score
+        : outOfSample.score < best.score * 0.5;
+      folds.push({
+        from: new Date(foldStart).toISOString(),
+        split: new Date(splitMs).toISOString(),
+        to: new Date(foldStart + foldMs).toISOString(),
+        parameters: best.parameters,
+        trainScore: best.score,
+        trainTrades: best.summary.trades,
+        testScore: outOfSample.score,
+        testTrades: outOfSample.summary.trades,
+        degraded
+      });
+    }
+    const degradedFolds = folds.filter(fold => fold.degraded).length;
+    return { folds, degradedFolds, overfitWarning: degradedFolds > folds.length / 2 };
+  }
+
+  /**
+   * Full-history ranking plus walk-forward validation over the same combinations
+   */
+  run(records) {
+    const combinations = this.combinations();
+    return {
+      objective: this.objective,
+      method: this.method,
+      combinations: combinations.length,
+      ranking: this.search(records, combinations),
+      walkForward: this.walkForward(records, combinations)
+    };
+  }
+}
+
+module.exports = { ParameterOptimizer, applyParameters, scoreResults, rangeValues, OBJECTIVES };
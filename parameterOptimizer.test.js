@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ParameterOptimizer, applyParameters, rangeValues } = require('./parameterOptimizer');
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const START = Date.parse('2024-06-01T00:00:00Z');
+const FILLS = { feePercent: 0, slippagePercent: 0, gasBNB: 0, latencyMs: 0 };
+
+const pattern = {
+  name: 'test',
+  enabled: true,
+  gasPrice: { min: 1, max: 10 },
+  gasLimit: { min: 0, max: 2000000 },
+  trading: {
+    buyAmount: 0.01,
+    buyPriceThresholdUSD: 0.5,
+    firstSellThresholdPercent: 1000,
+    secondSellThresholdPercent: 200,
+    stopLossFromPeakPercent: 50,
+    priceStagnationTimeoutSeconds: 600,
+    longTermStagnationTimeoutSeconds: 3600
+  }
+};
+
+/**
+ * One token created at `at` whose price walks through `prices`, a minute apart
+ */
+function tokenHistory(token, at, prices) {
+  return [
+    { type: 'create', t: at, token, gasPriceGwei: 5, gasLimit: 1000000 },
+    ...prices.map((price, i) => ({ type: 'price', t: at + (i + 1) * MINUTE, token, priceBNB: price / 1000, priceUSD: price }))
+  ];
+}
+
+test('ranges expand to grid values and parameters land on dotted pattern.trading paths', () => {
+  assert.deepStrictEqual(rangeValues({ min: 0.1, max: 0.3, step: 0.1 }), [0.1, 0.2, 0.3]);
+  assert.throws(() => rangeValues({ min: 2, max: 1, step: 1 }), /min <= max/);
+
+  const candidate = applyParameters(pattern, { stopLossFromPeakPercent: 30, 'curve.minProgressPercent': 20 });
+  assert.strictEqual(candidate.trading.stopLossFromPeakPercent, 30);
+  assert.deepStrictEqual(candidate.trading.curve, { minProgressPercent: 20 });
+  assert.strictEqual(pattern.trading.stopLossFromPeakPercent, 50);
+  assert.strictEqual(pattern.trading.curve, undefined);
+});
+
+test('grid search ranks configurations by backtest score and ones under minTrades last', () => {
+  // Up 60% then a dump: taking profit at +50% wins, waiting for +200% ends in the stop loss
+  const records = tokenHistory('0xa', START, [1, 1.6, 0.5]);
+  const optimizer = new ParameterOptimizer({
+    pattern,
+    ranges: { secondSellThresholdPercent: [200, 50] },
+    fillModel: FILLS,
+    options: { minTrades: 1 }
+  });
+
+  const ranking = optimizer.search(records);
+  assert.deepStrictEqual(ranking.map(entry => entry.parameters.secondSellThresholdPercent), [50, 200]);
+  assert.ok(ranking[0].score > 0 && ranking[1].score < 0);
+  assert.strictEqual(ranking[0].summary.exitReasons.second_sell_threshold, 1);
+
+  const strict = new ParameterOptimizer({ pattern, ranges: { secondSellThresholdPercent: [200, 50] }, fillModel: FILLS, options: { minTrades: 2 } });
+  assert.ok(strict.search(records).every(entry => !entry.eligible));
+});
+
+test('random search draws the same steps for the same seed; an oversized grid is refused', () => {
+  const ranges = { stopLossFromPeakPercent: { min: 10, max: 50, step: 5 }, secondSellThresholdPercent: [50, 100] };
+  const draws = seed => new ParameterOptimizer({ pattern, ranges, options: { method: 'random', samples: 5, seed } }).combinations();
+
+  assert.deepStrictEqual(draws(7), draws(7));
+  assert.ok(draws(7).every(combination => combination.stopLossFromPeakPercent % 5 === 0));
+  assert.throws(() => new ParameterOptimizer({ pattern, ranges, options: { maxCombinations: 10 } }).combinations(), /18 combinations/);
+});
+
+test('walk-forward flags winners that do not hold up out of sample', () => {
+  const optimizer = new ParameterOptimizer({
+    pattern,
+    ranges: { secondSellThresholdPercent: [200, 50] },
+    fillModel: FILLS,
+    options: { minTrades: 1, folds: 2, trainPercent: 50 }
+  });
+  const pump = [1, 1.6, 0.5];
+  const rug = [1, 0.4];
+
+  // Each fold trains on one token and tests on the next
+  const repeating = [0, 1, 2, 3].flatMap(i => tokenHistory(`0x${i}`, START + i * HOUR, pump));
+  const steady = optimizer.walkForward(repeating);
+  assert.strictEqual(steady.folds.length, 2);
+  assert.deepStrictEqual(steady.folds.map(fold => [fold.parameters.secondSellThresholdPercent, fold.trainTrades, fold.testTrades]), [[50, 1, 1], [50, 1, 1]]);
+  assert.strictEqual(steady.overfitWarning, false);
+
+  const shifting = [0, 1, 2, 3].flatMap(i => tokenHistory(`0x${i}`, START + i * HOUR, i % 2 === 0 ? pump : rug));
+  const overfit = optimizer.walkForward(shifting);
+  assert.strictEqual(overfit.degradedFolds, 2);
+  assert.strictEqual(overfit.overfitWarning, true);
+});
@@ -101,8 +101,12 @@ class PriceTradingBot {
     console.log(`   Update Interval: ${config.monitoring.updateIntervalMs}ms`);
     console.log(`   Inactive Timeout: ${config.monitoring.inactiveTimeoutMinutes} minutes`);
     console.log(`   Max Concurrent Tokens: ${config.monitoring.maxConcurrentTokens}`);
+    const migrationGuard = config.trading.migrationGuard || {};
+    console.log(`   Migration Guard: ${migrationGuard.enabled === false ? 'OFF' : `half at ${migrationGuard.partialExitProgressPercent ?? 80}%, all at ${migrationGuard.fullExitProgressPercent ?? 95}% curve progress`}`);
     console.log(`   Max Trades/Hour: ${config.safety.maxTradesPerHour}`);
     console.log(`   Max Trades/Day: ${config.safety.maxTradesPerDay}`);
+    console.log(`   Max Daily Loss: ${config.safety.maxDailyLossBNB ?? 'off'} BNB, Max Drawdown: ${config.safety.maxDrawdownBNB ?? 'off'} BNB (reset: ${config.safety.circuitBreakerResetMode || 'next_utc_day'})`);
+    console.log(`   Emergency Stop: ${config.safety.emergencyStop ? 'ON' : 'OFF'} (kill switch: ${config.safety.killSwitchFile || 'disabled'}, signal: SIGUSR2)`);
     console.log('');
     
     // Show pattern usage statistics
@@ -146,13 +150,34 @@ class PriceTradingBot {
     const uptime = Math.floor((Date.now() - this.startTime.getTime()) / 1000);
     
     console.log('\n📈 Trading Status Update:');
+    if (stats.emergencyStop && stats.emergencyStop.active) {
+      const state = stats.emergencyStop.flattening ? 'flattening positions' : 'READ-ONLY';
+      console.log(`   🚨 EMERGENCY STOP (${state}): ${stats.emergencyStop.reason}`);
+      console.log(`   🚨 Triggered: ${stats.emergencyStop.triggeredAt}, open positions left: ${stats.emergencyStop.openPositions}`);
+    }
+    if (stats.circuitBreaker) {
+      console.log(`   🛑 CIRCUIT BREAKER: ${stats.circuitBreaker.reason} (since ${stats.circuitBreaker.trippedAt}), buying paused`);
+    }
     console.log(`   Uptime: ${this.formatUptime(uptime)}`);
     console.log(`   Tokens Monitored: ${stats.tokensCurrentlyMonitored}`);
     console.log(`   Total Trades: ${stats.totalTrades}`);
     console.log(`   Successful Buys: ${stats.successfulBuys}`);
     console.log(`   Successful Sells: ${stats.successfulSells}`);
-    console.log(`   Total Profit: $${stats.totalProfitUSD.toFixed(8)}`);
+    console.log(`   Realized P&L: ${stats.realizedPnlBNB.toFixed(6)} BNB ($${stats.totalProfitUSD.toFixed(2)})`);
+    console.log(`   Trades Last Hour/Day: ${stats.tradesLastHour}/${stats.tradesLastDay}`);
+    console.log(`   Daily P&L: ${stats.dailyPnlBNB.toFixed(6)} BNB (realized ${stats.realizedPnlTodayBNB.toFixed(6)}, unrealized ${stats.unrealizedPnlBNB.toFixed(6)})`);
+    console.log(`   Drawdown From Peak: ${stats.drawdownBNB.toFixed(6)} BNB`);
     console.log(`   Available Wallets: ${stats.availableWallets}`);
+    if (stats.paper.ledgerBuys > 0) {
+      console.log(`   🧪 Paper P&L: ${stats.paper.realizedPnlBNB.toFixed(6)} BNB realized, ${stats.paper.unrealizedPnlBNB.toFixed(6)} BNB unrealized`);
+      if (stats.paper.circuitBreaker) {
+        console.log(`   🧪 Paper circuit breaker: ${stats.paper.circuitBreaker.reason}, paper buying paused`);
+      }
+    }
+    for (const paper of stats.paperWallets) {
+      const holdings = Object.keys(paper.tokens).length;
+      console.log(`   🧪 Paper ${paper.wallet.slice(0, 8)}...: ${paper.balanceBNB.toFixed(6)} BNB, ${holdings} token holding(s)`);
+    }
     
     // Show recent token activity
     if (monitoredTokens.length > 0) {
@@ -168,7 +193,12 @@ class PriceTradingBot {
         const tradedStatus = token.hasBeenTraded ? '✅' : '⏳';
         const patternName = token.matchedPattern ? token.matchedPattern.name : 'Unknown';
         const positionStatus = token.positionOpen ? '🟢' : '⚪';
-        console.log(`   ${tradedStatus} ${positionStatus} ${token.tokenAddress.slice(0, 8)}... $${token.currentPriceUSD.toFixed(8)} ${priceChangeEmoji} ${token.priceChangePercent > 0 ? '+' : ''}${token.priceChangePercent.toFixed(2)}% (${patternName})`);
+        const curveStatus = typeof token.curveProgressPercent === 'number'
+          ? ` | curve ${token.curveProgressPercent.toFixed(1)}%, ${(token.curveFundsRaisedBNB || 0).toFixed(3)} BNB` +
+            (typeof token.curveInflowBNBPerMinute === 'number' ? ` (${token.curveInflowBNBPerMinute >= 0 ? '+' : ''}${token.curveInflowBNBPerMinute.toFixed(3)}/min)` : '') +
+            (typeof token.secondsSinceLaunch === 'number' ? `, ${Math.floor(token.secondsSinceLaunch)}s since launch` : '')
+          : '';
+        console.log(`   ${tradedStatus} ${positionStatus} ${token.tokenAddress.slice(0, 8)}... $${token.currentPriceUSD.toFixed(8)} ${priceChangeEmoji} ${token.priceChangePercent > 0 ? '+' : ''}${token.priceChangePercent.toFixed(2)}% (${patternName})${curveStatus}`);
       });
     }
     
@@ -190,7 +220,14 @@ class PriceTradingBot {
     console.log(`Total Trades: ${stats.totalTrades}`);
     console.log(`Successful Buys: ${stats.successfulBuys}`);
     console.log(`Successful Sells: ${stats.successfulSells}`);
-    console.log(`Total Profit: $${stats.totalProfitUSD.toFixed(8)}`);
+    console.log(`BNB Spent: ${stats.totalSpentBNB.toFixed(6)} BNB (${stats.ledgerBuys} buy fills)`);
+    console.log(`BNB Received: ${stats.totalReceivedBNB.toFixed(6)} BNB (${stats.ledgerSells} sell fills)`);
+    console.log(`Gas Paid: ${stats.totalGasBNB.toFixed(6)} BNB, Trading Fees: ${stats.totalFeesBNB.toFixed(6)} BNB`);
+    console.log(`Open Cost Basis: ${stats.openCostBasisBNB.toFixed(6)} BNB`);
+    console.log(`Realized P&L: ${stats.realizedPnlBNB.toFixed(6)} BNB ($${stats.totalProfitUSD.toFixed(2)})`);
+    if (stats.paper.ledgerBuys > 0) {
+      console.log(`Paper P&L: ${stats.paper.realizedPnlBNB.toFixed(6)} BNB (${stats.paper.ledgerBuys} buy / ${stats.paper.ledgerSells} sell fills, ${stats.paper.totalGasBNB.toFixed(6)} BNB gas)`);
+    }
     console.log(`Success Rate: ${stats.totalTrades > 0 ? ((stats.successfulBuys + stats.successfulSells) / stats.totalTrades * 100).toFixed(1) : 0}%`);
     console.log('='.repeat(40));
   }
@@ -254,6 +291,12 @@ process.on('SIGTERM', async () => {
   await bot.stop();
 });
 
+// Emergency stop: halt buys, flatten all positions, keep running read-only
+process.on('SIGUSR2', () => {
+  console.log('\n🚨 Received emergency stop signal (SIGUSR2)...');
+  bot.tradingService.triggerEmergencyStop('SIGUSR2 signal received');
+});
+
 // Handle uncaught exceptions
 process.on('uncaughtException', async (error) => {
   console.error('❌ Uncaught Exception:', error);
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Tick-level price history of monitored tokens
+ *
+ * Every price sample is appended as one NDJSON line to a daily file
+ * (`prices-YYYY-MM-DD.ndjson`), which rolls over to `prices-YYYY-MM-DD.1.ndjson`, `.2`, ...
+ * once it grows past `maxFileSizeMB`. Token creations (with the creator gas fields that
+ * pattern matching uses) are written to the same files as `type: "create"` lines so a
+ * replay sees each token's full lifecycle. Files older than `retentionDays` are deleted.
+ * Lines are buffered and written once per monitoring tick.
+ */
+
+const DEFAULT_HISTORY_DIR = path.join(__dirname, 'data/history');
+const FILE_PATTERN = /^prices-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.ndjson$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PriceHistory {
+  constructor(options = {}) {
+    this.dir = options.dir ? path.resolve(__dirname, options.dir) : DEFAULT_HISTORY_DIR;
+    this.enabled = options.enabled !== false;
+    this.retentionDays = Math.max(1, Number(options.retentionDays) || 14);
+    this.maxFileBytes = Math.max(1, Number(options.maxFileSizeMB) || 100) * 1024 * 1024;
+    this.buffer = [];
+    this.currentDay = null;
+    this.currentIndex = 0;
+  }
+
+  recordSample({ tokenAddress, at = Date.now(), blockNumber = null, priceBNB, priceUSD, curve = null, venue = 'curve' }) {
+    this.append({
+      type: 'price',
+      t: at,
+      block: blockNumber,
+      token: tokenAddress,
+      priceBNB,
+      priceUSD,
+      fundsBNB: curve ? curve.fundsRaisedBNB : null,
+      offers: curve ? curve.offers : null,
+      progress: curve ? curve.progressPercent : null,
+      venue
+    });
+  }
+
+  recordCreation({ tokenAddress, at = Date.now(), blockNumber = null, creatorAddress, gasPriceGwei, gasLimit, transactionHash }) {
+    this.append({
+      type: 'create',
+      t: at,
+      block: blockNumber,
+      token: tokenAddress,
+      creator: creatorAddress,
+      gasPriceGwei,
+      gasLimit,
+      txHash: transactionHash
+    });
+  }
+
+  append(record) {
+    if (!this.enabled) return;
+    this.buffer.push(record);
+  }
+
+  /**
+   * Write buffered lines to the current file, rotating by day and size
+   */
+  flush(now = Date.now()) {
+    if (!this.enabled || this.buffer.length === 0) return;
+    const lines = this.buffer.map(record => JSON.stringify(record)).join('\n') + '\n';
+    this.buffer = [];
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      const filePath = this.currentFile(now);
+      fs.appendFileSync(filePath, lines);
+    } catch (error) {
+      console.error('❌ Error writing price history:', error.message);
+    }
+  }
+
+  currentFile(now) {
+    const day = new Date(now).toISOString().slice(0, 10);
+    if (day !== this.currentDay) {
+      this.currentDay = day;
+      this.currentIndex = this.lastIndexFor(day);
+      this.prune(now);
+    }
+    let filePath = this.fileName(day, this.currentIndex);
+    if (fs.existsSync(filePath) && fs.statSync(filePath).size >= this.maxFileBytes) {
+      this.currentIndex++;
+      filePath = this.fileName(day, this.currentIndex);
+    }
+    return filePath;
+  }
+
+  fileName(day, index) {
+    return path.join(this.dir, index > 0 ? `prices-${day}.${index}.ndjson` : `prices-${day}.ndjson`);
+  }
+
+  lastIndexFor(day) {
+    return this.listFiles()
+      .filter(file => file.day === day)
+      .reduce((max, file) => Math.max(max, file.index), 0);
+  }
+
+  /**
+   * History files in chronological order
+   */
+  listFiles() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .map(name => {
+        const match = name.match(FILE_PATTERN);
+        return match ? { name, path: path.join(this.dir, name), day: match[1], index: Number(match[2] || 0) } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => (a.day === b.day ? a.index - b.index : a.day < b.day ? -1 : 1));
+  }
+
+  /**
+   * Delete files older than the retention window
+   */
+  prune(now = Date.now()) {
+    const oldestDay = new Date(now - this.retentionDays * DAY_MS).toISOString().slice(0, 10);
+    for (const file of this.listFiles()) {
+      if (file.day < oldestDay) {
+        try {
+          fs.unlinkSync(file.path);
+        } catch (error) {
+          console.error(`❌ Error deleting price history file ${file.name}:`, error.message);
+        }
+      }
+    }
+  }
+}
+
+module.exports = { PriceHistory };
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PriceHistory } = require('./priceHistory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createHistory(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new PriceHistory({ dir, maxFileSizeMB: 1, retentionDays: 2, ...options });
+}
+
+function readLines(file) {
+  return fs.readFileSync(file.path, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('samples are buffered until flush and written as NDJSON to the day file', t => {
+  const history = createHistory(t);
+  const now = Date.parse('2024-06-01T12:00:00Z');
+  history.recordCreation({ tokenAddress: '0xaaa', at: now, blockNumber: 10, creatorAddress: '0xc', gasPriceGwei: 1, gasLimit: 500000, transactionHash: '0x1' });
+  history.recordSample({ tokenAddress: '0xaaa', at: now + 1000, blockNumber: 11, priceBNB: 1e-8, priceUSD: 6e-6, curve: { fundsRaisedBNB: 2, offers: '10', progressPercent: 8 } });
+  assert.deepStrictEqual(history.listFiles(), []);
+
+  history.flush(now + 1000);
+  const files = history.listFiles();
+  assert.deepStrictEqual(files.map(file => file.name), ['prices-2024-06-01.ndjson']);
+  const [creation, sample] = readLines(files[0]);
+  assert.strictEqual(creation.type, 'create');
+  assert.strictEqual(creation.txHash, '0x1');
+  assert.deepStrictEqual(sample, { type: 'price', t: now + 1000, block: 11, token: '0xaaa', priceBNB: 1e-8, priceUSD: 6e-6, fundsBNB: 2, offers: '10', progress: 8, venue: 'curve' });
+});
+
+test('files roll over by size within a day, continue after a restart and are pruned after retentionDays', t => {
+  const history = createHistory(t);
+  const day1 = Date.parse('2024-06-01T12:00:00Z');
+  history.append({ type: 'price', t: day1, padding: 'x'.repeat(1024 * 1024) });
+  history.flush(day1);
+  history.recordSample({ tokenAddress: '0xaaa', at: day1, priceBNB: 1, priceUSD: 1 });
+  history.flush(day1);
+  assert.deepStrictEqual(history.listFiles().map(file => file.name), ['prices-2024-06-01.ndjson', 'prices-2024-06-01.1.ndjson']);
+
+  // A new instance appends to the last file of the day
+  const restarted = new PriceHistory({ dir: history.dir, maxFileSizeMB: 1, retentionDays: 2 });
+  restarted.recordSample({ tokenAddress: '0xbbb', at: day1, priceBNB: 1, priceUSD: 1 });
+  restarted.flush(day1);
+  assert.strictEqual(readLines(restarted.listFiles()[1]).length, 2);
+
+  restarted.recordSample({ tokenAddress: '0xbbb', at: day1 + 3 * DAY_MS, priceBNB: 1, priceUSD: 1 });
+  restarted.flush(day1 + 3 * DAY_MS);
+  assert.deepStrictEqual(restarted.listFiles().map(file => file.name), ['prices-2024-06-04.ndjson']);
+});
@@ -0,0 +1,238 @@
+/**
+ * Trading risk gate
+ *
+ * Counts buys in rolling hourly and daily windows and tracks BNB P&L (realized per
+ * UTC day and since start, plus unrealized on open positions). New buys are refused
+ * when a trade limit is hit or the daily-loss / drawdown circuit breaker has tripped;
+ * sells are never counted or gated. A buy's slot is reserved when it is allowed, so
+ * concurrent buys cannot overshoot the limits, and released again if the buy fails.
+ * Everything lives in the state journal so limits survive restarts.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const PNL_PERSIST_INTERVAL_MS = 30000;
+
+function utcDay(at = Date.now()) {
+  return new Date(at).toISOString().slice(0, 10);
+}
+
+function emptyPnl(day) {
+  return {
+    day,
+    dayStartEquityBNB: 0, // Equity (realized + unrealized) when the UTC day began
+    realizedTodayBNB: 0,
+    realizedTotalBNB: 0,
+    unrealizedBNB: 0,
+    peakEquityBNB: 0,
+    breaker: null // { reason, limit, trippedAt, day } while buying is paused
+  };
+}
+
+class RiskManager {
+  constructor({ stateStore, getSafetyConfig, clock = { now: () => Date.now() } }) {
+    this.stateStore = stateStore;
+    this.getSafetyConfig = getSafetyConfig; // Read on every check so config updates apply live
+    this.clock = clock; // { now: () => ms }, the service's clock
+    this.trades = []; // [{ at, tokenAddress }] per buy, oldest first
+    this.pnl = emptyPnl(utcDay(this.clock.now()));
+    this.lastPnlPersistAt = 0;
+  }
+
+  /**
+   * Reload the trade window from the (already loaded) state store
+   */
+  load() {
+    const saved = this.stateStore.get('risk', 'trades');
+    this.trades = Array.isArray(saved) ? saved.filter(t => t && Number.isFinite(t.at)) : [];
+    this.prune();
+
+    const savedPnl = this.stateStore.get('risk', 'pnl');
+    if (savedPnl && savedPnl.day) {
+      this.pnl = { ...emptyPnl(savedPnl.day), ...savedPnl };
+    }
+    this.rollDay();
+  }
+
+  /**
+   * Give back the slot of a buy that did not go through
+   */
+  releaseTrade(reservation) {
+    const index = this.trades.indexOf(reservation);
+    if (index < 0) return;
+    this.trades.splice(index, 1);
+    this.stateStore.set('risk', 'trades', this.trades);
+  }
+
+  prune(now = this.clock.now()) {
+    const cutoff = now - DAY_MS;
+    while (this.trades.length > 0 && this.trades[0].at <= cutoff) {
+      this.trades.shift();
+    }
+  }
+
+  getTradeCounts(now = this.clock.now()) {
+    this.prune(now);
+    const hourCutoff = now - HOUR_MS;
+    return {
+      lastHour: this.trades.filter(t => t.at > hourCutoff).length,
+      lastDay: this.trades.length
+    };
+  }
+
+  getEquityBNB() {
+    return this.pnl.realizedTotalBNB + this.pnl.unrealizedBNB;
+  }
+
+  /**
+   * Book realized BNB P&L from a closed (or partially closed) position
+   */
+  recordRealizedPnl(pnlBNB, now = this.clock.now()) {
+    if (!Number.isFinite(pnlBNB)) return;
+    this.rollDay(now);
+    this.pnl.realizedTodayBNB += pnlBNB;
+    this.pnl.realizedTotalBNB += pnlBNB;
+    this.evaluateBreaker(now);
+    this.persistPnl(true);
+  }
+
+  /**
+   * Mark open positions to market (current value minus remaining cost basis, in BNB)
+   */
+  updateUnrealizedPnl(unrealizedBNB, now = this.clock.now()) {
+    if (!Number.isFinite(unrealizedBNB)) return;
+    this.rollDay(now);
+    this.pnl.unrealizedBNB = unrealizedBNB;
+    this.evaluateBreaker(now);
+    this.persistPnl();
+  }
+
+  /**
+   * Start a new P&L day at UTC midnight; optionally lift a breaker tripped on an earlier day
+   */
+  rollDay(now = this.clock.now()) {
+    const today = utcDay(now);
+    if (this.pnl.day === today) return;
+
+    this.pnl.day = today;
+    this.pnl.dayStartEquityBNB = this.getEquityBNB();
+    this.pnl.realizedTodayBNB = 0;
+
+    const safety = this.getSafetyConfig() || {};
+    const resetMode = safety.circuitBreakerResetMode || 'next_utc_day';
+    if (this.pnl.breaker && resetMode === 'next_utc_day') {
+      console.log(`✅ Circuit breaker (${this.pnl.breaker.limit}) lifted for new UTC day ${today}`);
+      this.pnl.breaker = null;
+    }
+    this.persistPnl(true);
+  }
+
+  evaluateBreaker(now = this.clock.now()) {
+    const equity = this.getEquityBNB();
+    if (equity > this.pnl.peakEquityBNB) {
+      this.pnl.peakEquityBNB = equity;
+    }
+    if (this.pnl.breaker) return;
+
+    const safety = this.getSafetyConfig() || {};
+    const dailyPnl = equity - this.pnl.dayStartEquityBNB;
+    const drawdown = this.pnl.peakEquityBNB - equity;
+
+    const maxDailyLoss = Number(safety.maxDailyLossBNB);
+    if (Number.isFinite(maxDailyLoss) && maxDailyLoss > 0 && -dailyPnl >= maxDailyLoss) {
+      this.tripBreaker('maxDailyLossBNB', `daily loss ${(-dailyPnl).toFixed(6)} BNB ≥ ${maxDailyLoss} BNB`, now);
+      return;
+    }
+
+    const maxDrawdown = Number(safety.maxDrawdownBNB);
+    if (Number.isFinite(maxDrawdown) && maxDrawdown > 0 && drawdown >= maxDrawdown) {
+      this.tripBreaker('maxDrawdownBNB', `drawdown ${drawdown.toFixed(6)} BNB from peak ≥ ${maxDrawdown} BNB`, now);
+    }
+  }
+
+  tripBreaker(limit, reason, now) {
+    const safety = this.getSafetyConfig() || {};
+    const resetMode = safety.circuitBreakerResetMode || 'next_utc_day';
+    this.pnl.breaker = { limit, reason, trippedAt: new Date(now).toISOString(), day: this.pnl.day };
+    console.log(`🛑 Circuit breaker tripped: ${reason}. Buying paused until ${resetMode === 'manual' ? 'manual reset' : 'next UTC day'}`);
+    this.persistPnl(true);
+  }
+
+  /**
+   * Manually lift a tripped breaker (drawdown is measured from the current equity afterwards)
+   */
+  resetCircuitBreaker() {
+    if (!this.pnl.breaker) return false;
+    console.log(`✅ Circuit breaker (${this.pnl.breaker.limit}) reset manually`);
+    this.pnl.breaker = null;
+    this.pnl.peakEquityBNB = this.getEquityBNB();
+    this.pnl.dayStartEquityBNB = this.getEquityBNB();
+    this.persistPnl(true);
+    return true;
+  }
+
+  persistPnl(force = false) {
+    const now = this.clock.now();
+    if (!force && now - this.lastPnlPersistAt < PNL_PERSIST_INTERVAL_MS) return;
+    this.lastPnlPersistAt = now;
+    this.stateStore.set('risk', 'pnl', this.pnl);
+  }
+
+  /**
+   * Decide whether a new buy may be placed right now and, if so, take its slot in the
+   * trade windows. Pass the returned reservation to releaseTrade() if the buy fails.
+   */
+  canOpenPosition(tokenAddress, now = this.clock.now()) {
+    const safety = this.getSafetyConfig() || {};
+    const counts = this.getTradeCounts(now);
+
+    this.rollDay(now);
+    if (this.pnl.breaker) {
+      return {
+        allowed: false,
+        limit: this.pnl.breaker.limit,
+        reason: `circuit breaker: ${this.pnl.breaker.reason}`
+      };
+    }
+
+    const maxPerHour = Number(safety.maxTradesPerHour);
+    if (Number.isFinite(maxPerHour) && maxPerHour > 0 && counts.lastHour >= maxPerHour) {
+      return {
+        allowed: false,
+        limit: 'maxTradesPerHour',
+        reason: `maxTradesPerHour reached (${counts.lastHour}/${maxPerHour} in the last hour)`
+      };
+    }
+
+    const maxPerDay = Number(safety.maxTradesPerDay);
+    if (Number.isFinite(maxPerDay) && maxPerDay > 0 && counts.lastDay >= maxPerDay) {
+      return {
+        allowed: false,
+        limit: 'maxTradesPerDay',
+        reason: `maxTradesPerDay reached (${counts.lastDay}/${maxPerDay} in the last 24h)`
+      };
+    }
+
+    const reservation = { at: now, tokenAddress };
+    this.trades.push(reservation);
+    this.stateStore.set('risk', 'trades', this.trades);
+    return { allowed: true, reservation };
+  }
+
+  getStatus(now = this.clock.now()) {
+    const counts = this.getTradeCounts(now);
+    const equity = this.getEquityBNB();
+    return {
+      tradesLastHour: counts.lastHour,
+      tradesLastDay: counts.lastDay,
+      realizedPnlTodayBNB: this.pnl.realizedTodayBNB,
+      realizedPnlTotalBNB: this.pnl.realizedTotalBNB,
+      unrealizedPnlBNB: this.pnl.unrealizedBNB,
+      dailyPnlBNB: equity - this.pnl.dayStartEquityBNB,
+      drawdownBNB: this.pnl.peakEquityBNB - equity,
+      circuitBreaker: this.pnl.breaker ? { ...this.pnl.breaker } : null
+    };
+  }
+}
+
+module.exports = { RiskManager };
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StateStore } = require('./stateStore');
+const { RiskManager } = require('./riskManager');
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const MINUTE = 60 * 1000;
+
+function createRisk(t, safety, start = Date.parse('2024-06-01T12:00:00Z')) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const clock = { at: start, now: () => clock.at };
+  const create = () => {
+    const risk = new RiskManager({ stateStore: new StateStore({ dir }).load(), getSafetyConfig: () => safety, clock });
+    risk.load();
+    return risk;
+  };
+  return { clock, create };
+}
+
+test('buys take a slot in the hourly window and a failed buy gives it back', t => {
+  const { clock, create } = createRisk(t, { maxTradesPerHour: 2, maxTradesPerDay: 3 });
+  const risk = create();
+
+  const first = risk.canOpenPosition(TOKEN);
+  const second = risk.canOpenPosition(TOKEN);
+  assert.strictEqual(first.allowed && second.allowed, true);
+  const third = risk.canOpenPosition(TOKEN);
+  assert.strictEqual(third.allowed, false);
+  assert.strictEqual(third.limit, 'maxTradesPerHour');
+
+  risk.releaseTrade(second.reservation);
+  assert.strictEqual(risk.canOpenPosition(TOKEN).allowed, true);
+
+  // An hour later the hourly window is clear, the daily one is not
+  clock.at += 61 * MINUTE;
+  assert.strictEqual(risk.canOpenPosition(TOKEN).allowed, true);
+  const overDaily = risk.canOpenPosition(TOKEN);
+  assert.strictEqual(overDaily.limit, 'maxTradesPerDay');
+  assert.strictEqual(risk.getStatus().tradesLastDay, 3);
+});
+
+test('the trade window survives a restart', t => {
+  const { create } = createRisk(t, { maxTradesPerHour: 2 });
+  const risk = create();
+  risk.canOpenPosition(TOKEN);
+
+  const restarted = create();
+  assert.strictEqual(restarted.getStatus().tradesLastHour, 1);
+  assert.strictEqual(restarted.canOpenPosition(TOKEN).allowed, true);
+  assert.strictEqual(restarted.canOpenPosition(TOKEN).allowed, false);
+});
+
+test('the daily loss breaker stops buys until the next UTC day', t => {
+  const { clock, create } = createRisk(t, { maxDailyLossBNB: 0.1 }, Date.parse('2024-06-01T22:00:00Z'));
+  const risk = create();
+
+  risk.recordRealizedPnl(-0.06);
+  assert.strictEqual(risk.canOpenPosition(TOKEN).allowed, true);
+  risk.updateUnrealizedPnl(-0.05);
+  const blocked = risk.canOpenPosition(TOKEN);
+  assert.strictEqual(blocked.allowed, false);
+  assert.strictEqual(blocked.limit, 'maxDailyLossBNB');
+
+  // The breaker outlives a restart on the same day
+  assert.strictEqual(create().canOpenPosition(TOKEN).allowed, false);
+
+  clock.at = Date.parse('2024-06-02T00:01:00Z');
+  assert.strictEqual(risk.canOpenPosition(TOKEN).allowed, true);
+  assert.strictEqual(risk.getStatus().realizedPnlTodayBNB, 0);
+});
+
+test('the drawdown breaker with manual reset waits for resetCircuitBreaker()', t => {
+  const { clock, create } = createRisk(t, { maxDrawdownBNB: 0.2, circuitBreakerResetMode: 'manual' });
+  const risk = create();
+
+  risk.recordRealizedPnl(0.5);
+  risk.recordRealizedPnl(-0.25);
+  assert.strictEqual(risk.canOpenPosition(TOKEN).limit, 'maxDrawdownBNB');
+
+  clock.at += 24 * 60 * MINUTE;
+  assert.strictEqual(risk.canOpenPosition(TOKEN).allowed, false);
+  assert.strictEqual(risk.resetCircuitBreaker(), true);
+  assert.strictEqual(risk.canOpenPosition(TOKEN).allowed, true);
+  assert.strictEqual(risk.getStatus().drawdownBNB, 0);
+});
@@ -1,5 +1,5 @@
 require('dotenv').config();
-const { createPublicClient, createWalletClient, http, fallback, formatUnits, parseUnits, encodeFunctionData, maxUint256 } = require('viem');
+const { createPublicClient, createWalletClient, http, fallback, formatUnits, parseUnits, encodeFunctionData, maxUint256, parseEventLogs } = require('viem');
 const { privateKeyToAccount } = require('viem/accounts');
 const crypto = require('crypto');
 const { bsc } = require('viem/chains');
@@ -7,15 +7,76 @@ const fs = require('fs');
 const path = require('path');
 const {
   TOKEN_MANAGER_HELPER_ABI,
+  TOKEN_MANAGER_EVENTS_ABI,
   TOKEN_MANAGER_V1_ABI,
   TOKEN_MANAGER_V2_ABI,
   ERC20_ABI,
-  PANCAKESWAP_V2_ROUTER_ABI
+  PANCAKESWAP_V2_ROUTER_ABI,
+  WBNB_EVENTS_ABI
 } = require('./abis');
 const { loadPatterns, matchPattern } = require('./patternDetection');
-const { shouldBuy, shouldSell, getTradingParams } = require('./tradingLogic');
+const { shouldBuy, shouldSell, getTradingParams, getCurveProgressPercent, applyCurveState, DEFAULT_MIN_PROCEEDS_OVERRIDE_REASONS } = require('./tradingLogic');
 const { loadWallets } = require('./walletUtils');
-const { loadConfig, saveConfig } = require('./config');
+const { loadConfig, saveConfig, mergeConfig } = require('./config');
+const { StateStore } = require('./stateStore');
+const { HeadWatcher } = require('./headWatcher');
+const { BlockHashTracker } = require('./blockHashTracker');
+const { RiskManager } = require('./riskManager');
+const { TradeLedger, toBNB } = require('./tradeLedger');
+const { NonceManager } = require('./nonceManager');
+const { TxWatcher } = require('./txWatcher');
+const { GasPolicy } = require('./gasPolicy');
+const { simulateTransaction, isCallRejection, buildErrorAbi } = require('./txSimulator');
+const { PancakeSwapRouter, applySlippage, PANCAKESWAP_ROUTER_V2, WBNB_ADDRESS } = require('./pancakeSwap');
+const { MulticallPriceBackend } = require('./multicallPriceBackend');
+const { PriceHistory } = require('./priceHistory');
+const { PaperTrader } = require('./paperTrading');
+
+// Monitored token fields that survive a restart (see persistToken/restoreState)
+const PERSISTED_TOKEN_FIELDS = [
+  'tokenAddress',
+  'creatorAddress',
+  'creationTime',
+  'creationBlock',
+  'creationTxHash',
+  'creatorGasPriceGwei',
+  'orphaned',
+  'currentPriceUSD',
+  'currentPriceBNB',
+  'curveProgressPercent',
+  'curveFundsRaisedBNB',
+  'launchTime',
+  'positionOpen',
+  'lastSellPriceUSD',
+  'sellRetryCount',
+  'lastSellWalletResults',
+  'peakPriceSinceLastSell',
+  'tradeCount',
+  'tradeCycle',
+  'hasCompletedFirstCycle',
+  'lastSellTime',
+  'buyAttempts',
+  'buyPriceUSD',
+  'sellPriceUSD',
+  'partialSellAtUSD',
+  'hasSoldHalf',
+  'buyTime',
+  'buyTransactionHash',
+  'sellTransactionHash',
+  'hasBeenTraded'
+];
+const PERSISTED_DATE_FIELDS = ['creationTime', 'lastSellTime', 'buyTime', 'launchTime'];
+
+/**
+ * Run async tasks `concurrency` at a time; results as from Promise.allSettled, in task order
+ */
+async function settleInChunks(tasks, concurrency) {
+  const results = [];
+  for (let i = 0; i < tasks.length; i += concurrency) {
+    results.push(...await Promise.allSettled(tasks.slice(i, i + concurrency).map(task => task())));
+  }
+  return results;
+}
 
 // Simple encryption/decryption utility
 class SimpleSecurityUtils {
@@ -72,7 +133,26 @@ class SimpleSecurityUtils {
  */
 
 class SimplePriceBasedTradingService {
-  constructor() {
+  /**
+   * Options (all optional, for test harnesses):
+   *   clock                { now: () => ms, sleep: ms => Promise } used for every time read (trading rules, tx
+   *                        timing, persistence) and every wait; either method falls back to the system clock
+   *   publicClient         chain client used instead of the RPC fallback client
+   *   walletClientFactory  (address, wallet) -> signer used instead of decrypting wallet keys
+   *   configSource         { load: () => config|null, save: config => void } instead of price-trading-config.json
+   *   walletSource         { load: config => Promise<wallet records> } instead of data/wallets/<userId>.json
+   *   stateStore           StateStore instance instead of the journal under persistence.dir
+   *   priceHistory         PriceHistory instance instead of the files under history.dir
+   */
+  constructor(options = {}) {
+    const clock = options.clock || {};
+    this.clock = {
+      now: clock.now ? () => clock.now() : () => Date.now(),
+      sleep: clock.sleep ? ms => clock.sleep(ms) : ms => new Promise(resolve => setTimeout(resolve, ms))
+    };
+    this.walletClientFactory = options.walletClientFactory || null;
+    this.configSource = options.configSource || null;
+    this.walletSource = options.walletSource || null;
     // Use the service's own config loader so defaults are applied when file is missing
     this.config = this.loadConfig();
     this.patterns = loadPatterns();
@@ -87,7 +167,6 @@ class SimplePriceBasedTradingService {
       totalTrades: 0,
       successfulBuys: 0,
       successfulSells: 0,
-      totalProfitUSD: 0,
       tokensMonitored: 0,
       tokensTraded: 0
     };
@@ -95,26 +174,123 @@ class SimplePriceBasedTradingService {
     this.SCAN_INTERVAL = 300; // 500ms for fast detection
     this.MAX_BLOCKS_PER_SCAN = 1;
     this.lastProcessedBlock = 0;
+    this.chainHeadBlock = null; // Latest block number seen by the scanner
+    this.lastCursorPersistAt = 0;
     this.scanningInterval = null;
     this.isScanning = false;
+    this.scanInProgress = false;
+    this.scanPending = false;
+    this.isCatchingUp = false;
+    this.headWatcher = null;
+    this.wsUrl = (process.env.BSC_WS_URL || '').trim();
+    this.blockHashTracker = new BlockHashTracker((this.config.scanning || {}).reorgTrackingDepth);
+    this.orphanedTokens = new Set(); // Tokens whose creation tx was dropped by a reorg
+    this.emergencyStop = { active: false, reason: null, triggeredAt: null, flattening: false, openPositions: 0 };
+    this.flattenPromise = null;
     this.bnbPriceUSD = 1000; // Initialize with fallback price
     this.lastBNBPriceUpdate = 0;
     this.warnedUnknownQuote = new Set();
 
+    // Durable journal of monitored tokens, open positions and stats
+    const persistence = this.config.persistence || {};
+    this.stateStore = options.stateStore || new StateStore({
+      enabled: persistence.enabled !== false,
+      dir: persistence.dir,
+      compactAfterOps: persistence.compactAfterOps
+    });
+    // Raw price ticks and token creations for backtests, charts and post-mortems
+    const history = this.config.history || {};
+    this.priceHistory = options.priceHistory || new PriceHistory({
+      enabled: history.enabled !== false,
+      dir: history.dir,
+      retentionDays: history.retentionDays,
+      maxFileSizeMB: history.maxFileSizeMB
+    });
+    this.riskManager = new RiskManager({
+      stateStore: this.stateStore,
+      getSafetyConfig: () => this.config.safety || {},
+      clock: this.clock
+    });
+    this.tradeLedger = new TradeLedger({ stateStore: this.stateStore, clock: this.clock });
+    // Paper fills get their own ledger and risk gate under the "paper." journal namespace,
+    // so test runs never touch live P&L, trade limits or the circuit breaker
+    const paperStore = this.stateStore.namespace('paper');
+    this.paperLedger = new TradeLedger({ stateStore: paperStore, clock: this.clock });
+    this.paperRiskManager = new RiskManager({
+      stateStore: paperStore,
+      getSafetyConfig: () => this.config.safety || {},
+      clock: this.clock
+    });
+
     // RPC transport with fallback across many endpoints (no batching)
     this.rpcUrls = this.parseRpcUrls(process.env.BSC_RPC_URLS, process.env.BSC_RPC_URL);
     this.transport = this.createFallbackTransport(this.rpcUrls);
     console.log('🔌 RPC endpoints configured:', this.rpcUrls);
-    this.publicClient = createPublicClient({ chain: bsc, transport: this.transport });
+    this.publicClient = options.publicClient || createPublicClient({ chain: bsc, transport: this.transport });
+    // All approve/buy/sell transactions take their nonces from here
+    this.nonceManager = new NonceManager({
+      getTransactionCount: (address, blockTag) => this.withRpcFailover(() => this.publicClient.getTransactionCount({ address, blockTag })),
+      getTransaction: hash => this.withRpcFailover(() => this.publicClient.getTransaction({ hash })),
+      clock: this.clock
+    });
+    this.txWatcher = new TxWatcher({
+      getPublicClient: () => this.publicClient,
+      nonceManager: this.nonceManager,
+      stateStore: this.stateStore,
+      getConfig: () => this.config.transactions || {},
+      clock: this.clock
+    });
+    this.gasPolicy = new GasPolicy({
+      getConfig: () => this.config.gas || {},
+      getBaseGasPrice: () => this.getCurrentGasPrice(),
+      estimateGas: request => this.publicClient.estimateGas(request)
+    });
+    // Buys and sells of tokens that migrated off the curve go through the PancakeSwap V2 router
+    this.pancakeSwap = new PancakeSwapRouter({
+      readContract: params => this.withRpcFailover(() => this.publicClient.readContract(params)),
+      clock: this.clock
+    });
+    // Test-mode fills priced by on-chain quotes against simulated wallet balances
+    this.paperTrader = new PaperTrader({
+      stateStore: this.stateStore,
+      quoteBuy: (tokenAddress, amountWei) => this.quotePaperBuy(tokenAddress, amountWei),
+      quoteSell: (tokenAddress, tokens) => this.quotePaperSell(tokenAddress, tokens),
+      getGasCostWei: async gasAction => {
+        const gasUnits = BigInt((this.config.paperTrading || {}).gasUnitsPerTx ?? 250000);
+        return (await this.gasPolicy.getGasPrice(gasAction)) * gasUnits;
+      },
+      getConfig: () => this.config.paperTrading || {},
+      clock: this.clock
+    });
 
     // Import ABIs from separate file
     this.TOKEN_MANAGER_HELPER_ABI = TOKEN_MANAGER_HELPER_ABI;
+    this.TOKEN_CREATE_EVENT = TOKEN_MANAGER_EVENTS_ABI.find(item => item.name === 'TokenCreate');
     this.TOKEN_MANAGER_V1_ABI = TOKEN_MANAGER_V1_ABI;
     this.TOKEN_MANAGER_V2_ABI = TOKEN_MANAGER_V2_ABI;
     this.ERC20_ABI = ERC20_ABI;
+    // Events decoded from buy/sell receipts for the trade ledger
+    this.FILL_EVENTS_ABI = [
+      ...TOKEN_MANAGER_EVENTS_ABI.filter(item => item.name === 'TokenPurchase' || item.name === 'TokenSale'),
+      ...ERC20_ABI.filter(item => item.name === 'Transfer'),
+      ...WBNB_EVENTS_ABI
+    ];
     this.PANCAKESWAP_V2_ROUTER_ABI = PANCAKESWAP_V2_ROUTER_ABI;
 
     this.TOKEN_MANAGER_HELPER = '0xF251F83e40a78868FcfA3FA4599Dad6494E46034';
+    // Price ticks read every active token's getTokenInfo through Multicall3
+    this.priceBackend = new MulticallPriceBackend({
+      multicall: params => this.withRpcFailover(() => this.publicClient.multicall(params)),
+      readTokenInfo: tokenAddress => this.withRpcFailover(() => this.publicClient.readContract({
+        address: this.TOKEN_MANAGER_HELPER,
+        abi: TOKEN_MANAGER_HELPER_ABI,
+        functionName: 'getTokenInfo',
+        args: [tokenAddress]
+      })),
+      helperAddress: this.TOKEN_MANAGER_HELPER,
+      helperAbi: TOKEN_MANAGER_HELPER_ABI,
+      getConfig: () => this.config.monitoring
+    });
     // Common stablecoins on BSC (treated as $1)
     this.BSC_STABLES = new Set([
       '0x55d398326f99059ff775485246999027b3197955', // USDT (18)
@@ -238,17 +414,19 @@ class SimplePriceBasedTradingService {
     console.log(`🔁 RPC failover notice: ${reason || 'error'}`);
   }
 
-  async withRpcFailover(fn, retries = Math.min(this.rpcUrls.length, 3)) {
+  async withRpcFailover(fn, { retries = Math.min(this.rpcUrls.length, 3), retryIf = () => true } = {}) {
     let attempt = 0;
     let lastError;
     while (attempt < retries) {
       try {
         return await fn();
       } catch (e) {
+        // Errors that are the node's answer (e.g. a revert) would come back the same from any endpoint
+        if (!retryIf(e)) throw e;
         lastError = e;
         this.rotateRpc(e?.message || 'unknown');
         // backoff
-        await new Promise(r => setTimeout(r, 300 * (attempt + 1)));
+        await this.clock.sleep(300 * (attempt + 1));
         attempt++;
       }
     }
@@ -256,15 +434,18 @@ class SimplePriceBasedTradingService {
   }
 
   /**
-   * Load configuration from file
+   * Load configuration from file, with defaults filled in for keys the file lacks
    */
   loadConfig() {
+    if (this.configSource) {
+      return mergeConfig(this.getDefaultConfig(), this.configSource.load() || {});
+    }
     try {
       const configPath = path.join(__dirname, 'price-trading-config.json');
       if (fs.existsSync(configPath)) {
         const configData = fs.readFileSync(configPath, 'utf8');
         console.log('✅ Price trading configuration loaded');
-        return JSON.parse(configData);
+        return mergeConfig(this.getDefaultConfig(), JSON.parse(configData));
       } else {
         console.log('⚠️ Config file not found, using default settings');
         const defaultConfig = this.getDefaultConfig();
@@ -281,6 +462,10 @@ class SimplePriceBasedTradingService {
    * Save configuration to file
    */
   saveConfig(config = this.config) {
+    if (this.configSource) {
+      this.configSource.save(config);
+      return;
+    }
     try {
       const configPath = path.join(__dirname, 'price-trading-config.json');
       fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
@@ -307,7 +492,19 @@ class SimplePriceBasedTradingService {
         maxBuyAmountBNB: 0.01,
         userId: 'main-trader',
         takeProfitPercent: 30, // Sell if price is 30% above buy price
-        stopLossPercent: 20    // Sell if price is 20% below buy price
+        stopLossPercent: 20,   // Sell if price is 20% below buy price
+        maxSlippagePercent: 10, // Used when a pattern does not set trading.maxSlippage
+        minSellProceedsRatio: 0.9, // trySell net funds vs. the position's value at lastPrice
+        sellSplitMaxParts: 4, // Halve a sell up to this many parts to meet the ratio (1 = skip only)
+        minProceedsOverrideReasons: [...DEFAULT_MIN_PROCEEDS_OVERRIDE_REASONS], // Sell reasons that ignore the proceeds limit
+        sellReceiptTimeoutMs: 60000, // Give up waiting for a sell receipt after this long
+        sellRetryGasBumpPercent: 25, // Gas price bump per failed sell attempt (replaces a stuck tx)
+        maxSellRetryBumps: 4, // Stop raising the gas price after this many failed sell attempts
+        migrationGuard: {
+          enabled: true, // Patterns can override any of these under trading.migrationGuard
+          partialExitProgressPercent: 80, // Sell half once the bonding curve is this full
+          fullExitProgressPercent: 95 // Sell everything at this progress (or at migrationPriceBNB/USD)
+        }
       },
       monitoring: {
         updateIntervalMs: 1000,
@@ -318,18 +515,82 @@ class SimplePriceBasedTradingService {
         lowPriceRemovalMinutes: 10, // Default minutes for low price removal
         batchSize: 3, // Default batch size for price updates
         batchDelayMs: 0, // Default delay between batches
-        reentryEnabled: false // Default re-entry enabled
+        priceBackend: 'multicall', // 'multicall' (one Multicall3 read per tick) or 'individual' (one call per token)
+        multicallBatchSize: 100, // getTokenInfo reads per Multicall3 call
+        reentryEnabled: false, // Default re-entry enabled
+        curveInflowWindowSeconds: 60 // Window for the curve funds inflow rate
       },
       safety: {
         maxTradesPerHour: 50,
         maxTradesPerDay: 200,
         emergencyStop: false,
+        killSwitchFile: 'data/EMERGENCY_STOP', // Creating this file triggers the emergency stop
+        emergencyGasMultipliers: [1.5, 2, 3], // Gas price escalation per flatten attempt
+        emergencyConfirmWaitMs: 8000, // Max wait for sell receipts before the next attempt
+        maxDailyLossBNB: 0.05, // Pause buying once today's BNB P&L drops this far
+        maxDrawdownBNB: 0.1, // Pause buying once equity falls this far below its peak
+        circuitBreakerResetMode: 'next_utc_day', // 'next_utc_day' or 'manual'
         minWalletBalanceBNB: 0.01
       },
+      gas: {
+        snipeWindowSeconds: 10, // Buys this soon after creation use the 'snipe' profile
+        estimateBufferPercent: 20, // Gas limit = estimateGas + this buffer
+        fallbackGasLimit: 500000, // Used when estimateGas fails
+        maxEscalatedGwei: 30, // Ceiling for retry/emergency escalations, which go past a profile's maxGwei
+        profiles: {
+          // mode: 'multiplier' (node price x multiplier), 'fixed' (gwei) or 'creator' (creator's price x multiplier)
+          snipe: { mode: 'creator', multiplier: 1.1, maxGwei: 10 },
+          buy: { mode: 'multiplier', multiplier: 1, maxGwei: 5 },
+          sell: { mode: 'multiplier', multiplier: 1, maxGwei: 5 },
+          stopLossSell: { mode: 'multiplier', multiplier: 1.5, maxGwei: 10 },
+          emergencySell: { mode: 'multiplier', multiplier: 2, maxGwei: 20 }
+        }
+      },
+      transactions: {
+        replaceAfterMs: 15000, // Re-broadcast with more gas if still pending after this long
+        gasBumpPercent: 15, // Gas price increase per replacement (min 10%)
+        maxGasPriceGwei: 20, // Never bump above this
+        maxReplacements: 3,
+        pollIntervalMs: 1000,
+        buyReceiptTimeoutMs: 180000,
+        preflightEnabled: true, // eth_call every approve/buy/sell against the pending block first
+        errorAbiFile: null // Verified TokenManager ABI (JSON); its custom errors are decoded in pre-flight
+      },
+      pancakeSwap: {
+        enabled: true, // Trade migrated tokens on the PancakeSwap V2 router
+        deadlineSeconds: 60 // Swap deadline passed to the router
+      },
+      paperTrading: {
+        latencyMs: 1500, // Delay between decision quote and fill quote in test mode
+        startingBalanceBNB: 1, // Simulated balance of wallets whose real balance is unknown
+        gasUnitsPerTx: 250000 // Gas charged per paper transaction at the action's gas price
+      },
       wallets: {
         autoDetect: true,
         maxWallets: 10,
         walletRotation: true
+      },
+      persistence: {
+        enabled: true,
+        dir: 'data/state',
+        compactAfterOps: 5000
+      },
+      history: {
+        enabled: true, // Record every price tick and token creation as NDJSON
+        dir: 'data/history',
+        retentionDays: 14, // Delete daily files older than this
+        maxFileSizeMB: 100 // Start a new file for the day past this size
+      },
+      scanning: {
+        discoveryMode: 'logs', // 'logs' (eth_getLogs TokenCreate events) or 'blocks' (full block walk)
+        resumeFromLastBlock: true, // Backfill blocks mined while the bot was down
+        maxLookbackBlocks: 1200, // Never backfill further than this (~1h of BSC blocks)
+        catchUpBlocksPerScan: 5, // Blocks per scan tick while catching up
+        lookupConcurrency: 10, // Creation tx / block lookups in flight per log scan
+        cursorPersistIntervalMs: 5000,
+        webSocketEnabled: true, // Drive scanning from BSC_WS_URL newHeads when set
+        webSocketStaleMs: 15000, // Treat the socket as dropped after this long without a head
+        reorgTrackingDepth: 64 // Recent block hashes kept for reorg detection
       }
     };
   }
@@ -340,16 +601,21 @@ class SimplePriceBasedTradingService {
   async loadAvailableWallets() {
     try {
       if (this.config.wallets.autoDetect) {
-        // Load wallets directly from file to get encrypted private keys
-        const walletFile = path.join(__dirname, 'data/wallets', `${this.config.trading.userId}.json`);
+        let walletsData;
+        if (this.walletSource) {
+          walletsData = await this.walletSource.load(this.config);
+        } else {
+          // Load wallets directly from file to get encrypted private keys
+          const walletFile = path.join(__dirname, 'data/wallets', `${this.config.trading.userId}.json`);
 
-        if (!fs.existsSync(walletFile)) {
-          console.log('❌ No wallet file found');
-          this.availableWallets = [];
-          return;
-        }
+          if (!fs.existsSync(walletFile)) {
+            console.log('❌ No wallet file found');
+            this.availableWallets = [];
+            return;
+          }
 
-        const walletsData = JSON.parse(fs.readFileSync(walletFile, 'utf8'));
+          walletsData = JSON.parse(fs.readFileSync(walletFile, 'utf8'));
+        }
 
         // Get balances for all wallets
         const walletsWithBalances = await Promise.all(
@@ -441,10 +707,12 @@ class SimplePriceBasedTradingService {
   }
 
   /**
-   * Get token price using four.meme contract
+   * Get token price using four.meme contract.
+   * The monitoring tick passes a prefetched getTokenInfo result (null = read failed) and its BNB/USD quote.
    */
-  async getTokenPrice(tokenAddress) {
+  async getTokenPrice(tokenAddress, { tokenInfoResult: prefetchedTokenInfo, bnbPriceUSD: tickBnbPriceUSD } = {}) {
     try {
+      const getBnbPriceUSD = () => (tickBnbPriceUSD ? Promise.resolve(tickBnbPriceUSD) : this.getBNBPriceUSD());
       const TOKEN_MANAGER_HELPER = '0xF251F83e40a78868FcfA3FA4599Dad6494E46034';
       const TOKEN_MANAGER_HELPER_ABI = [
         {
@@ -472,14 +740,41 @@ class SimplePriceBasedTradingService {
       ];
 
       // Get token info to get lastPrice
-      const tokenInfoResult = await this.withRpcFailover(() => this.publicClient.readContract({
-        address: TOKEN_MANAGER_HELPER,
-        abi: TOKEN_MANAGER_HELPER_ABI,
-        functionName: 'getTokenInfo',
-        args: [tokenAddress]
-      }));
+      const tokenInfoResult = prefetchedTokenInfo !== undefined
+        ? prefetchedTokenInfo
+        : await this.withRpcFailover(() => this.publicClient.readContract({
+          address: TOKEN_MANAGER_HELPER,
+          abi: TOKEN_MANAGER_HELPER_ABI,
+          functionName: 'getTokenInfo',
+          args: [tokenAddress]
+        }));
 
       if (tokenInfoResult && tokenInfoResult.length >= 12) {
+        // Bonding curve state; funds raised are converted to BNB for stablecoin-quoted tokens
+        const fundsRaised = Number(tokenInfoResult[9]) / 1e18;
+        const quoteIsStable = this.BSC_STABLES.has(String(tokenInfoResult[2]).toLowerCase());
+        const curve = {
+          progressPercent: getCurveProgressPercent({
+            funds: tokenInfoResult[9],
+            maxFunds: tokenInfoResult[10],
+            offers: tokenInfoResult[7],
+            maxOffers: tokenInfoResult[8],
+            liquidityAdded: tokenInfoResult[11]
+          }),
+          fundsRaisedBNB: quoteIsStable ? fundsRaised / (tickBnbPriceUSD || this.bnbPriceUSD || 1000) : fundsRaised,
+          offers: Number(tokenInfoResult[7]) / 1e18, // Tokens left on the curve
+          launchTime: Number(tokenInfoResult[6])
+        };
+
+        // The curve's lastPrice stops moving at migration; price migrated tokens from the pair
+        if (tokenInfoResult[11] && (this.config.pancakeSwap || {}).enabled !== false) {
+          const pairPriceBNB = await this.pancakeSwap.getPriceBNB(tokenAddress).catch(() => null);
+          if (pairPriceBNB) {
+            const bnbPriceUSD = await getBnbPriceUSD();
+            return { success: true, priceBNB: pairPriceBNB, priceUSD: pairPriceBNB * bnbPriceUSD, curve, venue: 'pancakeswap' };
+          }
+        }
+
         const lastPrice = Number(tokenInfoResult[3]); // lastPrice field
         const quoteToken = tokenInfoResult[2]; // quote token address
 
@@ -496,13 +791,13 @@ class SimplePriceBasedTradingService {
             // Price is in BNB
             const lastPriceBNB = lastPrice / 1e18;
             priceInBNB = lastPriceBNB;
-            const bnbPriceUSD = await this.getBNBPriceUSD();
+            const bnbPriceUSD = await getBnbPriceUSD();
             priceInUSD = priceInBNB * bnbPriceUSD;
           } else if (this.BSC_STABLES.has(quoteTokenLc)) {
             // Stablecoin quote (assume $1)
             const lastPriceUSD = lastPrice / 1e18; // 18 decimals from helper
             priceInUSD = lastPriceUSD;
-            const bnbPriceUSD = await this.getBNBPriceUSD();
+            const bnbPriceUSD = await getBnbPriceUSD();
             priceInBNB = priceInUSD / bnbPriceUSD;
           } else {
             // Fallback: assume BNB if quote token is zero address or unknown
@@ -513,7 +808,7 @@ class SimplePriceBasedTradingService {
             const lastPriceBNB = lastPrice / 1e18;
             priceInBNB = lastPriceBNB;
             if (priceInBNB < 0.000001) {
-              const bnbPriceUSD = await this.getBNBPriceUSD();
+              const bnbPriceUSD = await getBnbPriceUSD();
               priceInUSD = priceInBNB * bnbPriceUSD;
             }
             else priceInUSD = priceInBNB;
@@ -524,7 +819,8 @@ class SimplePriceBasedTradingService {
             return {
               success: true,
               priceBNB: priceInBNB,
-              priceUSD: priceInUSD
+              priceUSD: priceInUSD,
+              curve
             };
           } else {
             console.log(`⚠️ Invalid price detected for ${tokenAddress.slice(0, 8)}...: $${priceInUSD.toFixed(8)}`);
@@ -564,6 +860,9 @@ class SimplePriceBasedTradingService {
       return;
     }
 
+    // Reload positions and monitoring state from the previous run
+    this.restoreState();
+
     // Update BNB price
     this.bnbPriceUSD = await this.getBNBPriceUSD();
     console.log(`💰 Current BNB price: $${this.bnbPriceUSD.toFixed(2)}`);
@@ -603,6 +902,13 @@ class SimplePriceBasedTradingService {
       this.isScanning = true;
       console.log('✅ Price-based trading system started');
 
+      // A stop carried over from the last run (or requested in config) still has positions to flatten
+      if (this.emergencyStop.active) {
+        this.startFlatten();
+      } else {
+        this.checkEmergencyTriggers();
+      }
+
     } catch (error) {
       console.error('❌ Error starting price-based trading:', error);
       throw error;
@@ -621,10 +927,12 @@ class SimplePriceBasedTradingService {
     try {
       console.log('🛑 Stopping price-based trading system...');
 
-      if (this.scanningInterval) {
-        clearInterval(this.scanningInterval);
-        this.scanningInterval = null;
+      if (this.headWatcher) {
+        await this.headWatcher.stop();
+        this.headWatcher = null;
       }
+      this.stopPollingScan();
+      this.persistScanCursor(true);
 
       if (this.monitoringInterval) {
         clearInterval(this.monitoringInterval);
@@ -633,6 +941,7 @@ class SimplePriceBasedTradingService {
 
       this.isScanning = false;
       this.isMonitoring = false;
+      this.priceHistory.flush(this.clock.now());
       console.log('✅ Price-based trading system stopped');
 
     } catch (error) {
@@ -647,14 +956,42 @@ class SimplePriceBasedTradingService {
   async startTokenScanning() {
     try {
       // Get the latest block number to start from
-      const latestBlock = await this.publicClient.getBlockNumber();
-      this.lastProcessedBlock = Number(latestBlock) - 10;
-      console.log(`📍 Starting token scanning from block: ${this.lastProcessedBlock}`);
-
-      // Start scanning loop
-      this.scanningInterval = setInterval(async () => {
-        await this.scanForNewTokens();
-      }, this.SCAN_INTERVAL);
+      const latestBlock = Number(await this.publicClient.getBlockNumber());
+      const scanning = this.config.scanning || {};
+      const savedBlock = Number(this.stateStore.get('meta', 'lastProcessedBlock') || 0);
+
+      if (scanning.resumeFromLastBlock !== false && savedBlock > 0 && savedBlock < latestBlock) {
+        // Resume from the persisted cursor; scanForNewTokens() clamps it to maxLookbackBlocks
+        this.lastProcessedBlock = savedBlock;
+        // The saved hashes let the first scan detect a reorg that happened while we were down
+        this.blockHashTracker.restore(this.stateStore.get('meta', 'blockHashes'));
+        console.log(`📍 Resuming token scanning after block ${savedBlock} (${latestBlock - savedBlock} blocks behind)`);
+      } else {
+        this.lastProcessedBlock = latestBlock - 10;
+        console.log(`📍 Starting token scanning from block: ${this.lastProcessedBlock}`);
+      }
+
+      // HTTP polling runs until (and whenever) the WebSocket subscription is not live
+      this.startPollingScan();
+
+      if (this.wsUrl && scanning.webSocketEnabled !== false) {
+        this.headWatcher = new HeadWatcher({
+          url: this.wsUrl,
+          logFilter: { address: this.FOUR_MEME_CONTRACT, event: this.TOKEN_CREATE_EVENT },
+          staleAfterMs: Math.max(3000, Number(scanning.webSocketStaleMs) || 15000),
+          onHead: () => this.scanForNewTokens(),
+          onConnect: () => {
+            console.log('⚡ Token scanning driven by WebSocket heads');
+            this.stopPollingScan();
+            this.scanForNewTokens();
+          },
+          onDisconnect: () => {
+            console.log(`🔁 Falling back to HTTP polling every ${this.SCAN_INTERVAL}ms`);
+            this.startPollingScan();
+          }
+        });
+        await this.headWatcher.start();
+      }
 
     } catch (error) {
       console.error('❌ Error starting token scanning:', error);
@@ -662,40 +999,347 @@ class SimplePriceBasedTradingService {
     }
   }
 
+  startPollingScan() {
+    if (this.scanningInterval) return;
+    this.scanningInterval = setInterval(async () => {
+      await this.scanForNewTokens();
+    }, this.SCAN_INTERVAL);
+  }
+
+  stopPollingScan() {
+    if (!this.scanningInterval) return;
+    clearInterval(this.scanningInterval);
+    this.scanningInterval = null;
+  }
+
+  /**
+   * Without a polling interval nothing re-triggers a scan that was skipped or a catch-up still in progress
+   */
+  scheduleFollowUpScan() {
+    if (this.scanningInterval || !this.headWatcher || !this.headWatcher.connected) {
+      return;
+    }
+    if (this.scanPending) {
+      this.scanPending = false;
+      setTimeout(() => this.scanForNewTokens(), 0);
+    } else if (this.isCatchingUp) {
+      setTimeout(() => this.scanForNewTokens(), this.SCAN_INTERVAL);
+    }
+  }
+
   /**
    * Scan for new token creations
    */
   async scanForNewTokens() {
+    // A slow scan (catch-up batch, RPC retries) must not overlap with the next tick
+    if (this.scanInProgress) {
+      this.scanPending = true;
+      return;
+    }
+    this.scanInProgress = true;
+
     try {
       const latestBlock = await this.publicClient.getBlockNumber();
       const currentBlock = Number(latestBlock);
+      this.chainHeadBlock = currentBlock;
 
       if (currentBlock <= this.lastProcessedBlock) {
         return;
       }
 
+      const scanning = this.config.scanning || {};
+      const maxLookbackBlocks = Math.max(this.MAX_BLOCKS_PER_SCAN, Number(scanning.maxLookbackBlocks ?? 1200));
+      if (currentBlock - this.lastProcessedBlock > maxLookbackBlocks) {
+        const skipTo = currentBlock - maxLookbackBlocks;
+        console.log(`⏭️ Skipping blocks ${this.lastProcessedBlock + 1}-${skipTo}: older than max lookback (${maxLookbackBlocks} blocks)`);
+        this.lastProcessedBlock = skipTo;
+      }
+
+      // Fall behind by more than one scan → backfill in bounded batches until caught up
+      const behind = currentBlock - this.lastProcessedBlock;
+      const catchUpBlocksPerScan = Math.max(1, Number(scanning.catchUpBlocksPerScan) || 5);
+      const catchingUp = behind > this.MAX_BLOCKS_PER_SCAN;
+      if (catchingUp && !this.isCatchingUp) {
+        console.log(`⏪ Catching up ${behind} blocks (${catchUpBlocksPerScan} per scan)...`);
+      } else if (!catchingUp && this.isCatchingUp) {
+        console.log('✅ Caught up with chain head, switching to live scanning');
+      }
+      this.isCatchingUp = catchingUp;
+
+      const blocksPerScan = catchingUp ? catchUpBlocksPerScan : this.MAX_BLOCKS_PER_SCAN;
       const fromBlock = this.lastProcessedBlock + 1;
-      const toBlock = Math.min(currentBlock, this.lastProcessedBlock + this.MAX_BLOCKS_PER_SCAN);
+      const toBlock = Math.min(currentBlock, this.lastProcessedBlock + blocksPerScan);
 
-      // Scan blocks for token creation transactions
-      const tokenCreations = await this.scanBlocksForTokenCreations(fromBlock, toBlock);
+      // Make sure the blocks we already processed are still canonical before building on them
+      const reorgAncestor = await this.detectReorg(fromBlock);
+      if (reorgAncestor !== null) {
+        await this.handleReorg(reorgAncestor);
+        return;
+      }
+
+      // Scan blocks for token creation transactions; scannedTo stops short of a block whose lookups failed
+      const { tokenCreations, scannedTo } = await this.scanBlocksForTokenCreations(fromBlock, toBlock, { withBlockTimestamps: catchingUp });
 
       // Process each token creation
       for (const tokenCreation of tokenCreations) {
+        if (catchingUp && tokenCreation.blockTimestamp) {
+          // Backfilled tokens are already this old; let buy delays and timers see that
+          tokenCreation.timestamp = tokenCreation.blockTimestamp;
+        }
         await this.processNewToken(tokenCreation);
       }
 
-      this.lastProcessedBlock = toBlock;
+      if (scannedTo < toBlock) {
+        console.log(`⚠️ Lookups failed in block ${scannedTo + 1}; blocks ${scannedTo + 1}-${toBlock} will be rescanned`);
+      }
+      if (scannedTo >= fromBlock) {
+        await this.recordScannedBlock(scannedTo);
+        this.lastProcessedBlock = scannedTo;
+        this.persistScanCursor();
+      }
 
     } catch (error) {
       console.error('❌ Error scanning for new tokens:', error);
+    } finally {
+      this.scanInProgress = false;
+      this.scheduleFollowUpScan();
+    }
+  }
+
+  /**
+   * Remember the hash of the last block in a scanned range for the next parent-hash check
+   */
+  async recordScannedBlock(blockNumber) {
+    try {
+      const block = await this.withRpcFailover(() => this.publicClient.getBlock({ blockNumber: BigInt(blockNumber) }));
+      this.blockHashTracker.record(blockNumber, block.hash);
+    } catch (error) {
+      // Without a recorded hash the next scan simply skips the reorg check
+      console.log(`⚠️ Could not record hash for block ${blockNumber}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compare the next block's parent hash with what we scanned; returns the common ancestor on a reorg
+   */
+  async detectReorg(fromBlock) {
+    const expectedParentHash = this.blockHashTracker.get(fromBlock - 1);
+    if (!expectedParentHash) {
+      return null;
+    }
+
+    const block = await this.withRpcFailover(() => this.publicClient.getBlock({ blockNumber: BigInt(fromBlock) }));
+    if (block.parentHash === expectedParentHash) {
+      return null;
+    }
+
+    console.log(`🔀 Reorg detected at block ${fromBlock}: parent ${block.parentHash.slice(0, 10)}... != scanned ${expectedParentHash.slice(0, 10)}...`);
+    for (const blockNumber of this.blockHashTracker.numbersDescending()) {
+      const canonical = await this.withRpcFailover(() => this.publicClient.getBlock({ blockNumber: BigInt(blockNumber) }));
+      if (canonical.hash === this.blockHashTracker.get(blockNumber)) {
+        return blockNumber;
+      }
+    }
+
+    const ancestor = this.blockHashTracker.oldest() - 1;
+    console.log(`⚠️ Reorg is deeper than the ${this.blockHashTracker.maxDepth} tracked blocks, rewinding to ${ancestor}`);
+    return ancestor;
+  }
+
+  /**
+   * Rewind the scan cursor to the common ancestor and re-check tokens created after it
+   */
+  async handleReorg(ancestorBlock) {
+    const rolledBack = this.lastProcessedBlock - ancestorBlock;
+    this.blockHashTracker.rollbackTo(ancestorBlock);
+    this.lastProcessedBlock = ancestorBlock;
+    this.persistScanCursor(true);
+    console.log(`⏪ Rolled back ${rolledBack} block(s) to ${ancestorBlock}, re-processing from ${ancestorBlock + 1}`);
+
+    const affectedTokens = Array.from(this.monitoredTokens.values())
+      .filter(token => Number(token.creationBlock) > ancestorBlock);
+
+    for (const token of affectedTokens) {
+      let receipt = null;
+      try {
+        receipt = await this.withRpcFailover(() => this.publicClient.getTransactionReceipt({ hash: token.creationTxHash }));
+      } catch (error) {
+        // Not found (dropped) or unverifiable: either way we must not trade it
+        console.log(`⚠️ Creation tx for ${token.tokenAddress.slice(0, 8)}... not found after reorg: ${error.shortMessage || error.message}`);
+      }
+
+      if (receipt && receipt.status === 'success') {
+        // Re-included on the canonical chain, possibly in a different block
+        token.creationBlock = Number(receipt.blockNumber);
+        this.persistToken(token);
+        continue;
+      }
+      await this.markTokenOrphaned(token);
+    }
+  }
+
+  /**
+   * Flag a token whose creation tx is no longer on the canonical chain so it is never bought
+   */
+  async markTokenOrphaned(token) {
+    token.orphaned = true;
+    this.orphanedTokens.add(token.tokenAddress);
+
+    if (token.positionOpen) {
+      console.log(`🚨 Orphaned token ${token.tokenAddress.slice(0, 8)}... has an open position; keeping it monitored for exit`);
+      this.persistToken(token);
+      return;
+    }
+
+    console.log(`👻 Token ${token.tokenAddress.slice(0, 8)}... was reorged out, removing from monitoring`);
+    await this.removeTokenFromMonitoring(token);
+  }
+
+  /**
+   * Persist the scan cursor (throttled unless forced) so restarts can backfill missed blocks
+   */
+  persistScanCursor(force = false) {
+    if (!this.lastProcessedBlock) {
+      return;
+    }
+    const intervalMs = Math.max(0, Number((this.config.scanning || {}).cursorPersistIntervalMs ?? 5000));
+    const now = this.clock.now();
+    if (!force && now - this.lastCursorPersistAt < intervalMs) {
+      return;
+    }
+    this.lastCursorPersistAt = now;
+    this.stateStore.set('meta', 'lastProcessedBlock', this.lastProcessedBlock);
+    this.stateStore.set('meta', 'blockHashes', this.blockHashTracker.snapshot());
+  }
+
+  /**
+   * Find token creations in a block range using the configured discovery backend
+   *
+   * Returns { tokenCreations, scannedTo }: scannedTo is the last block of the range whose
+   * creations were all read, so a failed lookup leaves its block for the next scan.
+   */
+  async scanBlocksForTokenCreations(fromBlock, toBlock, { withBlockTimestamps = false } = {}) {
+    const discoveryMode = (this.config.scanning || {}).discoveryMode || 'logs';
+    if (discoveryMode === 'logs') {
+      try {
+        return await this.scanLogsForTokenCreations(fromBlock, toBlock, { withBlockTimestamps });
+      } catch (error) {
+        // Some RPCs reject or rate-limit eth_getLogs; the block walker still works there
+        console.log(`⚠️ Log scan failed for blocks ${fromBlock}-${toBlock}, walking blocks instead: ${error.message}`);
+      }
+    }
+    return this.walkBlocksForTokenCreations(fromBlock, toBlock);
+  }
+
+  /**
+   * Discover token creations from four.meme TokenCreate event logs in one eth_getLogs call
+   *
+   * Token and creator come from the event. The creator's gas settings, which pattern matching
+   * keys off, only the transaction carries: those are looked up concurrently, as are block
+   * timestamps when backfilling (unless the RPC returns them with the logs).
+   */
+  async scanLogsForTokenCreations(fromBlock, toBlock, { withBlockTimestamps = false } = {}) {
+    const logs = await this.withRpcFailover(() => this.publicClient.getLogs({
+      address: this.FOUR_MEME_CONTRACT,
+      event: this.TOKEN_CREATE_EVENT,
+      fromBlock: BigInt(fromBlock),
+      toBlock: BigInt(toBlock)
+    }));
+
+    const events = [];
+    const blockTimestamps = new Map();
+    for (const log of logs) {
+      if (log.removed) continue;
+      try {
+        const event = this.decodeTokenCreateLog(log);
+        if (!event) continue;
+        const blockNumber = Number(log.blockNumber);
+        events.push({ log, event, blockNumber });
+        if (log.blockTimestamp !== undefined && log.blockTimestamp !== null) {
+          blockTimestamps.set(blockNumber, new Date(Number(log.blockTimestamp) * 1000));
+        }
+      } catch (error) {
+        console.log(`⚠️ Error decoding TokenCreate log ${log.transactionHash}: ${error.message}`);
+      }
+    }
+
+    const concurrency = Math.max(1, Number((this.config.scanning || {}).lookupConcurrency) || 10);
+    const timestampBlocks = withBlockTimestamps
+      ? Array.from(new Set(events.map(({ blockNumber }) => blockNumber))).filter(blockNumber => !blockTimestamps.has(blockNumber))
+      : [];
+    const [txResults, blockResults] = await Promise.all([
+      settleInChunks(events.map(({ log }) => () => this.withRpcFailover(() => this.publicClient.getTransaction({ hash: log.transactionHash }))), concurrency),
+      settleInChunks(timestampBlocks.map(blockNumber => () => this.withRpcFailover(() => this.publicClient.getBlock({ blockNumber: BigInt(blockNumber) }))), concurrency)
+    ]);
+
+    // A token whose lookup failed must not be lost: stop the range before its block
+    let scannedTo = toBlock;
+    blockResults.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        blockTimestamps.set(timestampBlocks[index], new Date(Number(result.value.timestamp) * 1000));
+      } else {
+        console.log(`⚠️ Error reading block ${timestampBlocks[index]}: ${result.reason.shortMessage || result.reason.message}`);
+        scannedTo = Math.min(scannedTo, timestampBlocks[index] - 1);
+      }
+    });
+    txResults.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.log(`⚠️ Error reading creation tx ${events[index].log.transactionHash}: ${result.reason.shortMessage || result.reason.message}`);
+        scannedTo = Math.min(scannedTo, events[index].blockNumber - 1);
+      }
+    });
+
+    const tokenCreations = [];
+    events.forEach(({ log, event, blockNumber }, index) => {
+      if (blockNumber > scannedTo) return;
+      tokenCreations.push({
+        tokenAddress: event.tokenAddress,
+        creatorAddress: event.creatorAddress,
+        blockNumber,
+        transactionHash: log.transactionHash,
+        timestamp: this.getCurrentTime(),
+        blockTimestamp: blockTimestamps.get(blockNumber),
+        ...this.getCreatorGasFields(txResults[index].value),
+        name: event.name,
+        symbol: event.symbol,
+        totalSupply: event.totalSupply,
+        launchTime: event.launchTime,
+        requestId: event.requestId
+      });
+    });
+
+    return { tokenCreations, scannedTo };
+  }
+
+  /**
+   * Decode a TokenCreate log, falling back to the raw data layout (creator, token, ...)
+   */
+  decodeTokenCreateLog(log) {
+    const args = log.args || {};
+    let tokenAddress = args.token;
+    let creatorAddress = args.creator;
+    if ((!tokenAddress || !creatorAddress) && log.data && log.data.length >= 130) {
+      creatorAddress = '0x' + log.data.slice(2, 66).slice(24);
+      tokenAddress = '0x' + log.data.slice(66, 130).slice(24);
+    }
+    if (!tokenAddress || tokenAddress === '0x0000000000000000000000000000000000000000') {
+      return null;
     }
+    return {
+      tokenAddress: tokenAddress.toLowerCase(),
+      creatorAddress,
+      name: args.name,
+      symbol: args.symbol,
+      totalSupply: args.totalSupply,
+      launchTime: args.launchTime !== undefined ? Number(args.launchTime) : undefined,
+      requestId: args.requestId
+    };
   }
 
   /**
-   * Scan blocks for token creation transactions
+   * Scan blocks one by one (full transactions) for token creation transactions
    */
-  async scanBlocksForTokenCreations(fromBlock, toBlock) {
+  async walkBlocksForTokenCreations(fromBlock, toBlock) {
     const tokenCreations = [];
 
     for (let blockNum = fromBlock; blockNum <= toBlock; blockNum++) {
@@ -703,11 +1347,13 @@ class SimplePriceBasedTradingService {
         const blockTokenCreations = await this.scanBlockForTokenCreations(blockNum);
         tokenCreations.push(...blockTokenCreations);
       } catch (error) {
+        // Leave this block and the rest of the range for the next scan
         console.log(`⚠️ Error scanning block ${blockNum}: ${error}`);
+        return { tokenCreations, scannedTo: blockNum - 1 };
       }
     }
 
-    return tokenCreations;
+    return { tokenCreations, scannedTo: toBlock };
   }
 
   /**
@@ -716,28 +1362,25 @@ class SimplePriceBasedTradingService {
   async scanBlockForTokenCreations(blockNumber) {
     const tokenCreations = [];
 
-    try {
-      const block = await this.publicClient.getBlock({
-        blockNumber: BigInt(blockNumber),
-        includeTransactions: true
-      });
+    // A failed block read throws so the walker doesn't move past it
+    const block = await this.withRpcFailover(() => this.publicClient.getBlock({
+      blockNumber: BigInt(blockNumber),
+      includeTransactions: true
+    }));
 
-      for (const tx of block.transactions) {
-        try {
-          // Check if this transaction is TO the four.meme contract
-          if (tx.to && tx.to.toLowerCase() === this.FOUR_MEME_CONTRACT.toLowerCase()) {
-            const tokenCreation = await this.analyzeFourMemeTransaction(tx, blockNumber);
-            if (tokenCreation) {
-              tokenCreations.push(tokenCreation);
-            }
+    for (const tx of block.transactions) {
+      try {
+        // Check if this transaction is TO the four.meme contract
+        if (tx.to && tx.to.toLowerCase() === this.FOUR_MEME_CONTRACT.toLowerCase()) {
+          const tokenCreation = await this.analyzeFourMemeTransaction(tx, blockNumber);
+          if (tokenCreation) {
+            tokenCreation.blockTimestamp = new Date(Number(block.timestamp) * 1000);
+            tokenCreations.push(tokenCreation);
           }
-        } catch (error) {
-          console.log(`⚠️ Error analyzing transaction ${tx.hash}: ${error}`);
         }
+      } catch (error) {
+        console.log(`⚠️ Error analyzing transaction ${tx.hash}: ${error}`);
       }
-
-    } catch (error) {
-      console.log(`⚠️ Error getting block ${blockNumber}: ${error}`);
     }
 
     return tokenCreations;
@@ -760,26 +1403,13 @@ class SimplePriceBasedTradingService {
         return null;
       }
 
-      // Extract gas price (in Gwei) and gas limit
-      let gasPriceGwei = undefined;
-      let gasLimit = undefined;
-      if (tx.gasPrice) {
-        gasPriceGwei = Number(tx.gasPrice) / 1e9;
-      }
-      if (tx.gasLimit) {
-        gasLimit = Number(tx.gasLimit);
-      } else if (tx.gas) {
-        gasLimit = Number(tx.gas);
-      }
-
       return {
         tokenAddress: tokenAddress,
         creatorAddress: tx.from,
         blockNumber,
         transactionHash: tx.hash,
-        timestamp: new Date(),
-        gasPriceGwei,
-        gasLimit
+        timestamp: this.getCurrentTime(),
+        ...this.getCreatorGasFields(tx)
       };
 
     } catch (error) {
@@ -788,12 +1418,54 @@ class SimplePriceBasedTradingService {
     }
   }
 
+  /**
+   * Extract gas price (in Gwei) and gas limit from a creation transaction
+   */
+  getCreatorGasFields(tx) {
+    let gasPriceGwei = undefined;
+    let gasLimit = undefined;
+    if (tx.gasPrice) {
+      gasPriceGwei = Number(tx.gasPrice) / 1e9;
+    }
+    if (tx.gasLimit) {
+      gasLimit = Number(tx.gasLimit);
+    } else if (tx.gas) {
+      gasLimit = Number(tx.gas);
+    }
+    return { gasPriceGwei, gasLimit };
+  }
+
   /**
    * Process a new token creation
    */
   async processNewToken(tokenCreation) {
     try {
       const tokenAddress = tokenCreation.tokenAddress.toLowerCase();
+      // Every creation goes into the history, matched or not, so replays can re-run pattern matching
+      this.priceHistory.recordCreation({
+        tokenAddress,
+        at: tokenCreation.timestamp ? new Date(tokenCreation.timestamp).getTime() : this.clock.now(),
+        blockNumber: tokenCreation.blockNumber !== undefined ? Number(tokenCreation.blockNumber) : null,
+        creatorAddress: tokenCreation.creatorAddress,
+        gasPriceGwei: tokenCreation.gasPriceGwei,
+        gasLimit: tokenCreation.gasLimit,
+        transactionHash: tokenCreation.transactionHash
+      });
+      this.priceHistory.flush(this.clock.now());
+
+      // Seen again after being reorged out: this detection comes from the canonical chain
+      if (this.orphanedTokens.delete(tokenAddress)) {
+        console.log(`♻️ Token ${tokenAddress.slice(0, 8)}... re-included on the canonical chain`);
+        const orphan = this.monitoredTokens.get(tokenAddress);
+        if (orphan) {
+          // Still monitored for its open position
+          orphan.orphaned = false;
+          orphan.creationBlock = Number(tokenCreation.blockNumber);
+          orphan.creationTxHash = tokenCreation.transactionHash;
+          this.persistToken(orphan);
+        }
+      }
+
       // Debug: print gas price and gas limit for every new token
       console.log(`🆕 Token detected: ${tokenAddress}`);
       console.log(`   Gas Price (Gwei): ${tokenCreation.gasPriceGwei}`);
@@ -838,9 +1510,14 @@ class SimplePriceBasedTradingService {
         tokenAddress,
         creatorAddress: tokenCreation.creatorAddress,
         creationTime: tokenCreation.timestamp,
-        lastPriceUpdate: new Date(),
-        lastPriceChange: new Date(),
+        creationBlock: tokenCreation.blockNumber,
+        creationTxHash: tokenCreation.transactionHash,
+        creatorGasPriceGwei: tokenCreation.gasPriceGwei, // For the 'creator' gas profile
+        orphaned: false,
+        lastPriceUpdate: this.getCurrentTime(),
+        lastPriceChange: this.getCurrentTime(),
         currentPriceUSD: initialPriceUSD,
+        currentPriceBNB: priceResult.priceBNB,
         previousPriceUSD: initialPriceUSD,
         priceChangePercent: 0,
         isActive: true,
@@ -864,6 +1541,8 @@ class SimplePriceBasedTradingService {
 
       this.monitoredTokens.set(tokenAddress, monitoredToken);
       this.tradeStats.tokensMonitored++;
+      this.persistToken(monitoredToken);
+      this.persistStats();
 
       console.log(`🎯 New token added to monitoring: ${tokenAddress.slice(0, 8)}...`);
       console.log(`   Creator: ${tokenCreation.creatorAddress.slice(0, 8)}...${tokenCreation.creatorAddress.slice(-6)}`);
@@ -893,12 +1572,15 @@ class SimplePriceBasedTradingService {
     this.monitoringInterval = setInterval(async () => {
       try {
         // Update BNB price every 5 minutes
-        if (!this.lastBNBPriceUpdate || Date.now() - this.lastBNBPriceUpdate > 300000) {
+        if (!this.lastBNBPriceUpdate || this.clock.now() - this.lastBNBPriceUpdate > 300000) {
           this.bnbPriceUSD = await this.getBNBPriceUSD();
-          this.lastBNBPriceUpdate = Date.now();
+          this.lastBNBPriceUpdate = this.clock.now();
         }
 
+        this.checkEmergencyTriggers();
+
         await this.updateAllTokenPrices();
+        this.updateUnrealizedPnl();
       } catch (error) {
         console.error('Error in price monitoring:', error);
       }
@@ -915,29 +1597,44 @@ class SimplePriceBasedTradingService {
       return;
     }
 
+    // One BNB/USD quote for the whole tick (refreshed every 5 minutes by the monitoring loop)
+    const bnbPriceUSD = this.bnbPriceUSD;
+    // The tick's samples are labelled with the chain head the scanner saw last (no extra RPC call)
+    const blockNumber = this.chainHeadBlock;
+    const useMulticall = (this.config.monitoring.priceBackend || 'multicall') === 'multicall';
+    const tokenInfos = useMulticall
+      ? await this.priceBackend.fetchTokenInfos(activeTokens.map(token => token.tokenAddress))
+      : null;
+
     // Process tokens in batches to avoid rate limits
     const batchSize = Math.max(1, Number(this.config.monitoring.batchSize) || 3);
     const batchDelayMs = Math.max(0, Number(this.config.monitoring.batchDelayMs) || 0);
     for (let i = 0; i < activeTokens.length; i += batchSize) {
       const batch = activeTokens.slice(i, i + batchSize);
 
-      const promises = batch.map(token => this.updateTokenPrice(token));
+      const promises = batch.map(token => this.updateTokenPrice(token, {
+        bnbPriceUSD,
+        blockNumber,
+        // A token missing from the multicall result (its chunk and own read failed) is skipped this tick
+        ...(tokenInfos ? { tokenInfoResult: tokenInfos.get(token.tokenAddress.toLowerCase()) ?? null } : {})
+      }));
       await Promise.allSettled(promises);
 
-      // Delay between batches to respect rate limits
-      if (i + batchSize < activeTokens.length && batchDelayMs > 0) {
-        await new Promise(resolve => setTimeout(resolve, batchDelayMs));
+      // Delay between batches to respect rate limits (prices are already fetched with multicall)
+      if (!useMulticall && i + batchSize < activeTokens.length && batchDelayMs > 0) {
+        await this.clock.sleep(batchDelayMs);
       }
     }
+    this.priceHistory.flush(this.clock.now());
   }
 
   /**
-   * Update price for a specific token
+   * Update price for a specific token (prefetched: see getTokenPrice)
    */
-  async updateTokenPrice(token) {
+  async updateTokenPrice(token, prefetched = {}) {
     try {
       // Get current price
-      const priceResult = await this.getTokenPrice(token.tokenAddress);
+      const priceResult = await this.getTokenPrice(token.tokenAddress, prefetched);
 
       if (!priceResult.success) {
         console.log(`⚠️ Could not get price for ${token.tokenAddress.slice(0, 8)}...`);
@@ -946,6 +1643,15 @@ class SimplePriceBasedTradingService {
 
       const currentPriceUSD = priceResult.priceUSD;
       const previousPriceUSD = token.currentPriceUSD;
+      this.priceHistory.recordSample({
+        tokenAddress: token.tokenAddress,
+        at: this.clock.now(),
+        blockNumber: prefetched.blockNumber ?? null,
+        priceBNB: priceResult.priceBNB,
+        priceUSD: currentPriceUSD,
+        curve: priceResult.curve,
+        venue: priceResult.venue
+      });
 
       // Calculate price change
       let priceChangePercent = 0;
@@ -956,18 +1662,30 @@ class SimplePriceBasedTradingService {
       // Update token data
       token.previousPriceUSD = previousPriceUSD;
       token.currentPriceUSD = currentPriceUSD;
+      token.currentPriceBNB = priceResult.priceBNB;
+      if (priceResult.curve) {
+        this.updateCurveState(token, priceResult.curve);
+      }
       token.priceChangePercent = priceChangePercent;
       // token.lastPriceUpdate = new Date(); // Remove this line so it's not always updated
 
       // Update last price change time and lastPriceUpdate if price changed significantly
       if (Math.abs(priceChangePercent) > this.config.monitoring.priceChangeThreshold) {
-        token.lastPriceChange = new Date();
-        token.lastPriceUpdate = new Date();
+        token.lastPriceChange = this.getCurrentTime();
+        token.lastPriceUpdate = token.lastPriceChange;
       }
 
       // Check for trading opportunities
       await this.checkTradingOpportunities(token);
 
+      // shouldSell() ratchets the peak price; keep the stored stop-loss reference current
+      if (token.positionOpen && this.monitoredTokens.has(token.tokenAddress)) {
+        const stored = this.stateStore.get('tokens', token.tokenAddress);
+        if (!stored || stored.peakPriceSinceLastSell !== token.peakPriceSinceLastSell) {
+          this.persistToken(token);
+        }
+      }
+
     } catch (error) {
       console.error(`Error updating price for token ${token.tokenAddress}:`, error.message);
     } finally {
@@ -976,18 +1694,31 @@ class SimplePriceBasedTradingService {
     }
   }
 
+  /**
+   * Track curve progress, funds raised, their inflow over curveInflowWindowSeconds and time since launch
+   */
+  updateCurveState(token, curve) {
+    applyCurveState(token, curve, this.getCurrentTime(), Number(this.config.monitoring.curveInflowWindowSeconds ?? 60));
+  }
+
   /**
    * Check for trading opportunities using pattern-based logic
    */
   async checkTradingOpportunities(token) {
     try {
+      // Emergency stop: no buys. flattenAllPositions() owns every position while it runs;
+      // positions it gave up on go back to the normal sell checks afterwards
+      if (this.emergencyStop.active && (this.emergencyStop.flattening || !token.positionOpen)) {
+        return;
+      }
+
       // Skip if no pattern matched
       if (!token.matchedPattern) {
         return;
       }
 
       // Check for buy opportunity
-      if (shouldBuy(token, token.matchedPattern, this.config)) {
+      if (!this.emergencyStop.active && shouldBuy(token, token.matchedPattern, this.config, this.getCurrentTime())) {
         // Prevent duplicate buys with lock
         if (this.activeBuyLocks.has(token.tokenAddress)) {
           return;
@@ -995,13 +1726,13 @@ class SimplePriceBasedTradingService {
         
         await this.withBuyLock(token.tokenAddress, async () => {
           // Double-check conditions inside lock
-          if (shouldBuy(token, token.matchedPattern, this.config)) {
+          if (shouldBuy(token, token.matchedPattern, this.config, this.getCurrentTime())) {
             // Use pattern-based buy amount
             const tradingParams = getTradingParams(token.matchedPattern);
             const originalBuyAmount = this.config.trading.buyAmountBNB;
             this.config.trading.buyAmountBNB = tradingParams.buyAmount;
             
-            await this.executeBuy(token);
+            await this.executeBuy(token, { decisionPrice: this.getDecisionPrice(token) });
             
             // Restore original buy amount
             this.config.trading.buyAmountBNB = originalBuyAmount;
@@ -1011,7 +1742,7 @@ class SimplePriceBasedTradingService {
       }
 
       // Check for sell opportunity
-      const sellDecision = shouldSell(token, token.matchedPattern, this.config);
+      const sellDecision = shouldSell(token, token.matchedPattern, this.config, this.getCurrentTime());
       if (sellDecision && sellDecision.shouldSell) {
         // Prevent duplicate sells with lock
         if (this.activeSellLocks.has(token.tokenAddress)) {
@@ -1020,10 +1751,14 @@ class SimplePriceBasedTradingService {
         
         await this.withSellLock(token.tokenAddress, async () => {
           // Double-check conditions inside lock
-          const currentSellDecision = shouldSell(token, token.matchedPattern, this.config);
+          const currentSellDecision = shouldSell(token, token.matchedPattern, this.config, this.getCurrentTime());
           if (currentSellDecision && currentSellDecision.shouldSell) {
             console.log(`📈 Sell triggered for ${token.tokenAddress.slice(0, 8)}...: ${currentSellDecision.reason}`);
-            await this.executeSell(token, { amountMode: currentSellDecision.amountMode });
+            await this.executeSell(token, {
+              amountMode: currentSellDecision.amountMode,
+              reason: currentSellDecision.reason,
+              decisionPrice: this.getDecisionPrice(token)
+            });
           }
         });
         return;
@@ -1035,10 +1770,23 @@ class SimplePriceBasedTradingService {
   }
 
   /**
-   * Execute buy order
+   * Execute buy order (decisionPrice: see getDecisionPrice)
    */
-  async executeBuy(token) {
+  async executeBuy(token, { decisionPrice = null } = {}) {
+    let riskManager = null;
+    let reservation = null;
     try {
+      if (this.emergencyStop.active) {
+        console.log(`🚫 Buy blocked for ${token.tokenAddress.slice(0, 8)}...: emergency stop active`);
+        return;
+      }
+
+      // Never buy a token whose creation was reorged out of the canonical chain
+      if (token.orphaned) {
+        console.log(`🚫 Not buying orphaned token ${token.tokenAddress.slice(0, 8)}...`);
+        return;
+      }
+
       // Guard: respect per-token trade cap before placing any buy
       const maxTradesPerToken = Number(this.config.trading.maxTradesPerCycle ?? 2);
       const currentTradeCount = Number(token.tradeCount || 0);
@@ -1054,23 +1802,50 @@ class SimplePriceBasedTradingService {
         return;
       }
 
+      // Global hourly/daily trade limits (only new buys are gated); the slot is taken now
+      // and given back below unless the buy goes through
+      riskManager = this.getRiskManager();
+      const riskCheck = riskManager.canOpenPosition(token.tokenAddress);
+      if (!riskCheck.allowed) {
+        console.log(`🚫 Buy blocked for ${token.tokenAddress.slice(0, 8)}...: ${riskCheck.reason}`);
+        return;
+      }
+      reservation = riskCheck.reservation;
+
       if (this.config.trading.testMode) {
-        console.log(`🧪 TEST MODE: Would buy ${token.tokenAddress.slice(0, 8)}...`);
+        console.log(`🧪 TEST MODE: Paper buy ${token.tokenAddress.slice(0, 8)}...`);
         console.log(`   Pattern: ${token.matchedPattern.name}`);
         console.log(`   Buy Amount: ${tradingParams.buyAmount} BNB`);
         console.log(`   Buy Threshold: $${tradingParams.buyPriceThresholdUSD}`);
         console.log(`   Current Price: $${token.currentPriceUSD.toFixed(8)}`);
-        
+
+        const paperResult = await this.paperTrader.buy({
+          tokenAddress: token.tokenAddress,
+          wallets: this.getPaperWallets(),
+          amountBNB: tradingParams.buyAmount,
+          maxSlippagePercent: tradingParams.maxSlippage ?? this.config.trading.maxSlippagePercent,
+          gasAction: this.getBuyGasAction(token)
+        });
+        if (!paperResult.success) {
+          console.log(`❌ Paper buy failed for ${token.tokenAddress.slice(0, 8)}...: ${paperResult.error}`);
+          return;
+        }
+
+        token.positionOpen = true;
         token.hasBeenTraded = true;
         token.buyPriceUSD = token.currentPriceUSD;
-        token.buyTransactionHash = 'TEST_BUY_' + Date.now();
+        token.buyTransactionHash = 'TEST_BUY_' + this.clock.now();
+        this.recordPaperFills(token, 'buy', token.buyTransactionHash, paperResult);
         // Initialize risk management flags
         token.peakPriceSinceLastSell = token.buyPriceUSD; // Reset peak to buy price
         token.hasSoldHalf = false;
-        token.buyTime = new Date();
+        token.buyTime = this.getCurrentTime();
         this.tradeStats.successfulBuys++;
         this.tradeStats.totalTrades++;
+        reservation = null; // The buy keeps its trade slot
         // positionOpen already set above
+        this.persistToken(token);
+        this.persistStats();
         return;
       }
 
@@ -1084,7 +1859,10 @@ class SimplePriceBasedTradingService {
       this.config.trading.buyAmountBNB = tradingParams.buyAmount;
 
       // Execute real buy transaction
-      const buyResult = await this.executeRealBuy(token);
+      const buyResult = await this.executeRealBuy(token, {
+        maxSlippagePercent: tradingParams.maxSlippage ?? this.config.trading.maxSlippagePercent,
+        decisionPrice
+      });
 
       // Restore original buy amount
       this.config.trading.buyAmountBNB = originalBuyAmount;
@@ -1094,16 +1872,24 @@ class SimplePriceBasedTradingService {
         token.hasBeenTraded = true;
         token.buyPriceUSD = token.currentPriceUSD;
         token.buyTransactionHash = buyResult.transactionHash;
+        // Fills were booked from the receipts in executeRealBuy
+        this.syncPositionFromLedger(token);
         // Initialize risk management flags
         token.peakPriceSinceLastSell = token.buyPriceUSD; // Reset peak to buy price
         token.hasSoldHalf = false;
-        token.buyTime = new Date();
+        token.buyTime = this.getCurrentTime();
         this.tradeStats.successfulBuys++;
         this.tradeStats.totalTrades++;
+        reservation = null; // The buy keeps its trade slot
         // positionOpen already set above
+        this.persistToken(token);
+        this.persistStats();
 
         console.log(`✅ REAL buy completed for ${token.tokenAddress.slice(0, 8)}...`);
         console.log(`   Transaction: ${buyResult.transactionHash}`);
+      } else if (buyResult.code === 'SLIPPAGE_EXCEEDED') {
+        console.log(`🛡️ Buy aborted for ${token.tokenAddress.slice(0, 8)}...: ${buyResult.error}`);
+        token.positionOpen = false;
       } else {
         console.log(`❌ Buy failed for ${token.tokenAddress.slice(0, 8)}...: ${buyResult.error}`);
         // Reset position if buy failed
@@ -1114,6 +1900,10 @@ class SimplePriceBasedTradingService {
       console.error(`Error executing buy order:`, error.message);
       // Reset position if buy failed due to error
       token.positionOpen = false;
+    } finally {
+      if (reservation) {
+        riskManager.releaseTrade(reservation);
+      }
     }
   }
 
@@ -1123,10 +1913,12 @@ class SimplePriceBasedTradingService {
   async executeSell(token, options = { amountMode: 'all' }) {
     try {
       const amountMode = options.amountMode || 'all';
+      const overrideReasons = this.config.trading.minProceedsOverrideReasons ?? DEFAULT_MIN_PROCEEDS_OVERRIDE_REASONS;
+      const ignoreMinProceeds = Boolean(options.reason) && overrideReasons.includes(options.reason);
       
       // Cooldown after any sell attempt to avoid rapid re-triggers
       const cooldownMs = Math.max(0, Number(this.config.trading.sellCooldownSeconds || 0) * 1000);
-      const now = new Date();
+      const now = this.getCurrentTime();
       if (cooldownMs > 0 && token.lastSellAttemptAt && (now.getTime() - token.lastSellAttemptAt.getTime()) < cooldownMs) {
         return;
       }
@@ -1141,30 +1933,36 @@ class SimplePriceBasedTradingService {
 
       if (this.config.trading.testMode) {
         const note = amountMode === 'half' ? 'half (TEST)' : 'all (TEST)';
-        console.log(`🧪 TEST MODE: Would sell ${note} for ${token.tokenAddress.slice(0, 8)}...`);
+        console.log(`🧪 TEST MODE: Paper sell ${note} for ${token.tokenAddress.slice(0, 8)}...`);
         console.log(`   Pattern: ${token.matchedPattern.name}`);
         console.log(`   Sell Price: $${token.currentPriceUSD.toFixed(8)}`);
         console.log(`   Buy Price: $${token.buyPriceUSD.toFixed(8)}`);
         
+        const paperResult = await this.paperTrader.sell({
+          tokenAddress: token.tokenAddress,
+          amountMode,
+          gasAction: options.reason === 'stop_loss' || options.reason === 'migration_guard' ? 'stopLossSell' : 'sell'
+        });
+        if (!paperResult.success) {
+          console.log(`❌ Paper sell failed for ${token.tokenAddress.slice(0, 8)}...: ${paperResult.error}`);
+          return;
+        }
+
         token.sellPriceUSD = token.currentPriceUSD;
+        const testSellHash = 'TEST_SELL_' + this.clock.now();
+        const realizedPnlBNB = this.recordPaperFills(token, 'sell', testSellHash, paperResult);
+        console.log(`💰 Test Trade P&L: ${realizedPnlBNB.toFixed(6)} BNB (price moved ${paperResult.driftPercent.toFixed(2)}% during latency)`);
         if (amountMode === 'all') {
-          token.sellTransactionHash = 'TEST_SELL_' + Date.now();
+          token.sellTransactionHash = testSellHash;
           this.tradeStats.successfulSells++;
           token.positionOpen = false;
           token.lastSellPriceUSD = token.currentPriceUSD;
           
-          // Calculate profit/loss
-          if (token.buyPriceUSD) {
-            const profitLossUSD = token.sellPriceUSD - token.buyPriceUSD;
-            this.tradeStats.totalProfitUSD += profitLossUSD;
-            console.log(`💰 Test Trade P&L: $${profitLossUSD.toFixed(8)}`);
-          }
-          
           // Re-entry handling in test mode
           const maxTradesPerToken = Number(this.config.trading.maxTradesPerCycle ?? 2);
           const currentTradeCount = Number(token.tradeCount || 0);
           if (this.config.trading.reentryEnabled && currentTradeCount + 1 < maxTradesPerToken) {
-            token.lastSellTime = new Date();
+            token.lastSellTime = this.getCurrentTime();
             token.tradeCount = currentTradeCount + 1;
             token.tradeCycle = (token.tradeCycle || 0) + 1;
             token.hasCompletedFirstCycle = true;
@@ -1176,7 +1974,7 @@ class SimplePriceBasedTradingService {
             token.sellTransactionHash = undefined;
           } else {
             // Mark token as traded and remove from monitoring
-            this.tradedTokens.add(token.tokenAddress);
+            this.markTokenTraded(token.tokenAddress);
             await this.removeTokenFromMonitoring(token);
           }
         } else {
@@ -1184,6 +1982,8 @@ class SimplePriceBasedTradingService {
           token.partialSellAtUSD = token.currentPriceUSD;
           token.hasSoldHalf = true;
         }
+        this.persistToken(token);
+        this.persistStats();
         return;
       }
 
@@ -1192,11 +1992,32 @@ class SimplePriceBasedTradingService {
       console.log(`   Sell Price: $${token.currentPriceUSD.toFixed(8)}`);
       console.log(`   Buy Price: $${token.buyPriceUSD.toFixed(8)}`);
 
-      // Execute real sell transaction
-      const sellResult = await this.executeRealSell(token, { amountMode });
-
+      // Execute real sell transaction; failed attempts retry with a higher gas price
+      const retryCount = Number(token.sellRetryCount || 0);
+      const gasBump = Number(this.config.trading.sellRetryGasBumpPercent ?? 25) / 100;
+      const maxBumps = Math.max(0, Number(this.config.trading.maxSellRetryBumps ?? 4));
+      const sellResult = await this.executeRealSell(token, {
+        amountMode,
+        gasAction: options.reason === 'stop_loss' || options.reason === 'migration_guard' ? 'stopLossSell' : 'sell',
+        ignoreMinProceeds,
+        gasPriceMultiplier: 1 + gasBump * Math.min(retryCount, maxBumps),
+        decisionPrice: options.decisionPrice
+      });
+      this.recordSellWalletResults(token, sellResult.walletResults);
       if (sellResult.success) {
+        token.sellRetryCount = 0;
+      }
+
+      if (sellResult.success && sellResult.partial) {
+        // Only part of the requested amount went (split for proceeds, or some wallets failed); the rest
+        // sells on later ticks, and a half exit stays pending until a half sell goes through in full
+        await this.settleSellFills(token.tokenAddress, sellResult.transactions);
+        console.log(`🪓 Partial sell for ${token.tokenAddress.slice(0, 8)}...: ${sellResult.transactions.length}/${sellResult.walletResults.length} wallet sell(s) confirmed, position stays open`);
+        this.persistToken(token);
+      } else if (sellResult.success) {
         token.sellPriceUSD = token.currentPriceUSD;
+        // Proceeds come from the receipts' sale / WBNB withdrawal events
+        await this.settleSellFills(token.tokenAddress, sellResult.transactions);
         if (amountMode === 'all') {
           token.sellTransactionHash = sellResult.transactionHash;
           this.tradeStats.successfulSells++;
@@ -1204,21 +2025,18 @@ class SimplePriceBasedTradingService {
           token.positionOpen = false;
           token.lastSellPriceUSD = token.currentPriceUSD;
 
-          // Calculate profit/loss
           if (token.buyPriceUSD) {
-            const profitLossUSD = token.sellPriceUSD - token.buyPriceUSD;
-            this.tradeStats.totalProfitUSD += profitLossUSD;
             console.log(`💰 Trade completed:`);
             console.log(`   Buy Price: $${token.buyPriceUSD.toFixed(8)}`);
             console.log(`   Sell Price: $${token.sellPriceUSD.toFixed(8)}`);
-            console.log(`   P&L: $${profitLossUSD.toFixed(8)}`);
+            console.log(`   P&L: booked in BNB by the trade ledger`);
           }
 
           // Re-entry handling
           const maxTradesPerToken = Number(this.config.trading.maxTradesPerCycle ?? 2);
           const currentTradeCount = Number(token.tradeCount || 0);
           if (this.config.trading.reentryEnabled && currentTradeCount + 1 < maxTradesPerToken) {
-            token.lastSellTime = new Date();
+            token.lastSellTime = this.getCurrentTime();
             token.tradeCount = currentTradeCount + 1;
             token.tradeCycle = (token.tradeCycle || 0) + 1;
             token.hasCompletedFirstCycle = true;
@@ -1230,7 +2048,7 @@ class SimplePriceBasedTradingService {
             token.sellTransactionHash = undefined;
           } else {
             // Mark token as traded and remove from monitoring
-            this.tradedTokens.add(token.tokenAddress);
+            this.markTokenTraded(token.tokenAddress);
             await this.removeTokenFromMonitoring(token);
           }
 
@@ -1242,8 +2060,16 @@ class SimplePriceBasedTradingService {
           token.hasSoldHalf = true;
           console.log(`✅ REAL partial sell (half) completed for ${token.tokenAddress.slice(0, 8)}...`);
         }
+        this.persistToken(token);
+        this.persistStats();
+      } else if (sellResult.code === 'MIN_PROCEEDS') {
+        console.log(`🛡️ Sell skipped for ${token.tokenAddress.slice(0, 8)}...: ${sellResult.error}`);
       } else {
-        console.log(`❌ Sell failed for ${token.tokenAddress.slice(0, 8)}...: ${sellResult.error}`);
+        // Nothing confirmed: the position stays open and the next tick retries
+        token.positionOpen = true;
+        token.sellRetryCount = retryCount + 1;
+        console.log(`❌ Sell failed for ${token.tokenAddress.slice(0, 8)}...: ${sellResult.error} (retry ${token.sellRetryCount} with +${Math.round(gasBump * Math.min(token.sellRetryCount, maxBumps) * 100)}% gas)`);
+        this.persistToken(token);
       }
 
     } catch (error) {
@@ -1252,16 +2078,227 @@ class SimplePriceBasedTradingService {
   }
 
   /**
-   * Ensure only one sell runs per token at a time
+   * Mirror the ledger's open lots for a token onto the token record
    */
-  async withSellLock(tokenAddress, fn) {
-    const key = tokenAddress.toLowerCase();
-    if (this.activeSellLocks.has(key)) return;
-    this.activeSellLocks.add(key);
-    try {
-      await fn();
-    } finally {
-      this.activeSellLocks.delete(key);
+  syncPositionFromLedger(token) {
+    const position = this.tradeLedger.getOpenPosition(token.tokenAddress);
+    token.positionTokens = toBNB(position.tokens); // 18 decimals, same scale as BNB
+    token.costBasisBNB = toBNB(position.costWei);
+    const paperPosition = this.paperLedger.getOpenPosition(token.tokenAddress);
+    token.paperPositionTokens = toBNB(paperPosition.tokens);
+    token.paperCostBasisBNB = toBNB(paperPosition.costWei);
+  }
+
+  /**
+   * Decode the token transfers, four.meme trade event and router BNB payout of a wallet's receipt
+   */
+  parseFillLogs(receipt, tokenAddress, walletAddress) {
+    const token = tokenAddress.toLowerCase();
+    const wallet = walletAddress.toLowerCase();
+    const result = { tokensIn: 0n, tokensOut: 0n, trade: null, routerBNBOut: 0n };
+    const events = parseEventLogs({ abi: this.FILL_EVENTS_ABI, logs: receipt.logs });
+    for (const event of events) {
+      const args = event.args || {};
+      if (event.eventName === 'Transfer' && event.address.toLowerCase() === token) {
+        if (args.to && args.to.toLowerCase() === wallet) result.tokensIn += args.value;
+        if (args.from && args.from.toLowerCase() === wallet) result.tokensOut += args.value;
+      } else if ((event.eventName === 'TokenPurchase' || event.eventName === 'TokenSale') &&
+        args.token && args.token.toLowerCase() === token &&
+        args.account && args.account.toLowerCase() === wallet) {
+        result.trade = args;
+      } else if (event.eventName === 'Withdrawal' && event.address.toLowerCase() === WBNB_ADDRESS.toLowerCase() &&
+        args.src && args.src.toLowerCase() === PANCAKESWAP_ROUTER_V2.toLowerCase()) {
+        result.routerBNBOut += args.wad;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Book a confirmed buy in the ledger from its receipt (falls back to the tryBuy quote)
+   */
+  recordBuyFill(tokenAddress, walletAddress, receipt, quote) {
+    try {
+      const fill = this.parseFillLogs(receipt, tokenAddress, walletAddress);
+      const gasWei = receipt.gasUsed * (receipt.effectiveGasPrice || 0n);
+      const feeWei = fill.trade && fill.trade.fee !== undefined ? fill.trade.fee : quote.estimatedFee;
+      const spentWei = fill.trade && fill.trade.cost !== undefined ? fill.trade.cost + fill.trade.fee : quote.amountMsgValue;
+      const tokens = fill.tokensIn > 0n ? fill.tokensIn : quote.estimatedAmount;
+      this.tradeLedger.recordBuy({
+        txHash: receipt.transactionHash,
+        wallet: walletAddress,
+        tokenAddress,
+        tokens,
+        spentWei,
+        gasWei,
+        feeWei
+      });
+      console.log(`📒 Buy fill ${tokenAddress.slice(0, 8)}... (${walletAddress.slice(0, 8)}...): ${toBNB(tokens).toFixed(2)} tokens for ${toBNB(spentWei).toFixed(6)} BNB + ${toBNB(gasWei).toFixed(6)} gas (fee ${toBNB(feeWei).toFixed(6)})`);
+    } catch (error) {
+      console.error(`Error recording buy fill ${receipt.transactionHash}:`, error.message);
+    }
+  }
+
+  /**
+   * Book confirmed sells in the ledger with actual BNB received, from the receipts executeRealSell waited for
+   */
+  async settleSellFills(tokenAddress, transactions = []) {
+    for (const tx of transactions) {
+      try {
+        const receipt = tx.receipt;
+        if (!receipt) {
+          console.log(`⚠️ Sell ${tx.hash} has no receipt; nothing booked`);
+          continue;
+        }
+        if (receipt.status !== 'success') {
+          console.log(`⚠️ Sell ${receipt.transactionHash} reverted; nothing booked`);
+          continue;
+        }
+        if (this.tradeLedger.hasFill(receipt.transactionHash)) continue;
+
+        const fill = this.parseFillLogs(receipt, tokenAddress, tx.wallet);
+        if (fill.tokensOut === 0n) {
+          // e.g. the nonce was taken by a different transaction
+          console.log(`⚠️ ${receipt.transactionHash} moved no ${tokenAddress.slice(0, 8)}... tokens; nothing booked`);
+          continue;
+        }
+        const gasWei = receipt.gasUsed * (receipt.effectiveGasPrice || 0n);
+        // Proceeds from the curve's TokenSale event or the router's WBNB payout
+        let proceedsWei;
+        if (fill.trade) {
+          proceedsWei = fill.trade.cost - fill.trade.fee;
+        } else if (fill.routerBNBOut > 0n) {
+          proceedsWei = fill.routerBNBOut;
+        } else {
+          proceedsWei = await this.getProceedsFromBalanceChange(tx.wallet, receipt, gasWei);
+          if (proceedsWei === null) {
+            console.log(`⚠️ Proceeds of ${receipt.transactionHash} unknown (no sale event, balance change not attributable); nothing booked`);
+            continue;
+          }
+        }
+
+        const result = this.tradeLedger.recordSell({
+          txHash: receipt.transactionHash,
+          wallet: tx.wallet,
+          tokenAddress,
+          tokens: fill.tokensOut,
+          proceedsWei,
+          gasWei,
+          feeWei: fill.trade ? fill.trade.fee : 0n
+        });
+        if (result.duplicate) continue;
+
+        this.riskManager.recordRealizedPnl(result.realizedPnlBNB);
+        console.log(`💰 Sell settled for ${tokenAddress.slice(0, 8)}... (${tx.wallet.slice(0, 8)}...): ${toBNB(proceedsWei).toFixed(6)} BNB received, ${toBNB(gasWei).toFixed(6)} gas, P&L ${result.realizedPnlBNB.toFixed(6)} BNB`);
+
+        const token = this.monitoredTokens.get(tokenAddress);
+        if (token) {
+          this.syncPositionFromLedger(token);
+          this.persistToken(token);
+        }
+      } catch (error) {
+        console.error(`Error settling sell ${tx.hash}:`, error.shortMessage || error.message);
+      }
+    }
+  }
+
+  /**
+   * Last resort for sells without a sale event: the wallet's balance change across the block
+   * plus gas. Needs historical state, and is only used when the sell is the wallet's sole
+   * transaction in the block (anything else would be mixed into the difference).
+   */
+  async getProceedsFromBalanceChange(walletAddress, receipt, gasWei) {
+    try {
+      const wallet = walletAddress.toLowerCase();
+      const block = await this.withRpcFailover(() => this.publicClient.getBlock({ blockNumber: receipt.blockNumber, includeTransactions: true }));
+      const walletTxs = block.transactions.filter(tx => (tx.from || '').toLowerCase() === wallet || (tx.to || '').toLowerCase() === wallet);
+      if (walletTxs.length !== 1) {
+        return null;
+      }
+      const [before, after] = await Promise.all([
+        this.withRpcFailover(() => this.publicClient.getBalance({ address: walletAddress, blockNumber: receipt.blockNumber - 1n })),
+        this.withRpcFailover(() => this.publicClient.getBalance({ address: walletAddress, blockNumber: receipt.blockNumber }))
+      ]);
+      return after - before + gasWei;
+    } catch (error) {
+      console.log(`⚠️ Balance-change proceeds lookup failed for ${receipt.transactionHash}: ${error.shortMessage || error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Book paper fills in the paper ledger under `paper:<wallet>`; returns the realized P&L of sells
+   */
+  recordPaperFills(token, side, txHash, paperResult) {
+    let realizedPnlBNB = 0;
+    paperResult.fills.forEach((fill, index) => {
+      const fillHash = `${txHash}_${index}`;
+      const wallet = `paper:${fill.wallet}`;
+      if (side === 'buy') {
+        this.paperLedger.recordBuy({ txHash: fillHash, wallet, tokenAddress: token.tokenAddress, tokens: fill.tokens, spentWei: fill.spentWei, gasWei: fill.gasWei, feeWei: fill.feeWei });
+        return;
+      }
+      const result = this.paperLedger.recordSell({ txHash: fillHash, wallet, tokenAddress: token.tokenAddress, tokens: fill.tokens, proceedsWei: fill.proceedsWei, gasWei: fill.gasWei, feeWei: fill.feeWei });
+      if (!result.duplicate) {
+        this.paperRiskManager.recordRealizedPnl(result.realizedPnlBNB);
+        realizedPnlBNB += result.realizedPnlBNB;
+      }
+    });
+    this.syncPositionFromLedger(token);
+    return realizedPnlBNB;
+  }
+
+  /**
+   * Wallets paper buys are split across: the loaded wallets, or one stand-in when none are loaded
+   */
+  getPaperWallets() {
+    return this.availableWallets.length > 0 ? this.availableWallets : [{ address: 'paper', balanceBNB: 0 }];
+  }
+
+  /**
+   * Mark open positions to market for the daily loss / drawdown breakers
+   */
+  updateUnrealizedPnl() {
+    let unrealizedBNB = 0;
+    let paperUnrealizedBNB = 0;
+    for (const token of this.monitoredTokens.values()) {
+      if (!(token.currentPriceBNB > 0)) continue;
+      if (token.positionTokens > 0) {
+        unrealizedBNB += token.positionTokens * token.currentPriceBNB - (token.costBasisBNB || 0);
+      }
+      if (token.paperPositionTokens > 0) {
+        paperUnrealizedBNB += token.paperPositionTokens * token.currentPriceBNB - (token.paperCostBasisBNB || 0);
+      }
+    }
+    this.riskManager.updateUnrealizedPnl(unrealizedBNB);
+    this.paperRiskManager.updateUnrealizedPnl(paperUnrealizedBNB);
+  }
+
+  /**
+   * Risk gate for new buys: the paper one in test mode, the live one otherwise
+   */
+  getRiskManager() {
+    return this.config.trading.testMode ? this.paperRiskManager : this.riskManager;
+  }
+
+  /**
+   * Lift a tripped daily loss / drawdown breaker (for circuitBreakerResetMode 'manual')
+   */
+  resetCircuitBreaker() {
+    return this.getRiskManager().resetCircuitBreaker();
+  }
+
+  /**
+   * Ensure only one sell runs per token at a time
+   */
+  async withSellLock(tokenAddress, fn) {
+    const key = tokenAddress.toLowerCase();
+    if (this.activeSellLocks.has(key)) return;
+    this.activeSellLocks.add(key);
+    try {
+      await fn();
+    } finally {
+      this.activeSellLocks.delete(key);
     }
   }
 
@@ -1279,12 +2316,18 @@ class SimplePriceBasedTradingService {
   /**
    * Execute real buy transaction using proper four.meme implementation
    */
-  async executeRealBuy(token) {
+  async executeRealBuy(token, { maxSlippagePercent = 10, decisionPrice = null } = {}) {
     try {
+      const slippagePercent = Math.min(100, Math.max(0, Number(maxSlippagePercent) || 0));
+      const gasSettings = this.config.gas || {};
+      const gasAction = this.getBuyGasAction(token);
+      const gasContext = { creatorGasPriceGwei: token.creatorGasPriceGwei };
+
       // Get funded wallets with dynamic gas buffer based on current gas price
-      const gasPrice = await this.getCurrentGasPrice();
+      const gasPrice = await this.gasPolicy.getGasPrice(gasAction, gasContext);
       // rough gas cost estimate for buy: gasLimit * gasPrice (both in wei) converted to BNB
-      const estimatedGasBnB = Number((500000n * gasPrice)) / 1e18; // uses 500k default gas
+      const fallbackGasLimit = BigInt(gasSettings.fallbackGasLimit ?? 500000);
+      const estimatedGasBnB = Number((fallbackGasLimit * gasPrice)) / 1e18;
       const safetyGasBnB = Math.max(0.0005, estimatedGasBnB * 1.2); // min 0.0005 BNB buffer
       const minBalanceForBuy = this.config.trading.buyAmountBNB + safetyGasBnB;
 
@@ -1302,7 +2345,10 @@ class SimplePriceBasedTradingService {
       const isMigrated = await this.isTokenMigrated(token.tokenAddress);
       if (isMigrated) {
         console.log(`🔄 Token ${token.tokenAddress.slice(0, 8)}... is migrated to PancakeSwap`);
-        return { success: false, error: 'Token migrated to PancakeSwap - not supported yet' };
+        if ((this.config.pancakeSwap || {}).enabled === false) {
+          return { success: false, error: 'Token migrated to PancakeSwap - PancakeSwap trading is disabled' };
+        }
+        return await this.executeRouterBuy(token, fundedWallets, { gasAction, gasContext, slippagePercent, decisionPrice });
       }
 
       // Get token info and buy parameters
@@ -1311,22 +2357,41 @@ class SimplePriceBasedTradingService {
         return { success: false, error: 'Failed to get token info' };
       }
 
-      const buyParams = await this.getBuyParams(token.tokenAddress, this.config.trading.buyAmountBNB);
-      if (!buyParams.success) {
-        return { success: false, error: 'Failed to get buy parameters' };
+      // Every per-wallet re-quote is measured against the price the buy was decided at
+      let referencePrice = this.getDecisionQuotePrice(decisionPrice, tokenInfo.data.quote);
+      if (!(referencePrice > 0)) {
+        // No decision price (direct call): fall back to a quote taken as the buy starts
+        const buyParams = await this.getBuyParams(token.tokenAddress, this.config.trading.buyAmountBNB);
+        if (!buyParams.success) {
+          return { success: false, error: 'Failed to get buy parameters' };
+        }
+        referencePrice = this.getQuotedPrice(buyParams.data);
       }
 
       // Send transactions directly per wallet
       const txHashes = [];
       let successCount = 0;
+      let slippageError = null;
+      let preflightError = null;
 
       for (const wallet of fundedWallets) {
         try {
           const walletClient = this.createWalletClient(wallet.address);
-          const nonce = await this.publicClient.getTransactionCount({
-            address: wallet.address
-          });
-          const gasPrice = await this.getCurrentGasPrice();
+          const gasPrice = await this.gasPolicy.getGasPrice(gasAction, gasContext);
+
+          // Re-quote right before signing; earlier wallets (or front-runners) may have moved the curve
+          const quote = await this.getBuyParams(token.tokenAddress, this.config.trading.buyAmountBNB);
+          if (!quote.success) {
+            throw new Error(`Failed to re-quote buy: ${quote.error}`);
+          }
+          const quotedPrice = this.getQuotedPrice(quote.data);
+          const priceImpactPercent = referencePrice > 0 ? (quotedPrice / referencePrice - 1) * 100 : 0;
+          if (priceImpactPercent > slippagePercent) {
+            slippageError = `price impact ${priceImpactPercent.toFixed(2)}% exceeds max slippage ${slippagePercent}%`;
+            break;
+          }
+          // Revert on-chain if the fill comes in worse than the quote allows
+          const minAmount = quote.data.estimatedAmount * BigInt(Math.round((100 - slippagePercent) * 100)) / 10000n;
 
           // Encode transaction data based on token version
           let transactionData;
@@ -1336,8 +2401,8 @@ class SimplePriceBasedTradingService {
               functionName: 'purchaseTokenAMAP',
               args: [
                 token.tokenAddress,
-                buyParams.data.amountFunds,
-                0n // minAmount (0 for maximum tokens)
+                quote.data.amountFunds,
+                minAmount
               ]
             });
           } else {
@@ -1346,31 +2411,51 @@ class SimplePriceBasedTradingService {
               functionName: 'buyTokenAMAP',
               args: [
                 token.tokenAddress,
-                buyParams.data.amountFunds,
-                0n // minAmount (0 for maximum tokens)
+                quote.data.amountFunds,
+                minAmount
               ]
             });
           }
 
-          // Send transaction directly
-          const txHash = await walletClient.sendTransaction({
-            account: walletClient.account,
-            to: buyParams.data.tokenManager,
-            value: buyParams.data.amountMsgValue,
-            gas: 500000n,
-            gasPrice,
-            nonce,
+          const buyRequest = {
+            to: quote.data.tokenManager,
+            value: quote.data.amountMsgValue,
             data: transactionData
+          };
+
+          const preflight = await this.preflightTransaction('buy', walletClient, buyRequest, gasPrice, tokenInfo.data);
+          if (!preflight.success) {
+            preflightError = preflight;
+            // Only a funding problem is specific to this wallet
+            if (preflight.code === 'INSUFFICIENT_FUNDS') continue;
+            break;
+          }
+          buyRequest.gas = await this.gasPolicy.getGasLimit({ account: walletClient.account, ...buyRequest });
+
+          // Send transaction directly; the watcher bumps gas if it gets stuck
+          const txHash = await this.txWatcher.send({
+            walletClient,
+            label: gasAction,
+            request: buyRequest,
+            gasPrice
           });
 
           // Wait for confirmation to ensure tokens will be received before allowing sells
-          const receipt = await this.publicClient.waitForTransactionReceipt({ hash: txHash });
+          let receipt;
+          try {
+            receipt = await this.txWatcher.waitForMined(txHash, {
+              timeoutMs: Number((this.config.transactions || {}).buyReceiptTimeoutMs ?? 180000)
+            });
+          } finally {
+            await this.nonceManager.reconcile(wallet.address);
+          }
           if (!receipt || receipt.status !== 'success') {
             throw new Error('Buy transaction failed to confirm');
           }
 
-          txHashes.push(txHash);
+          txHashes.push(receipt.transactionHash);
           successCount++;
+          this.recordBuyFill(token.tokenAddress, wallet.address, receipt, quote.data);
 
           // Update wallet last used
           this.updateWalletLastUsed(wallet.address);
@@ -1380,6 +2465,17 @@ class SimplePriceBasedTradingService {
         }
       }
 
+      if (slippageError) {
+        console.log(`🛡️ Slippage guard stopped buying ${token.tokenAddress.slice(0, 8)}... after ${successCount} wallet(s): ${slippageError}`);
+        if (successCount === 0) {
+          return { success: false, error: slippageError, code: 'SLIPPAGE_EXCEEDED' };
+        }
+      }
+
+      if (successCount === 0 && preflightError) {
+        return { success: false, error: `${preflightError.code}: ${preflightError.error}`, code: preflightError.code };
+      }
+
       if (successCount === 0) {
         return { success: false, error: 'Failed to prepare any buy transactions' };
       }
@@ -1398,7 +2494,7 @@ class SimplePriceBasedTradingService {
   /**
    * Execute real sell transaction
    */
-  async executeRealSell(token, { amountMode = 'all' } = {}) {
+  async executeRealSell(token, { amountMode = 'all', gasAction = 'sell', gasPriceMultiplier = 1, ignoreMinProceeds = false, receiptTimeoutMs, decisionPrice = null } = {}) {
     try {
       // Get wallets that have this token
       const walletsWithToken = [];
@@ -1424,7 +2520,10 @@ class SimplePriceBasedTradingService {
       const isMigrated = await this.isTokenMigrated(token.tokenAddress);
       if (isMigrated) {
         console.log(`🔄 Token ${token.tokenAddress.slice(0, 8)}... is migrated to PancakeSwap`);
-        return { success: false, error: 'Token migrated to PancakeSwap - not supported yet' };
+        if ((this.config.pancakeSwap || {}).enabled === false) {
+          return { success: false, error: 'Token migrated to PancakeSwap - PancakeSwap trading is disabled' };
+        }
+        return await this.executeRouterSell(token, walletsWithToken, { amountMode, gasAction, gasPriceMultiplier, ignoreMinProceeds, receiptTimeoutMs, decisionPrice });
       }
 
       // Get token info
@@ -1433,30 +2532,22 @@ class SimplePriceBasedTradingService {
         return { success: false, error: 'Failed to get token info' };
       }
 
-      // Send transactions directly per wallet
-      const txHashes = [];
-      let successCount = 0;
+      const minProceedsRatio = Number(this.config.trading.minSellProceedsRatio ?? 0.9);
+      const maxSplitParts = Math.max(1, Number(this.config.trading.sellSplitMaxParts ?? 4));
+      // Proceeds are measured against the price the sell was decided at, else the curve's lastPrice now
+      const decisionQuotePrice = this.getDecisionQuotePrice(decisionPrice, tokenInfo.data.quote);
+      const referenceLastPrice = decisionQuotePrice > 0 ? BigInt(Math.round(decisionQuotePrice * 1e18)) : tokenInfo.data.lastPrice;
 
-      const sendWithNonceRetry = async (walletClient, tx, address) => {
-        try {
-          return await walletClient.sendTransaction(tx);
-        } catch (err) {
-          const msg = String(err?.message || err);
-          if (msg.includes('nonce too low') || msg.includes('Nonce provided') || msg.includes('already used')) {
-            const refreshed = await this.publicClient.getTransactionCount({ address });
-            return await walletClient.sendTransaction({ ...tx, nonce: refreshed });
-          }
-          throw err;
-        }
-      };
+      // Send transactions directly per wallet
+      const submitted = [];
+      let partial = false;
+      let proceedsError = null;
+      let preflightError = null;
 
       for (const wallet of walletsWithToken) {
         try {
           const walletClient = this.createWalletClient(wallet.address);
-          let nonce = await this.publicClient.getTransactionCount({
-            address: wallet.address
-          });
-          const gasPrice = await this.getCurrentGasPrice();
+          const gasPrice = await this.gasPolicy.getGasPrice(gasAction, { multiplier: gasPriceMultiplier });
 
           // Determine amount to sell
           let amountToSell = wallet.tokenBalance;
@@ -1467,6 +2558,21 @@ class SimplePriceBasedTradingService {
             }
           }
 
+          // Quote proceeds first; skip or shrink sells that would fill too far below lastPrice
+          if (!ignoreMinProceeds && minProceedsRatio > 0) {
+            const sized = await this.sizeSellForMinProceeds(token.tokenAddress, amountToSell, referenceLastPrice, minProceedsRatio, maxSplitParts);
+            if (sized.amount === 0n) {
+              proceedsError = sized.error;
+              console.log(`🛡️ Not selling from ${wallet.address.slice(0, 8)}...: ${sized.error}`);
+              continue;
+            }
+            if (sized.amount < amountToSell) {
+              console.log(`🪓 Selling 1/${sized.parts} of ${wallet.address.slice(0, 8)}...'s ${amountMode} amount (proceeds ratio ${sized.ratio.toFixed(3)})`);
+              amountToSell = sized.amount;
+              partial = true;
+            }
+          }
+
           // Check allowance
           const allowance = await this.getTokenAllowance(
             token.tokenAddress,
@@ -1475,24 +2581,31 @@ class SimplePriceBasedTradingService {
           );
 
           // Add approval transaction if needed
-          if (allowance < amountToSell) {
+          const needsApproval = allowance < amountToSell;
+          if (needsApproval) {
             const approveData = this.encodeFunctionData({
               abi: this.ERC20_ABI,
               functionName: 'approve',
               args: [tokenInfo.data.tokenManager, this.maxUint256()]
             });
 
-            const approveTxHash = await sendWithNonceRetry(walletClient, {
-              account: walletClient.account,
-              to: token.tokenAddress,
-              value: 0n,
-              gas: 100000n,
-              gasPrice,
-              nonce,
-              data: approveData
-            }, wallet.address);
+            const approveRequest = { to: token.tokenAddress, value: 0n, data: approveData };
+            const approvePreflight = await this.preflightTransaction('approve', walletClient, approveRequest, gasPrice, tokenInfo.data);
+            if (!approvePreflight.success) {
+              preflightError = approvePreflight;
+              continue;
+            }
+            approveRequest.gas = await this.gasPolicy.getGasLimit({ account: walletClient.account, ...approveRequest }, 100000);
+            const approveTxHash = await this.txWatcher.send({
+              walletClient,
+              label: 'approve',
+              request: approveRequest,
+              gasPrice
+            });
             console.log(`✅ Approve submitted for ${wallet.address.slice(0, 8)}...: ${approveTxHash}`);
-            nonce++;
+            // Not awaited, but still bumped if it gets stuck in front of the sell
+            this.txWatcher.waitForMined(approveTxHash, { timeoutMs: receiptTimeoutMs ?? Number(this.config.trading.sellReceiptTimeoutMs ?? 60000) })
+              .catch(error => console.log(`⚠️ Approve watch failed: ${error.shortMessage || error.message}`));
           }
 
           // Encode sell transaction based on token version
@@ -1511,19 +2624,29 @@ class SimplePriceBasedTradingService {
             });
           }
 
-          // Send sell transaction directly
-          const sellTxHash = await sendWithNonceRetry(walletClient, {
-            account: walletClient.account,
-            to: tokenInfo.data.tokenManager,
-            value: 0n,
-            gas: 500000n,
+          // Estimation fails while an approve is still pending; the fallback limit covers that
+          const sellRequest = { to: tokenInfo.data.tokenManager, value: 0n, data: sellData };
+          // A sell simulated before its approve is mined would always fail on allowance
+          if (!needsApproval) {
+            const sellPreflight = await this.preflightTransaction('sell', walletClient, sellRequest, gasPrice, tokenInfo.data);
+            if (!sellPreflight.success) {
+              preflightError = sellPreflight;
+              continue;
+            }
+          }
+          sellRequest.gas = await this.gasPolicy.getGasLimit({ account: walletClient.account, ...sellRequest });
+
+          // Send sell transaction directly; a retry (higher gas) replaces a sell still pending
+          const sellTxHash = await this.txWatcher.send({
+            walletClient,
+            // Scoped to the token: a retry must never replace another token's pending sell
+            label: `sell ${token.tokenAddress}`,
+            request: sellRequest,
             gasPrice,
-            nonce,
-            data: sellData
-          }, wallet.address);
+            replaceStuck: gasPriceMultiplier > 1
+          });
 
-          txHashes.push(sellTxHash);
-          successCount++;
+          submitted.push({ wallet: wallet.address, hash: sellTxHash, amount: amountToSell });
 
           console.log(`✅ Sell transaction (${amountMode}) submitted for wallet ${wallet.address.slice(0, 8)}...`);
 
@@ -1532,13 +2655,32 @@ class SimplePriceBasedTradingService {
         }
       }
 
-      if (successCount === 0) {
+      if (submitted.length === 0) {
+        if (preflightError) {
+          return { success: false, error: `${preflightError.code}: ${preflightError.error}`, code: preflightError.code };
+        }
+        if (proceedsError) {
+          return { success: false, error: proceedsError, code: 'MIN_PROCEEDS' };
+        }
         return { success: false, error: 'Failed to prepare any sell transactions' };
       }
 
+      // Position state only changes for sells that actually mined successfully
+      const timeoutMs = receiptTimeoutMs ?? Number(this.config.trading.sellReceiptTimeoutMs ?? 60000);
+      const walletResults = await Promise.all(submitted.map(tx => this.waitForSellReceipt(tx, timeoutMs)));
+      const transactions = walletResults.filter(result => result.status === 'confirmed');
+
+      if (transactions.length === 0) {
+        const summary = walletResults.map(result => `${result.wallet.slice(0, 8)}... ${result.status}`).join(', ');
+        return { success: false, error: `No sell confirmed (${summary})`, code: 'SELL_NOT_CONFIRMED', walletResults };
+      }
+
       return {
         success: true,
-        transactionHash: txHashes[0]
+        transactionHash: transactions[0].hash,
+        transactions,
+        walletResults,
+        partial: partial || proceedsError !== null || transactions.length < walletResults.length
       };
 
     } catch (error) {
@@ -1547,12 +2689,536 @@ class SimplePriceBasedTradingService {
     }
   }
 
+  /**
+   * Buy a migrated token through the PancakeSwap V2 router (swapExactETHForTokens)
+   */
+  async executeRouterBuy(token, fundedWallets, { gasAction, gasContext, slippagePercent, decisionPrice = null }) {
+    const amountInWei = parseUnits(String(this.config.trading.buyAmountBNB), 18);
+    const deadlineSeconds = (this.config.pancakeSwap || {}).deadlineSeconds ?? 60;
+
+    if (!(await this.pancakeSwap.getPair(token.tokenAddress))) {
+      return { success: false, error: 'No PancakeSwap pair for migrated token' };
+    }
+    // Every per-wallet re-quote is measured against the price the buy was decided at
+    let referencePriceBNB = decisionPrice && decisionPrice.priceBNB > 0 ? decisionPrice.priceBNB : 0;
+    if (!referencePriceBNB) {
+      // No decision price (direct call): fall back to a quote taken as the buy starts
+      const referenceTokensOut = await this.pancakeSwap.quoteBuy(token.tokenAddress, amountInWei);
+      if (referenceTokensOut === 0n) {
+        return { success: false, error: 'PancakeSwap quote returned no tokens' };
+      }
+      referencePriceBNB = toBNB(amountInWei) / toBNB(referenceTokensOut);
+    }
+
+    const txHashes = [];
+    let slippageError = null;
+    let preflightError = null;
+
+    for (const wallet of fundedWallets) {
+      try {
+        const walletClient = this.createWalletClient(wallet.address);
+        const gasPrice = await this.gasPolicy.getGasPrice(gasAction, gasContext);
+
+        const tokensOut = await this.pancakeSwap.quoteBuy(token.tokenAddress, amountInWei);
+        const priceImpactPercent = tokensOut > 0n ? (toBNB(amountInWei) / toBNB(tokensOut) / referencePriceBNB - 1) * 100 : 100;
+        if (priceImpactPercent > slippagePercent) {
+          slippageError = `price impact ${priceImpactPercent.toFixed(2)}% exceeds max slippage ${slippagePercent}%`;
+          break;
+        }
+
+        const buyRequest = this.pancakeSwap.buildBuyRequest({
+          tokenAddress: token.tokenAddress,
+          amountInWei,
+          minTokensOut: applySlippage(tokensOut, slippagePercent),
+          recipient: wallet.address,
+          deadlineSeconds
+        });
+
+        const preflight = await this.preflightTransaction('buy', walletClient, buyRequest, gasPrice, null);
+        if (!preflight.success) {
+          preflightError = preflight;
+          if (preflight.code === 'INSUFFICIENT_FUNDS') continue;
+          break;
+        }
+        buyRequest.gas = await this.gasPolicy.getGasLimit({ account: walletClient.account, ...buyRequest });
+
+        const txHash = await this.txWatcher.send({ walletClient, label: gasAction, request: buyRequest, gasPrice });
+        console.log(`🥞 PancakeSwap buy submitted for ${wallet.address.slice(0, 8)}...: ${txHash}`);
+
+        let receipt;
+        try {
+          receipt = await this.txWatcher.waitForMined(txHash, {
+            timeoutMs: Number((this.config.transactions || {}).buyReceiptTimeoutMs ?? 180000)
+          });
+        } finally {
+          await this.nonceManager.reconcile(wallet.address);
+        }
+        if (!receipt || receipt.status !== 'success') {
+          throw new Error('PancakeSwap buy transaction failed to confirm');
+        }
+
+        txHashes.push(receipt.transactionHash);
+        // No four.meme trade event here; the pair fee is already in the price, so fee is 0
+        this.recordBuyFill(token.tokenAddress, wallet.address, receipt, {
+          estimatedAmount: tokensOut,
+          estimatedFee: 0n,
+          amountMsgValue: amountInWei
+        });
+        this.updateWalletLastUsed(wallet.address);
+
+      } catch (error) {
+        console.error(`Error preparing PancakeSwap buy for wallet ${wallet.address}:`, error);
+      }
+    }
+
+    if (slippageError) {
+      console.log(`🛡️ Slippage guard stopped buying ${token.tokenAddress.slice(0, 8)}... after ${txHashes.length} wallet(s): ${slippageError}`);
+      if (txHashes.length === 0) {
+        return { success: false, error: slippageError, code: 'SLIPPAGE_EXCEEDED' };
+      }
+    }
+    if (txHashes.length === 0 && preflightError) {
+      return { success: false, error: `${preflightError.code}: ${preflightError.error}`, code: preflightError.code };
+    }
+    if (txHashes.length === 0) {
+      return { success: false, error: 'Failed to prepare any PancakeSwap buy transactions' };
+    }
+    return { success: true, transactionHash: txHashes[0], venue: 'pancakeswap' };
+  }
+
+  /**
+   * Sell a migrated token through the PancakeSwap V2 router, approving the router first if needed
+   */
+  async executeRouterSell(token, walletsWithToken, { amountMode, gasAction, gasPriceMultiplier, ignoreMinProceeds, receiptTimeoutMs, decisionPrice = null }) {
+    const deadlineSeconds = (this.config.pancakeSwap || {}).deadlineSeconds ?? 60;
+    const slippagePercent = Math.min(100, Math.max(0, Number(this.config.trading.maxSlippagePercent ?? 10)));
+    const minProceedsRatio = Number(this.config.trading.minSellProceedsRatio ?? 0.9);
+    const timeoutMs = receiptTimeoutMs ?? Number(this.config.trading.sellReceiptTimeoutMs ?? 60000);
+
+    const spotPriceBNB = await this.pancakeSwap.getPriceBNB(token.tokenAddress);
+    if (!spotPriceBNB) {
+      return { success: false, error: 'No PancakeSwap liquidity for migrated token' };
+    }
+    // Proceeds are measured against the price the sell was decided at, else the spot price now
+    const referencePriceBNB = decisionPrice && decisionPrice.priceBNB > 0 ? decisionPrice.priceBNB : spotPriceBNB;
+
+    const submitted = [];
+    let proceedsError = null;
+    let preflightError = null;
+
+    for (const wallet of walletsWithToken) {
+      try {
+        const walletClient = this.createWalletClient(wallet.address);
+        const gasPrice = await this.gasPolicy.getGasPrice(gasAction, { multiplier: gasPriceMultiplier });
+
+        let amountToSell = wallet.tokenBalance;
+        if (amountMode === 'half') {
+          amountToSell = wallet.tokenBalance / 2n;
+          if (amountToSell === 0n) {
+            continue;
+          }
+        }
+
+        // Compare the router quote with the position's value at the reference price
+        const quotedWei = await this.pancakeSwap.quoteSell(token.tokenAddress, amountToSell);
+        const referenceValueBNB = toBNB(amountToSell) * referencePriceBNB;
+        const ratio = referenceValueBNB > 0 ? toBNB(quotedWei) / referenceValueBNB : 0;
+        if (!ignoreMinProceeds && minProceedsRatio > 0 && ratio < minProceedsRatio) {
+          proceedsError = `PancakeSwap proceeds ratio ${ratio.toFixed(3)} is below minimum ${minProceedsRatio}`;
+          console.log(`🛡️ Not selling from ${wallet.address.slice(0, 8)}...: ${proceedsError}`);
+          continue;
+        }
+
+        const allowance = await this.getTokenAllowance(token.tokenAddress, wallet.address, PANCAKESWAP_ROUTER_V2);
+        const needsApproval = allowance < amountToSell;
+        if (needsApproval) {
+          const approveRequest = {
+            to: token.tokenAddress,
+            value: 0n,
+            data: this.encodeFunctionData({
+              abi: this.ERC20_ABI,
+              functionName: 'approve',
+              args: [PANCAKESWAP_ROUTER_V2, this.maxUint256()]
+            })
+          };
+          const approvePreflight = await this.preflightTransaction('approve', walletClient, approveRequest, gasPrice, null);
+          if (!approvePreflight.success) {
+            preflightError = approvePreflight;
+            continue;
+          }
+          approveRequest.gas = await this.gasPolicy.getGasLimit({ account: walletClient.account, ...approveRequest }, 100000);
+          const approveTxHash = await this.txWatcher.send({ walletClient, label: 'approve', request: approveRequest, gasPrice });
+          console.log(`✅ PancakeSwap router approve submitted for ${wallet.address.slice(0, 8)}...: ${approveTxHash}`);
+          this.txWatcher.waitForMined(approveTxHash, { timeoutMs })
+            .catch(error => console.log(`⚠️ Approve watch failed: ${error.shortMessage || error.message}`));
+        }
+
+        const sellRequest = this.pancakeSwap.buildSellRequest({
+          tokenAddress: token.tokenAddress,
+          tokens: amountToSell,
+          minBNBOut: applySlippage(quotedWei, slippagePercent),
+          recipient: wallet.address,
+          deadlineSeconds
+        });
+        // A sell simulated before its approve is mined would always fail on allowance
+        if (!needsApproval) {
+          const sellPreflight = await this.preflightTransaction('sell', walletClient, sellRequest, gasPrice, null);
+          if (!sellPreflight.success) {
+            preflightError = sellPreflight;
+            continue;
+          }
+        }
+        sellRequest.gas = await this.gasPolicy.getGasLimit({ account: walletClient.account, ...sellRequest });
+
+        const sellTxHash = await this.txWatcher.send({
+          walletClient,
+          label: `sell ${token.tokenAddress}`,
+          request: sellRequest,
+          gasPrice,
+          replaceStuck: gasPriceMultiplier > 1
+        });
+        submitted.push({ wallet: wallet.address, hash: sellTxHash, amount: amountToSell });
+        console.log(`🥞 PancakeSwap sell (${amountMode}) submitted for wallet ${wallet.address.slice(0, 8)}...`);
+
+      } catch (error) {
+        console.error(`Error preparing PancakeSwap sell for wallet ${wallet.address}:`, error);
+      }
+    }
+
+    if (submitted.length === 0) {
+      if (preflightError) {
+        return { success: false, error: `${preflightError.code}: ${preflightError.error}`, code: preflightError.code };
+      }
+      if (proceedsError) {
+        return { success: false, error: proceedsError, code: 'MIN_PROCEEDS' };
+      }
+      return { success: false, error: 'Failed to prepare any PancakeSwap sell transactions' };
+    }
+
+    const walletResults = await Promise.all(submitted.map(tx => this.waitForSellReceipt(tx, timeoutMs)));
+    const transactions = walletResults.filter(result => result.status === 'confirmed');
+    if (transactions.length === 0) {
+      const summary = walletResults.map(result => `${result.wallet.slice(0, 8)}... ${result.status}`).join(', ');
+      return { success: false, error: `No sell confirmed (${summary})`, code: 'SELL_NOT_CONFIRMED', walletResults };
+    }
+
+    return {
+      success: true,
+      transactionHash: transactions[0].hash,
+      transactions,
+      walletResults,
+      partial: proceedsError !== null || transactions.length < walletResults.length,
+      venue: 'pancakeswap'
+    };
+  }
+
+  /**
+   * Simulate a transaction before broadcasting it; RPC trouble during simulation does not block it
+   */
+  async preflightTransaction(action, walletClient, request, gasPrice, tokenInfo) {
+    if ((this.config.transactions || {}).preflightEnabled === false) {
+      return { success: true };
+    }
+    const fallbackGasLimit = BigInt((this.config.gas || {}).fallbackGasLimit ?? 500000);
+    // Transport errors rotate the RPC and retry; a revert is final
+    const simulationClient = {
+      call: params => this.withRpcFailover(() => this.publicClient.call(params), { retryIf: error => !isCallRejection(error) })
+    };
+    const result = await simulateTransaction(simulationClient, {
+      account: walletClient.account,
+      ...request,
+      gas: request.gas ?? fallbackGasLimit,
+      gasPrice
+    }, { action, tokenInfo, now: this.clock.now(), errorAbi: this.getSimulationErrorAbi() });
+
+    const label = `${action} from ${walletClient.account.address.slice(0, 8)}...`;
+    if (!result.success && result.code === 'SIMULATION_FAILED') {
+      console.log(`⚠️ Pre-flight of ${label} could not run (${result.error}); sending anyway`);
+      return { success: true };
+    }
+    if (!result.success) {
+      console.log(`⛔ Pre-flight of ${label} would revert: ${result.code} (${result.error})`);
+    }
+    return result;
+  }
+
+  /**
+   * Pre-flight error ABI, with the custom errors of transactions.errorAbiFile when set
+   */
+  getSimulationErrorAbi() {
+    const file = (this.config.transactions || {}).errorAbiFile || null;
+    if (this.simulationErrorAbi && this.simulationErrorAbi.file === file) {
+      return this.simulationErrorAbi.abi;
+    }
+    let contractAbi = [];
+    if (file) {
+      try {
+        const parsed = JSON.parse(fs.readFileSync(path.resolve(__dirname, file), 'utf8'));
+        // A bare ABI array, or an artifact with an `abi` field
+        contractAbi = Array.isArray(parsed) ? parsed : parsed.abi || [];
+      } catch (error) {
+        console.log(`⚠️ Could not read errorAbiFile ${file}: ${error.message}`);
+      }
+    }
+    this.simulationErrorAbi = { file, abi: buildErrorAbi(contractAbi) };
+    return this.simulationErrorAbi.abi;
+  }
+
+  /**
+   * Wait for one wallet's sell receipt; resolves to a per-wallet result, never throws
+   */
+  async waitForSellReceipt(tx, timeoutMs) {
+    const label = `${tx.wallet.slice(0, 8)}...`;
+    try {
+      const receipt = await this.txWatcher.waitForMined(tx.hash, { timeoutMs });
+      if (!receipt) {
+        console.log(`⚠️ Sell not mined for ${label} within ${Math.round(timeoutMs / 1000)}s (${tx.hash})`);
+        return { ...tx, status: 'timeout', error: 'receipt timeout' };
+      }
+      // A gas-bumped replacement resolves to the receipt that actually mined
+      const result = { ...tx, hash: receipt.transactionHash, blockNumber: Number(receipt.blockNumber) };
+      if (receipt.status !== 'success') {
+        console.log(`❌ Sell reverted for ${label}: ${receipt.transactionHash}`);
+        return { ...result, status: 'reverted' };
+      }
+      console.log(`✅ Sell confirmed for ${label} in block ${receipt.blockNumber}`);
+      return { ...result, status: 'confirmed', receipt };
+    } catch (error) {
+      console.log(`⚠️ Sell receipt failed for ${label} (${tx.hash}): ${error.shortMessage || error.message}`);
+      return { ...tx, status: 'error', error: error.shortMessage || error.message };
+    } finally {
+      // Mined nonces are forgotten; a sell that left the mempool frees its nonce
+      await this.nonceManager.reconcile(tx.wallet);
+    }
+  }
+
+  /**
+   * Cancel a pending buy/sell/approve (any hash of its replacement chain) with a self-transfer
+   */
+  async cancelTransaction(hash) {
+    return this.txWatcher.cancel(hash);
+  }
+
+  /**
+   * Keep the last sell attempt's per-wallet outcome on the token (amounts as strings)
+   */
+  recordSellWalletResults(token, walletResults) {
+    if (!walletResults) return;
+    token.lastSellWalletResults = walletResults.map(result => ({
+      wallet: result.wallet,
+      hash: result.hash,
+      amount: result.amount.toString(),
+      status: result.status,
+      error: result.error,
+      at: this.getCurrentTime().toISOString()
+    }));
+  }
+
+  getKillSwitchPath() {
+    const killSwitchFile = (this.config.safety || {}).killSwitchFile;
+    if (!killSwitchFile) {
+      return null;
+    }
+    return path.resolve(__dirname, killSwitchFile);
+  }
+
+  /**
+   * Trigger the emergency stop if the config flag is set or the kill-switch file exists
+   */
+  checkEmergencyTriggers() {
+    if (this.emergencyStop.active) {
+      return;
+    }
+    if ((this.config.safety || {}).emergencyStop) {
+      this.triggerEmergencyStop('safety.emergencyStop is set in config');
+      return;
+    }
+    const killSwitchPath = this.getKillSwitchPath();
+    if (killSwitchPath && fs.existsSync(killSwitchPath)) {
+      this.triggerEmergencyStop(`kill-switch file present: ${killSwitchPath}`);
+    }
+  }
+
+  /**
+   * Halt all buying, flatten every open position and stay running read-only
+   */
+  triggerEmergencyStop(reason) {
+    if (this.emergencyStop.active) {
+      return this.flattenPromise || Promise.resolve();
+    }
+
+    this.emergencyStop = {
+      active: true,
+      reason,
+      triggeredAt: this.getCurrentTime().toISOString(),
+      flattening: false,
+      openPositions: 0
+    };
+    this.stateStore.set('meta', 'emergencyStop', this.emergencyStop);
+
+    console.log('\n' + '🚨'.repeat(20));
+    console.log(`🚨 EMERGENCY STOP: ${reason}`);
+    console.log('🚨 New buys halted, flattening all open positions');
+    console.log('🚨'.repeat(20) + '\n');
+
+    return this.startFlatten();
+  }
+
+  startFlatten() {
+    if (!this.flattenPromise) {
+      this.flattenPromise = this.flattenAllPositions()
+        .catch(error => console.error('❌ Error flattening positions:', error))
+        .finally(() => { this.flattenPromise = null; });
+    }
+    return this.flattenPromise;
+  }
+
+  /**
+   * Sell every open position across all wallets, escalating gas on each retry
+   */
+  async flattenAllPositions() {
+    const safety = this.config.safety || {};
+    const multipliers = Array.isArray(safety.emergencyGasMultipliers) && safety.emergencyGasMultipliers.length
+      ? safety.emergencyGasMultipliers.map(Number).filter(m => m > 0)
+      : [1.5, 2, 3];
+    const confirmWaitMs = Math.max(0, Number(safety.emergencyConfirmWaitMs ?? 8000));
+
+    const openTokens = Array.from(this.monitoredTokens.values())
+      .filter(token => token.positionOpen || (token.hasBeenTraded && !token.sellTransactionHash));
+
+    this.emergencyStop.flattening = true;
+    this.emergencyStop.openPositions = openTokens.length;
+    console.log(`🚨 Flattening ${openTokens.length} open position(s)...`);
+
+    for (const token of openTokens) {
+      await this.withSellLock(token.tokenAddress, async () => {
+        const closed = await this.flattenPosition(token, multipliers, confirmWaitMs);
+        if (closed) {
+          this.emergencyStop.openPositions--;
+        }
+      });
+    }
+
+    this.emergencyStop.flattening = false;
+    this.stateStore.set('meta', 'emergencyStop', this.emergencyStop);
+    if (this.emergencyStop.openPositions > 0) {
+      console.log(`🚨 Emergency flatten finished with ${this.emergencyStop.openPositions} position(s) still open - check wallets manually`);
+    } else {
+      console.log('🚨 Emergency flatten complete: all positions closed. Bot is running read-only.');
+    }
+  }
+
+  async flattenPosition(token, multipliers, confirmWaitMs) {
+    const label = token.tokenAddress.slice(0, 8);
+
+    if (this.config.trading.testMode) {
+      console.log(`🧪 TEST MODE: Emergency sell of ${label}... at $${token.currentPriceUSD.toFixed(8)}`);
+      const testSellHash = 'TEST_EMERGENCY_SELL_' + this.clock.now();
+      const paperResult = await this.paperTrader.sell({ tokenAddress: token.tokenAddress, gasAction: 'emergencySell' });
+      if (!paperResult.success && paperResult.code !== 'NO_BALANCE') {
+        // The position stays open; normal sell checks keep running on it
+        console.log(`❌ Paper emergency sell failed for ${label}...: ${paperResult.error}`);
+        return false;
+      }
+      if (paperResult.success) {
+        this.recordPaperFills(token, 'sell', testSellHash, paperResult);
+      }
+      this.closePositionAfterEmergencySell(token, paperResult.success ? testSellHash : token.sellTransactionHash || null);
+      await this.removeTokenFromMonitoring(token);
+      return true;
+    }
+
+    for (let attempt = 0; attempt < multipliers.length; attempt++) {
+      const multiplier = multipliers[attempt];
+      console.log(`🚨 Emergency sell ${label}... attempt ${attempt + 1}/${multipliers.length} (gas x${multiplier})`);
+
+      const result = await this.executeRealSell(token, {
+        amountMode: 'all',
+        gasAction: 'emergencySell',
+        gasPriceMultiplier: multiplier,
+        ignoreMinProceeds: true,
+        receiptTimeoutMs: confirmWaitMs || undefined
+      });
+      if (result.success) {
+        // Replaced attempts resolve to the mined receipt; the ledger ignores repeats by hash
+        await this.settleSellFills(token.tokenAddress, result.transactions);
+      }
+      if (!result.success && result.error === 'No wallets have tokens to sell') {
+        this.closePositionAfterEmergencySell(token, token.sellTransactionHash || null);
+        await this.removeTokenFromMonitoring(token);
+        return true;
+      }
+
+      // executeRealSell waited up to confirmWaitMs for receipts; the next attempt reuses
+      // the same nonce, so a higher gas price replaces a stuck sell
+      let remaining = null;
+      try {
+        remaining = await this.getTokenHoldings(token.tokenAddress);
+      } catch (error) {
+        console.log(`⚠️ Could not read ${label}... balances: ${error.message}`);
+      }
+      if (remaining === 0n) {
+        this.closePositionAfterEmergencySell(token, result.transactionHash || null);
+        await this.removeTokenFromMonitoring(token);
+        console.log(`✅ Emergency sell completed for ${label}...`);
+        return true;
+      }
+      console.log(`⚠️ ${label}... still held after attempt ${attempt + 1}${result.success ? '' : `: ${result.error}`}`);
+    }
+
+    console.log(`❌ Emergency sell gave up on ${label}... after ${multipliers.length} attempts`);
+    return false;
+  }
+
+  closePositionAfterEmergencySell(token, transactionHash) {
+    token.positionOpen = false;
+    token.sellPriceUSD = token.currentPriceUSD;
+    token.lastSellPriceUSD = token.currentPriceUSD;
+    token.sellTransactionHash = transactionHash || 'EMERGENCY_SELL';
+    this.tradeStats.successfulSells++;
+    this.tradeStats.totalTrades++;
+    this.markTokenTraded(token.tokenAddress);
+    this.persistStats();
+  }
+
+  /**
+   * Clear a triggered emergency stop (config flag and kill-switch file must be cleared too)
+   */
+  clearEmergencyStop() {
+    if (!this.emergencyStop.active) {
+      return;
+    }
+    const killSwitchPath = this.getKillSwitchPath();
+    if ((this.config.safety || {}).emergencyStop || (killSwitchPath && fs.existsSync(killSwitchPath))) {
+      console.log('⚠️ Emergency stop trigger is still present (config flag or kill-switch file); it will re-trigger');
+    }
+    this.emergencyStop = { active: false, reason: null, triggeredAt: null, flattening: false, openPositions: 0 };
+    this.stateStore.delete('meta', 'emergencyStop');
+    console.log('✅ Emergency stop cleared, trading resumed');
+  }
+
+  /**
+   * Total balance of a token across all trading wallets (throws if any balance can't be read)
+   */
+  async getTokenHoldings(tokenAddress) {
+    let total = 0n;
+    for (const wallet of this.availableWallets) {
+      total += await this.withRpcFailover(() => this.publicClient.readContract({
+        address: tokenAddress,
+        abi: this.ERC20_ABI,
+        functionName: 'balanceOf',
+        args: [wallet.address]
+      }));
+    }
+    return total;
+  }
+
   /**
    * Check if token should be removed from monitoring
    */
   async checkTokenRemoval(token) {
     try {
-      const now = new Date();
+      const now = this.getCurrentTime();
       // Base inactivity on last successful price update timestamp
       const inactiveTimeMinutes = (now.getTime() - token.lastPriceUpdate.getTime()) / (1000 * 60);
 
@@ -1573,7 +3239,7 @@ class SimplePriceBasedTradingService {
         
         if (shouldRemove) {
           console.log(`🧹 Removing post-trade token: ${token.tokenAddress.slice(0, 8)}... (sold out)`);
-          this.tradedTokens.add(token.tokenAddress);
+          this.markTokenTraded(token.tokenAddress);
           await this.removeTokenFromMonitoring(token);
           return;
         }
@@ -1617,6 +3283,7 @@ class SimplePriceBasedTradingService {
     
     this.monitoredTokens.delete(token.tokenAddress);
     token.isActive = false;
+    this.stateStore.delete('tokens', token.tokenAddress);
 
     console.log(`🗑️ Removed token from monitoring: ${token.tokenAddress.slice(0, 8)}...`);
     console.log(`   Final price: $${token.currentPriceUSD.toFixed(8)}`);
@@ -1624,6 +3291,119 @@ class SimplePriceBasedTradingService {
     if (token.hasBeenTraded) {
       this.tradeStats.tokensTraded++;
     }
+    this.persistStats();
+  }
+
+  /**
+   * Remember a fully traded token so it is never picked up again
+   */
+  markTokenTraded(tokenAddress) {
+    const key = tokenAddress.toLowerCase();
+    this.tradedTokens.add(key);
+    this.stateStore.set('traded', key, true);
+  }
+
+  /**
+   * Write a monitored token's durable fields to the state journal
+   */
+  persistToken(token) {
+    // Tokens already removed from monitoring must not be resurrected on restart
+    if (!this.monitoredTokens.has(token.tokenAddress)) {
+      return;
+    }
+    const record = {};
+    for (const field of PERSISTED_TOKEN_FIELDS) {
+      if (token[field] !== undefined) {
+        record[field] = token[field];
+      }
+    }
+    record.matchedPatternName = token.matchedPattern ? token.matchedPattern.name : null;
+    this.stateStore.set('tokens', token.tokenAddress, record);
+  }
+
+  persistStats() {
+    this.stateStore.set('meta', 'tradeStats', this.tradeStats);
+  }
+
+  /**
+   * Rebuild monitored tokens, open positions and stats from the state journal
+   */
+  restoreState() {
+    try {
+      this.stateStore.load();
+      this.riskManager.load();
+      this.tradeLedger.load();
+      this.paperRiskManager.load();
+      this.paperLedger.load();
+      this.paperTrader.load();
+
+      const savedEmergency = this.stateStore.get('meta', 'emergencyStop');
+      if (savedEmergency && savedEmergency.active) {
+        this.emergencyStop = { ...this.emergencyStop, ...savedEmergency, flattening: false };
+        console.log(`🚨 Emergency stop is still active from a previous run: ${savedEmergency.reason}`);
+      }
+
+      const savedStats = this.stateStore.get('meta', 'tradeStats');
+      if (savedStats) {
+        this.tradeStats = { ...this.tradeStats, ...savedStats };
+      }
+
+      for (const [tokenAddress] of this.stateStore.entries('traded')) {
+        this.tradedTokens.add(tokenAddress);
+      }
+
+      const now = this.getCurrentTime();
+      let restoredTokens = 0;
+      let restoredPositions = 0;
+      for (const record of this.stateStore.values('tokens')) {
+        const tokenAddress = record.tokenAddress;
+        if (!tokenAddress || this.monitoredTokens.has(tokenAddress)) continue;
+
+        const matchedPattern = this.patterns.find(p => p.name === record.matchedPatternName) || null;
+        if (!matchedPattern) {
+          console.log(`⚠️ Pattern "${record.matchedPatternName}" for ${tokenAddress.slice(0, 8)}... is no longer enabled`);
+          if (!record.positionOpen) {
+            this.stateStore.delete('tokens', tokenAddress);
+            continue;
+          }
+        }
+
+        const token = {
+          ...record,
+          // Restart inactivity and stagnation timers; we have no prices for the downtime
+          lastPriceUpdate: now,
+          lastPriceChange: now,
+          previousPriceUSD: record.currentPriceUSD || 0,
+          currentPriceUSD: record.currentPriceUSD || 0,
+          priceChangePercent: 0,
+          isActive: true,
+          lastSellAttemptAt: null,
+          lowPriceSince: null,
+          matchedPattern
+        };
+        delete token.matchedPatternName;
+        for (const field of PERSISTED_DATE_FIELDS) {
+          token[field] = record[field] ? new Date(record[field]) : null;
+        }
+        this.syncPositionFromLedger(token);
+
+        this.monitoredTokens.set(tokenAddress, token);
+        restoredTokens++;
+        if (token.positionOpen) {
+          restoredPositions++;
+          console.log(`♻️ Restored open position ${tokenAddress.slice(0, 8)}... (buy $${Number(token.buyPriceUSD || 0).toFixed(8)}, peak $${Number(token.peakPriceSinceLastSell || 0).toFixed(8)}, trades ${token.tradeCount || 0})`);
+        }
+      }
+
+      // Start every run from a compact journal
+      this.stateStore.compact();
+
+      if (restoredTokens > 0 || this.tradedTokens.size > 0) {
+        console.log(`♻️ Restored ${restoredTokens} monitored token(s), ${restoredPositions} open position(s), ${this.tradedTokens.size} traded token(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Error restoring persisted state:', error);
+    }
   }
 
   /**
@@ -1699,11 +3479,19 @@ class SimplePriceBasedTradingService {
    * Get trading statistics
    */
   getStats() {
+    const ledger = this.tradeLedger.getSummary();
     return {
       ...this.tradeStats,
+      ...ledger,
+      totalProfitUSD: ledger.realizedPnlBNB * this.bnbPriceUSD,
       tokensCurrentlyMonitored: this.monitoredTokens.size,
+      ...this.riskManager.getStatus(),
+      emergencyStop: { ...this.emergencyStop },
       isRunning: this.isScanning,
-      availableWallets: this.availableWallets.length
+      availableWallets: this.availableWallets.length,
+      paperWallets: this.config.trading.testMode ? this.paperTrader.getSummary() : [],
+      // Paper fills and their risk state, kept apart from the live figures above
+      paper: { ...this.paperLedger.getSummary(), ...this.paperRiskManager.getStatus() }
     };
   }
 
@@ -1761,6 +3549,13 @@ class SimplePriceBasedTradingService {
     }
   }
 
+  /**
+   * Current time from the injected clock
+   */
+  getCurrentTime() {
+    return new Date(this.clock.now());
+  }
+
   /**
    * Create wallet client for transaction signing
    */
@@ -1769,6 +3564,9 @@ class SimplePriceBasedTradingService {
     if (!wallet) {
       throw new Error('Wallet not found');
     }
+    if (this.walletClientFactory) {
+      return this.walletClientFactory(address, wallet);
+    }
 
     try {
       // Decrypt the private key
@@ -1787,7 +3585,7 @@ class SimplePriceBasedTradingService {
     // Update the wallet's last used timestamp in the available wallets list
     const wallet = this.availableWallets.find(w => w.address.toLowerCase() === address.toLowerCase());
     if (wallet) {
-      wallet.lastUsed = new Date();
+      wallet.lastUsed = this.getCurrentTime();
     }
   }
 
@@ -1854,6 +3652,39 @@ class SimplePriceBasedTradingService {
     }
   }
 
+  /**
+   * Buys right after creation compete with other snipers and get their own gas profile
+   */
+  getBuyGasAction(token) {
+    const tokenAgeSeconds = token.creationTime ? (this.clock.now() - token.creationTime.getTime()) / 1000 : Infinity;
+    return tokenAgeSeconds <= Number((this.config.gas || {}).snipeWindowSeconds ?? 10) ? 'snipe' : 'buy';
+  }
+
+  /**
+   * Paper buy quote: tryBuy on the curve, getAmountsOut once migrated
+   */
+  async quotePaperBuy(tokenAddress, amountWei) {
+    if (await this.isTokenMigrated(tokenAddress)) {
+      const tokens = await this.pancakeSwap.quoteBuy(tokenAddress, amountWei);
+      return { tokens, spentWei: amountWei, feeWei: 0n };
+    }
+    const quote = await this.getBuyParams(tokenAddress, Number(amountWei) / 1e18);
+    if (!quote.success) throw new Error(`tryBuy quote failed: ${quote.error}`);
+    return { tokens: quote.data.estimatedAmount, spentWei: quote.data.amountMsgValue, feeWei: quote.data.estimatedFee };
+  }
+
+  /**
+   * Paper sell quote: trySell net of the trading fee on the curve, getAmountsOut once migrated
+   */
+  async quotePaperSell(tokenAddress, tokens) {
+    if (await this.isTokenMigrated(tokenAddress)) {
+      return { proceedsWei: await this.pancakeSwap.quoteSell(tokenAddress, tokens), feeWei: 0n };
+    }
+    const quote = await this.getSellQuote(tokenAddress, tokens);
+    if (!quote.success) throw new Error(`trySell quote failed: ${quote.error}`);
+    return { proceedsWei: quote.data.funds - quote.data.fee, feeWei: quote.data.fee };
+  }
+
   /**
    * Get buy parameters for a token
    */
@@ -1887,6 +3718,77 @@ class SimplePriceBasedTradingService {
     }
   }
 
+  /**
+   * Get expected sell proceeds for a token amount
+   */
+  async getSellQuote(tokenAddress, amount) {
+    try {
+      const result = await this.withRpcFailover(() => this.publicClient.readContract({
+        address: this.TOKEN_MANAGER_HELPER,
+        abi: this.TOKEN_MANAGER_HELPER_ABI,
+        functionName: 'trySell',
+        args: [tokenAddress, amount]
+      }));
+
+      return {
+        success: true,
+        data: {
+          tokenManager: result[0],
+          quote: result[1],
+          funds: result[2], // before fee
+          fee: result[3]
+        }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Largest 1/2^n slice of a sell whose quoted net funds stay within minRatio of its value at lastPrice
+   */
+  async sizeSellForMinProceeds(tokenAddress, amount, lastPrice, minRatio, maxParts) {
+    let ratio = 0;
+    for (let parts = 1; parts <= maxParts; parts *= 2) {
+      const chunk = amount / BigInt(parts);
+      if (chunk === 0n) break;
+
+      const quote = await this.getSellQuote(tokenAddress, chunk);
+      if (!quote.success) {
+        return { amount: 0n, error: `trySell quote failed: ${quote.error}` };
+      }
+      const expected = Number(chunk) * Number(lastPrice) / 1e18;
+      ratio = expected > 0 ? Number(quote.data.funds - quote.data.fee) / expected : 0;
+      if (ratio >= minRatio) {
+        return { amount: chunk, parts, ratio };
+      }
+    }
+    return { amount: 0n, error: `quoted proceeds ratio ${ratio.toFixed(3)} below minSellProceedsRatio ${minRatio}` };
+  }
+
+  /**
+   * Price snapshot taken when shouldBuy/shouldSell fired; slippage and proceeds checks measure against it
+   */
+  getDecisionPrice(token) {
+    return { priceBNB: token.currentPriceBNB || 0, priceUSD: token.currentPriceUSD || 0 };
+  }
+
+  /**
+   * Decision price in a curve quote's currency: USD for stablecoin-quoted tokens, else BNB
+   */
+  getDecisionQuotePrice(decisionPrice, quoteAddress) {
+    if (!decisionPrice) return 0;
+    return this.BSC_STABLES.has(String(quoteAddress).toLowerCase()) ? decisionPrice.priceUSD : decisionPrice.priceBNB;
+  }
+
+  /**
+   * Effective price per token of a tryBuy quote, in the quote currency (fee excluded)
+   */
+  getQuotedPrice(quote) {
+    if (!quote || !quote.estimatedAmount || quote.estimatedAmount === 0n) return 0;
+    return Number(quote.estimatedCost) / Number(quote.estimatedAmount);
+  }
+
   /**
    * Get token allowance
    */
@@ -1964,7 +3866,7 @@ class SimplePriceBasedTradingService {
           successCount++;
 
           // Wait between transactions to avoid nonce issues
-          await new Promise(resolve => setTimeout(resolve, 1000));
+          await this.clock.sleep(1000);
 
         } catch (error) {
           console.error(`❌ Error submitting transaction ${i + 1}:`, error);
@@ -0,0 +1,522 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SimplePriceBasedTradingService } = require('./simplePriceBasedTradingService');
+const { StateStore } = require('./stateStore');
+const { PriceHistory } = require('./priceHistory');
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const WALLET = '0x2222222222222222222222222222222222222222';
+const MANAGER = '0x3333333333333333333333333333333333333333';
+const ZERO = '0x0000000000000000000000000000000000000000';
+const GWEI = 1000000000n;
+
+/**
+ * Chain stand-in answering the reads a paper trade makes: getTokenInfo, tryBuy, trySell,
+ * balances and gas price. `market.tokensPerBNB` sets the curve price; `market.sellReverts` fails sell quotes.
+ */
+function createFakeChain(market) {
+  return {
+    getBalance: async () => 2n * 10n ** 18n,
+    getGasPrice: async () => 1n * GWEI,
+    readContract: async ({ functionName, args }) => {
+      if (functionName === 'getTokenInfo') {
+        return [2n, MANAGER, ZERO, 0n, 100n, 0n, 0n, 10n ** 26n, 8n * 10n ** 26n, 0n, 24n * 10n ** 18n, false];
+      }
+      if (functionName === 'tryBuy') {
+        const funds = args[2];
+        const fee = funds / 100n;
+        return [MANAGER, ZERO, (funds - fee) * market.tokensPerBNB, funds - fee, fee, funds, 0n, funds];
+      }
+      if (functionName === 'trySell') {
+        if (market.sellReverts) throw new Error('execution reverted');
+        const funds = args[1] / market.tokensPerBNB;
+        return [MANAGER, ZERO, funds, funds / 100n];
+      }
+      throw new Error(`unexpected read ${functionName}`);
+    }
+  };
+}
+
+function createService(t, { clock, market, saved = [] }) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'service-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const stateStore = new StateStore({ dir });
+  const service = new SimplePriceBasedTradingService({
+    clock,
+    publicClient: createFakeChain(market),
+    configSource: { load: () => null, save: config => saved.push(config) },
+    walletSource: { load: async () => [{ address: WALLET, encryptedPrivateKey: 'unused' }] },
+    stateStore,
+    priceHistory: new PriceHistory({ enabled: false })
+  });
+  service.config.paperTrading.latencyMs = 0;
+  return service;
+}
+
+/**
+ * Fake clock: sleeps advance it instantly, `advance` moves it between ticks
+ */
+function createClock(start = Date.parse('2024-06-01T00:00:00Z')) {
+  let now = start;
+  return {
+    now: () => now,
+    sleep: async ms => { now += ms; },
+    advance: ms => { now += ms; }
+  };
+}
+
+function createToken(clock) {
+  return {
+    tokenAddress: TOKEN,
+    matchedPattern: { name: 'fake', trading: { buyAmount: 0.1, maxSlippage: 10 } },
+    currentPriceUSD: 0.00001,
+    creationTime: new Date(clock.now() - 60000),
+    tradeCount: 0
+  };
+}
+
+test('config, wallets, journal and history come from the injected sources', async t => {
+  const clock = createClock();
+  const saved = [];
+  const service = createService(t, { clock, market: { tokensPerBNB: 1000n }, saved });
+
+  assert.strictEqual(service.config.trading.testMode, true);
+  service.saveConfig();
+  assert.strictEqual(saved.length, 1);
+
+  await service.loadAvailableWallets();
+  assert.deepStrictEqual(service.availableWallets.map(w => [w.address, w.balanceBNB]), [[WALLET, 2]]);
+  assert.strictEqual(service.priceHistory.enabled, false);
+});
+
+test('paper round trip is priced by the fake chain and stamped by the fake clock', async t => {
+  let now = Date.parse('2024-06-01T00:00:00Z');
+  const clock = { now: () => now };
+  const market = { tokensPerBNB: 1000n };
+  const service = createService(t, { clock, market });
+  await service.loadAvailableWallets();
+  const token = createToken(clock);
+  service.monitoredTokens.set(TOKEN, token);
+
+  await service.executeBuy(token);
+  assert.strictEqual(token.positionOpen, true);
+  assert.strictEqual(token.buyTransactionHash, `TEST_BUY_${now}`);
+  assert.strictEqual(token.buyTime.getTime(), now);
+  assert.strictEqual(token.paperPositionTokens, 99); // 0.1 BNB less the 1% fee at 1000 tokens/BNB
+  assert.strictEqual(token.positionTokens, 0);
+
+  // Price doubles; a minute later the position is sold
+  market.tokensPerBNB = 500n;
+  now += 60000;
+  await service.executeSell(token, { amountMode: 'all', reason: 'take_profit' });
+  assert.strictEqual(token.positionOpen, false);
+  assert.strictEqual(token.lastSellAttemptAt.getTime(), now);
+  assert.strictEqual(service.tradeStats.successfulSells, 1);
+
+  // Paper P&L stays out of the live ledger and risk accounting
+  const stats = service.getStats();
+  assert.ok(stats.paper.realizedPnlBNB > 0);
+  assert.strictEqual(stats.paper.tradesLastDay, 1); // The buy; sells are not counted
+  assert.strictEqual(stats.realizedPnlBNB, 0);
+  assert.strictEqual(stats.realizedPnlTotalBNB, 0);
+  assert.strictEqual(stats.tradesLastDay, 0);
+});
+
+test('a failed paper emergency sell leaves the position open', async t => {
+  const clock = createClock();
+  const market = { tokensPerBNB: 1000n };
+  const service = createService(t, { clock, market });
+  await service.loadAvailableWallets();
+  const token = createToken(clock);
+  service.monitoredTokens.set(TOKEN, token);
+  await service.executeBuy(token);
+
+  market.sellReverts = true;
+  assert.strictEqual(await service.flattenPosition(token, [1.5], 0), false);
+  assert.strictEqual(token.positionOpen, true);
+  assert.strictEqual(token.sellTransactionHash, undefined);
+  assert.strictEqual(service.monitoredTokens.has(TOKEN), true);
+
+  market.sellReverts = false;
+  assert.strictEqual(await service.flattenPosition(token, [1.5], 0), true);
+  assert.strictEqual(token.positionOpen, false);
+  assert.strictEqual(service.monitoredTokens.has(TOKEN), false);
+});
+
+test('the kill-switch file halts buys and flattens open positions until it is cleared', async t => {
+  const clock = createClock();
+  const service = createService(t, { clock, market: { tokensPerBNB: 1000n } });
+  await service.loadAvailableWallets();
+  const killSwitchFile = path.join(service.stateStore.dir, 'EMERGENCY_STOP');
+  service.config.safety.killSwitchFile = killSwitchFile;
+  const held = createToken(clock);
+  service.monitoredTokens.set(TOKEN, held);
+  await service.executeBuy(held);
+
+  service.checkEmergencyTriggers();
+  assert.strictEqual(service.emergencyStop.active, false);
+
+  fs.writeFileSync(killSwitchFile, '');
+  service.checkEmergencyTriggers();
+  await service.flattenPromise;
+  assert.strictEqual(held.positionOpen, false);
+  assert.strictEqual(service.emergencyStop.openPositions, 0);
+  assert.match(service.stateStore.get('meta', 'emergencyStop').reason, /kill-switch file/);
+
+  // No new buys while stopped
+  const candidate = { ...createToken(clock), tokenAddress: `0x${'4'.repeat(40)}`, matchedPattern: { name: 'fake', trading: { buyPriceThresholdUSD: 0, buyAmount: 0.1 } } };
+  service.monitoredTokens.set(candidate.tokenAddress, candidate);
+  await service.checkTradingOpportunities(candidate);
+  assert.ok(!candidate.positionOpen);
+
+  fs.unlinkSync(killSwitchFile);
+  service.clearEmergencyStop();
+  assert.strictEqual(service.stateStore.get('meta', 'emergencyStop'), undefined);
+  await service.checkTradingOpportunities(candidate);
+  assert.strictEqual(candidate.positionOpen, true);
+});
+
+test('scan cursor persistence is throttled on the injected clock', t => {
+  let now = Date.parse('2024-06-01T00:00:00Z');
+  const service = createService(t, { clock: { now: () => now }, market: { tokensPerBNB: 1000n } });
+
+  service.lastProcessedBlock = 100;
+  service.persistScanCursor();
+  service.lastProcessedBlock = 101;
+  service.persistScanCursor();
+  assert.strictEqual(service.stateStore.get('meta', 'lastProcessedBlock'), 100);
+
+  now += 5000;
+  service.persistScanCursor();
+  assert.strictEqual(service.stateStore.get('meta', 'lastProcessedBlock'), 101);
+});
+
+test('a scanner behind the head catches up in catchUpBlocksPerScan batches, then scans live', async t => {
+  const clock = createClock();
+  const service = createService(t, { clock, market: { tokensPerBNB: 1000n } });
+  let head = 112n;
+  service.publicClient.getBlockNumber = async () => head;
+  service.publicClient.getBlock = async ({ blockNumber }) => ({ hash: `0x${blockNumber}`, parentHash: `0x${blockNumber - 1n}` });
+  const scans = [];
+  const processed = [];
+  service.scanBlocksForTokenCreations = async (fromBlock, toBlock, { withBlockTimestamps }) => {
+    scans.push([fromBlock, toBlock, withBlockTimestamps]);
+    const tokenCreations = fromBlock === 101 ? [{ tokenAddress: TOKEN, blockTimestamp: new Date(clock.now() - 30000), timestamp: service.getCurrentTime() }] : [];
+    return { tokenCreations, scannedTo: toBlock };
+  };
+  service.processNewToken = async tokenCreation => processed.push(tokenCreation);
+  service.lastProcessedBlock = 100;
+
+  for (let i = 0; i < 3; i++) {
+    await service.scanForNewTokens();
+  }
+  assert.deepStrictEqual(scans, [[101, 105, true], [106, 110, true], [111, 112, true]]);
+  assert.strictEqual(service.isCatchingUp, true);
+  // Backfilled tokens are aged by their block time
+  assert.strictEqual(processed[0].timestamp.getTime(), clock.now() - 30000);
+
+  head = 113n;
+  await service.scanForNewTokens();
+  assert.deepStrictEqual(scans[3], [113, 113, false]);
+  assert.strictEqual(service.isCatchingUp, false);
+
+  // Blocks past maxLookbackBlocks are skipped
+  head = 5000n;
+  await service.scanForNewTokens();
+  assert.deepStrictEqual(scans[4], [3801, 3805, true]);
+});
+
+test('buy slippage is measured from the decision price, so it can stop the first wallet', async t => {
+  const clock = createClock();
+  const service = createService(t, { clock, market: { tokensPerBNB: 1000n } });
+  service.walletClientFactory = address => ({ account: { address } });
+  await service.loadAvailableWallets();
+  const token = createToken(clock);
+
+  // Decided at 0.0008 BNB per token; the curve now quotes 0.001
+  const result = await service.executeRealBuy(token, { maxSlippagePercent: 10, decisionPrice: { priceBNB: 0.0008, priceUSD: 0.48 } });
+  assert.strictEqual(result.code, 'SLIPPAGE_EXCEEDED');
+  assert.match(result.error, /price impact 25\.00%/);
+});
+
+test('a sell is halved until its quoted proceeds reach minSellProceedsRatio of the reference price', async t => {
+  const clock = createClock();
+  const service = createService(t, { clock, market: { tokensPerBNB: 1000n } });
+  const lastPrice = 10n ** 15n; // 0.001 BNB per token
+  const depth = 4000n * 10n ** 18n;
+  let quoteFails = false;
+  service.publicClient.readContract = async ({ functionName, args }) => {
+    assert.strictEqual(functionName, 'trySell');
+    if (quoteFails) throw new Error('execution reverted');
+    // Price impact grows with size: 1000 tokens fill at 75% of lastPrice, 250 at 93.75%
+    const atLastPrice = args[1] * lastPrice / 10n ** 18n;
+    return [MANAGER, ZERO, atLastPrice * (depth - args[1]) / depth, 0n];
+  };
+  const amount = 1000n * 10n ** 18n;
+
+  const sized = await service.sizeSellForMinProceeds(TOKEN, amount, lastPrice, 0.9, 4);
+  assert.deepStrictEqual([sized.amount, sized.parts, sized.ratio], [amount / 4n, 4, 0.9375]);
+
+  const capped = await service.sizeSellForMinProceeds(TOKEN, amount, lastPrice, 0.9, 2);
+  assert.strictEqual(capped.amount, 0n);
+  assert.match(capped.error, /ratio 0\.875 below minSellProceedsRatio 0\.9/);
+
+  quoteFails = true;
+  assert.match((await service.sizeSellForMinProceeds(TOKEN, amount, lastPrice, 0.9, 4)).error, /trySell quote failed/);
+});
+
+test('sell results follow the mined receipt: confirmed, reverted, not mined or failed', async t => {
+  const clock = createClock();
+  const service = createService(t, { clock, market: { tokensPerBNB: 1000n } });
+  const receipts = {
+    '0xa': { transactionHash: '0xa2', status: 'success', blockNumber: 50n }, // Mined as its gas-bumped replacement
+    '0xb': { transactionHash: '0xb', status: 'reverted', blockNumber: 51n },
+    '0xc': null
+  };
+  service.txWatcher.waitForMined = async hash => {
+    if (!(hash in receipts)) throw new Error('RPC down');
+    return receipts[hash];
+  };
+  const reconciled = [];
+  service.nonceManager.reconcile = async wallet => reconciled.push(wallet);
+  const sell = hash => service.waitForSellReceipt({ wallet: WALLET, hash, amount: 5n }, 1000);
+
+  const confirmed = await sell('0xa');
+  assert.deepStrictEqual([confirmed.status, confirmed.hash, confirmed.blockNumber], ['confirmed', '0xa2', 50]);
+  assert.strictEqual(confirmed.receipt, receipts['0xa']);
+  assert.strictEqual((await sell('0xb')).status, 'reverted');
+  assert.strictEqual((await sell('0xc')).status, 'timeout');
+  assert.deepStrictEqual(await sell('0xd'), { wallet: WALLET, hash: '0xd', amount: 5n, status: 'error', error: 'RPC down' });
+  assert.strictEqual(reconciled.length, 4);
+});
+
+test('a live sell with nothing confirmed keeps the position open and retries with more gas', async t => {
+  const clock = createClock();
+  const service = createService(t, { clock, market: { tokensPerBNB: 1000n } });
+  service.config.trading.testMode = false;
+  const token = { ...createToken(clock), positionOpen: true, buyPriceUSD: 0.00001, buyTime: service.getCurrentTime() };
+  service.monitoredTokens.set(TOKEN, token);
+  const multipliers = [];
+  const outcomes = [
+    { success: false, error: 'No sell confirmed (0x222222... timeout)', code: 'SELL_NOT_CONFIRMED', walletResults: [{ wallet: WALLET, hash: '0xa', amount: 5n, status: 'timeout' }] },
+    { success: true, transactionHash: '0xb', transactions: [], walletResults: [{ wallet: WALLET, hash: '0xb', amount: 5n, status: 'confirmed' }], partial: false }
+  ];
+  service.executeRealSell = async (_, options) => {
+    multipliers.push(options.gasPriceMultiplier);
+    return outcomes.shift();
+  };
+
+  await service.executeSell(token, { amountMode: 'all', reason: 'stop_loss' });
+  assert.strictEqual(token.positionOpen, true);
+  assert.strictEqual(token.sellRetryCount, 1);
+  assert.strictEqual(token.lastSellWalletResults[0].status, 'timeout');
+
+  clock.advance(5000); // sellCooldownSeconds
+  await service.executeSell(token, { amountMode: 'all', reason: 'stop_loss' });
+  assert.deepStrictEqual(multipliers, [1, 1.25]);
+  assert.strictEqual(token.positionOpen, false);
+  assert.strictEqual(token.sellTransactionHash, '0xb');
+  assert.strictEqual(token.sellRetryCount, 0);
+});
+
+test('a failed creation tx lookup keeps the scan cursor before its block', async t => {
+  const clock = createClock();
+  const service = createService(t, { clock, market: { tokensPerBNB: 1000n } });
+  const log = (blockNumber, token) => ({ blockNumber: BigInt(blockNumber), transactionHash: `0x${token}`, args: { token: `0x${token.repeat(40)}`, creator: WALLET } });
+  const lookups = [];
+  service.publicClient.getLogs = async () => [log(101, 'a'), log(102, 'b'), log(103, 'c')];
+  service.publicClient.getTransaction = async ({ hash }) => {
+    lookups.push(hash);
+    if (hash === '0xb') throw new Error('rate limited');
+    return { gasPrice: 5n * GWEI, gas: 2000000n };
+  };
+  service.publicClient.getBlock = async ({ blockNumber }) => ({ timestamp: blockNumber * 3n });
+
+  const { tokenCreations, scannedTo } = await service.scanLogsForTokenCreations(101, 103, { withBlockTimestamps: true });
+  assert.strictEqual(scannedTo, 101);
+  assert.deepStrictEqual(tokenCreations.map(creation => [creation.tokenAddress, creation.gasPriceGwei, creation.gasLimit]), [[`0x${'a'.repeat(40)}`, 5, 2000000]]);
+  assert.strictEqual(tokenCreations[0].blockTimestamp.getTime(), 303000);
+  assert.strictEqual(lookups.filter(hash => hash !== '0xb').length, 2); // One lookup per log, the failed one retried
+});
+
+test('a reorg rewinds the cursor to the common ancestor and orphans tokens whose creation is gone', async t => {
+  const clock = createClock();
+  const service = createService(t, { clock, market: { tokensPerBNB: 1000n } });
+  for (const block of [100, 101, 102]) {
+    service.blockHashTracker.record(block, `0x${block}`);
+  }
+  service.lastProcessedBlock = 102;
+  // Blocks 101 and 102 were replaced; the new 103 builds on the new 102
+  const canonical = { 100: '0x100', 101: '0x101b', 102: '0x102b' };
+  service.publicClient.getBlock = async ({ blockNumber }) => ({
+    hash: canonical[Number(blockNumber)],
+    parentHash: Number(blockNumber) === 103 ? '0x102b' : undefined
+  });
+  const receipts = { '0xkept': { status: 'success', blockNumber: 104n } };
+  service.publicClient.getTransactionReceipt = async ({ hash }) => {
+    if (!receipts[hash]) throw new Error('receipt not found');
+    return receipts[hash];
+  };
+  const token = (address, creationBlock, creationTxHash) => ({ ...createToken(clock), tokenAddress: address, creationBlock, creationTxHash });
+  const kept = token(`0x${'a'.repeat(40)}`, 101, '0xkept');
+  const dropped = token(`0x${'b'.repeat(40)}`, 102, '0xgone');
+  const held = { ...token(`0x${'c'.repeat(40)}`, 102, '0xgone'), positionOpen: true };
+  for (const monitored of [kept, dropped, held, token(TOKEN, 99, '0xold')]) {
+    service.monitoredTokens.set(monitored.tokenAddress, monitored);
+  }
+
+  const ancestor = await service.detectReorg(103);
+  assert.strictEqual(ancestor, 100);
+  await service.handleReorg(ancestor);
+
+  assert.strictEqual(service.lastProcessedBlock, 100);
+  assert.strictEqual(service.stateStore.get('meta', 'lastProcessedBlock'), 100);
+  assert.deepStrictEqual(service.blockHashTracker.numbersDescending(), [100]);
+  assert.strictEqual(kept.creationBlock, 104);
+  assert.strictEqual(service.monitoredTokens.has(dropped.tokenAddress), false);
+  assert.strictEqual(held.orphaned, true); // Kept monitored so the open position can exit
+  assert.strictEqual(service.monitoredTokens.has(held.tokenAddress), true);
+  assert.strictEqual(service.monitoredTokens.has(TOKEN), true);
+  assert.deepStrictEqual(service.stateStore.get('meta', 'blockHashes'), { 100: '0x100' });
+
+  // The held token's creation lands again on the new branch
+  await service.processNewToken({ tokenAddress: held.tokenAddress, blockNumber: 105n, transactionHash: '0xagain', gasPriceGwei: 5, gasLimit: 2000000 });
+  assert.strictEqual(held.orphaned, false);
+  assert.strictEqual(held.creationBlock, 105);
+  assert.strictEqual(service.orphanedTokens.has(held.tokenAddress), false);
+});
+
+test('config from an older install gets the new default sections and keys', t => {
+  const clock = createClock();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'service-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const service = new SimplePriceBasedTradingService({
+    clock,
+    publicClient: createFakeChain({ tokensPerBNB: 1000n }),
+    configSource: { load: () => ({ trading: { testMode: false, buyAmountBNB: 0.05 }, safety: { maxTradesPerHour: 3 } }), save: () => {} },
+    walletSource: { load: async () => [] },
+    stateStore: new StateStore({ dir }),
+    priceHistory: new PriceHistory({ enabled: false })
+  });
+
+  assert.strictEqual(service.config.trading.testMode, false);
+  assert.strictEqual(service.config.trading.buyAmountBNB, 0.05);
+  assert.deepStrictEqual(service.config.trading.minProceedsOverrideReasons, ['stop_loss', 'migration_guard']);
+  assert.strictEqual(service.config.safety.maxTradesPerHour, 3);
+  assert.ok(service.config.safety.killSwitchFile);
+  assert.ok(service.config.gas);
+});
+
+/**
+ * Paper position bought at $0.00001 on the fake clock, with the sell timers under test
+ */
+async function openPaperPosition(t, trading) {
+  const clock = createClock();
+  const service = createService(t, { clock, market: { tokensPerBNB: 1000n } });
+  await service.loadAvailableWallets();
+  const token = createToken(clock);
+  token.matchedPattern.trading = {
+    ...token.matchedPattern.trading,
+    holdTimeSeconds: 0,
+    firstSellThresholdPercent: 50,
+    secondSellThresholdPercent: 300,
+    stopLossFromPeakPercent: 40,
+    priceStagnationTimeoutSeconds: 3600,
+    longTermStagnationTimeoutSeconds: 7200,
+    ...trading
+  };
+  service.monitoredTokens.set(TOKEN, token);
+  await service.executeBuy(token);
+  token.lastPriceChange = service.getCurrentTime();
+  return { clock, service, token };
+}
+
+test('the stop loss waits out the post-buy grace period', async t => {
+  const { clock, service, token } = await openPaperPosition(t);
+  service.config.trading.postBuySellGraceSeconds = 10;
+
+  token.currentPriceUSD = 0.000005; // 50% below the peak
+  await service.checkTradingOpportunities(token);
+  assert.strictEqual(token.positionOpen, true);
+
+  clock.advance(9000);
+  await service.checkTradingOpportunities(token);
+  assert.strictEqual(token.positionOpen, true);
+
+  clock.advance(1000);
+  await service.checkTradingOpportunities(token);
+  assert.strictEqual(token.positionOpen, false);
+});
+
+test('take profit waits for the hold time', async t => {
+  const { clock, service, token } = await openPaperPosition(t, { holdTimeSeconds: 60 });
+
+  clock.advance(10000); // Past the grace period
+  token.currentPriceUSD = 0.000016; // First sell threshold is +50%
+  await service.checkTradingOpportunities(token);
+  assert.strictEqual(token.hasSoldHalf, false);
+
+  clock.advance(50000);
+  await service.checkTradingOpportunities(token);
+  assert.strictEqual(token.hasSoldHalf, true);
+  assert.strictEqual(token.positionOpen, true);
+});
+
+test('a price that stops moving exits after priceStagnationTimeoutSeconds', async t => {
+  const { clock, service, token } = await openPaperPosition(t, { priceStagnationTimeoutSeconds: 120 });
+
+  clock.advance(120000);
+  await service.checkTradingOpportunities(token);
+  assert.strictEqual(token.positionOpen, true);
+
+  clock.advance(1000);
+  await service.checkTradingOpportunities(token);
+  assert.strictEqual(token.positionOpen, false);
+  assert.strictEqual(token.lastSellAttemptAt.getTime(), clock.now());
+});
+
+test('a token below lowPriceRemovalUSD is dropped after lowPriceRemovalMinutes', async t => {
+  const clock = createClock();
+  const service = createService(t, { clock, market: { tokensPerBNB: 1000n } });
+  Object.assign(service.config.monitoring, { lowPriceRemovalUSD: 0.000001, lowPriceRemovalMinutes: 10, inactiveTimeoutMinutes: 30 });
+  const token = { ...createToken(clock), currentPriceUSD: 0.0000005, lastPriceUpdate: service.getCurrentTime() };
+  service.monitoredTokens.set(TOKEN, token);
+
+  await service.checkTokenRemoval(token);
+  clock.advance(9 * 60000);
+  await service.checkTokenRemoval(token);
+  assert.strictEqual(service.monitoredTokens.has(TOKEN), true);
+
+  // A recovery restarts the timer
+  token.currentPriceUSD = 0.000002;
+  await service.checkTokenRemoval(token);
+  token.currentPriceUSD = 0.0000005;
+  clock.advance(60000);
+  await service.checkTokenRemoval(token);
+  assert.strictEqual(service.monitoredTokens.has(TOKEN), true);
+
+  clock.advance(10 * 60000);
+  await service.checkTokenRemoval(token);
+  assert.strictEqual(service.monitoredTokens.has(TOKEN), false);
+});
+
+test('paper latency and RPC backoff wait on the injected clock', async t => {
+  const clock = createClock();
+  const start = clock.now();
+  const service = createService(t, { clock, market: { tokensPerBNB: 1000n } });
+  await service.loadAvailableWallets();
+  service.config.paperTrading.latencyMs = 1500;
+  const token = createToken(clock);
+  service.monitoredTokens.set(TOKEN, token);
+
+  await service.executeBuy(token);
+  assert.strictEqual(token.buyTime.getTime(), start + 1500);
+
+  service.rpcUrls = ['a', 'b', 'c'];
+  service.rotateRpc = () => {};
+  await assert.rejects(service.withRpcFailover(async () => { throw new Error('timeout'); }));
+  assert.strictEqual(clock.now(), start + 1500 + 300 + 600 + 900);
+});
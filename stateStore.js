@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Append-only state journal for the trading service
+ *
+ * Every change is written as one NDJSON line and replayed on load. Records live in
+ * named collections (tokens, traded, meta, ...) keyed by string; the last write for
+ * a key wins. Once the journal has grown by `compactAfterOps` lines it is rewritten
+ * with one line per live key.
+ */
+
+const DEFAULT_STATE_DIR = path.join(__dirname, 'data/state');
+
+class StateStore {
+  constructor(options = {}) {
+    this.dir = options.dir ? path.resolve(__dirname, options.dir) : DEFAULT_STATE_DIR;
+    this.filePath = path.join(this.dir, options.fileName || 'journal.ndjson');
+    this.compactAfterOps = Math.max(100, Number(options.compactAfterOps) || 5000);
+    this.enabled = options.enabled !== false;
+    this.collections = new Map();
+    this.opsSinceCompact = 0;
+  }
+
+  /**
+   * Replay the journal from disk into memory
+   */
+  load() {
+    this.collections = new Map();
+    this.opsSinceCompact = 0;
+    if (!this.enabled || !fs.existsSync(this.filePath)) {
+      return this;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    let skipped = 0;
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        this.applyRecord(JSON.parse(line));
+        this.opsSinceCompact++;
+      } catch (_) {
+        // A crash mid-write can leave a truncated last line behind
+        skipped++;
+      }
+    }
+    if (skipped > 0) {
+      console.log(`⚠️ Skipped ${skipped} unreadable state journal line(s)`);
+    }
+    return this;
+  }
+
+  applyRecord(record) {
+    if (!record || typeof record.c !== 'string' || typeof record.k !== 'string') {
+      throw new Error('Invalid journal record');
+    }
+    if (record.op === 'del') {
+      const collection = this.collections.get(record.c);
+      if (collection) collection.delete(record.k);
+      return;
+    }
+    this.getCollection(record.c).set(record.k, record.v);
+  }
+
+  getCollection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  get(collection, key) {
+    const entries = this.collections.get(collection);
+    return entries ? entries.get(key) : undefined;
+  }
+
+  entries(collection) {
+    const entries = this.collections.get(collection);
+    return entries ? Array.from(entries.entries()) : [];
+  }
+
+  values(collection) {
+    const entries = this.collections.get(collection);
+    return entries ? Array.from(entries.values()) : [];
+  }
+
+  set(collection, key, value) {
+    this.getCollection(collection).set(key, value);
+    this.write({ op: 'set', c: collection, k: key, v: value, t: Date.now() });
+  }
+
+  delete(collection, key) {
+    const entries = this.collections.get(collection);
+    if (!entries || !entries.has(key)) return;
+    entries.delete(key);
+    this.write({ op: 'del', c: collection, k: key, t: Date.now() });
+  }
+
+  /**
+   * View of the store with every collection name prefixed by `<prefix>.`, so a second
+   * ledger or risk manager (paper trading) can share the journal without sharing state
+   */
+  namespace(prefix) {
+    const name = collection => `${prefix}.${collection}`;
+    return {
+      get: (collection, key) => this.get(name(collection), key),
+      entries: collection => this.entries(name(collection)),
+      values: collection => this.values(name(collection)),
+      set: (collection, key, value) => this.set(name(collection), key, value),
+      delete: (collection, key) => this.delete(name(collection), key)
+    };
+  }
+
+  write(record) {
+    if (!this.enabled) return;
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+      this.opsSinceCompact++;
+      if (this.opsSinceCompact >= this.compactAfterOps) {
+        this.compact();
+      }
+    } catch (error) {
+      console.error('❌ Error writing state journal:', error.message);
+    }
+  }
+
+  /**
+   * Rewrite the journal with one line per live key (atomic via rename)
+   */
+  compact() {
+    if (!this.enabled) return;
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      const now = Date.now();
+      const lines = [];
+      for (const [collection, entries] of this.collections) {
+        for (const [key, value] of entries) {
+          lines.push(JSON.stringify({ op: 'set', c: collection, k: key, v: value, t: now }));
+        }
+      }
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, lines.length ? `${lines.join('\n')}\n` : '');
+      fs.renameSync(tmpPath, this.filePath);
+      this.opsSinceCompact = 0;
+    } catch (error) {
+      console.error('❌ Error compacting state journal:', error.message);
+    }
+  }
+}
+
+module.exports = { StateStore };
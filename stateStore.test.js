@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StateStore } = require('./stateStore');
+
+function createDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function journalLines(store) {
+  return fs.readFileSync(store.filePath, 'utf8').split('\n').filter(Boolean);
+}
+
+test('the journal replays to the last write per key, deletes included', t => {
+  const dir = createDir(t);
+  const store = new StateStore({ dir }).load();
+  store.set('tokens', '0xa', { price: 1 });
+  store.set('tokens', '0xa', { price: 2 });
+  store.set('tokens', '0xb', { price: 3 });
+  store.delete('tokens', '0xb');
+  store.set('meta', 'lastProcessedBlock', 100);
+
+  const reloaded = new StateStore({ dir }).load();
+  assert.deepStrictEqual(reloaded.entries('tokens'), [['0xa', { price: 2 }]]);
+  assert.strictEqual(reloaded.get('meta', 'lastProcessedBlock'), 100);
+  assert.strictEqual(reloaded.opsSinceCompact, 5);
+});
+
+test('a truncated last line from a crash is skipped', t => {
+  const dir = createDir(t);
+  const store = new StateStore({ dir }).load();
+  store.set('tokens', '0xa', { price: 1 });
+  fs.appendFileSync(store.filePath, '{"op":"set","c":"tokens","k":"0xb","v":{"pri');
+
+  const reloaded = new StateStore({ dir }).load();
+  assert.deepStrictEqual(reloaded.entries('tokens'), [['0xa', { price: 1 }]]);
+});
+
+test('the journal is compacted to one line per live key after compactAfterOps writes', t => {
+  const dir = createDir(t);
+  const store = new StateStore({ dir, compactAfterOps: 100 }).load();
+  for (let i = 0; i < 99; i++) {
+    store.set('meta', 'counter', i);
+  }
+  store.set('tokens', '0xa', { price: 1 });
+  assert.strictEqual(journalLines(store).length, 2);
+  assert.strictEqual(store.opsSinceCompact, 0);
+
+  store.delete('tokens', '0xa');
+  assert.strictEqual(journalLines(store).length, 3);
+
+  store.set('tokens', '0xb', { price: 2 });
+  const reloaded = new StateStore({ dir }).load();
+  assert.strictEqual(reloaded.get('meta', 'counter'), 98);
+  assert.deepStrictEqual(reloaded.entries('tokens'), [['0xb', { price: 2 }]]);
+  assert.ok(!fs.existsSync(`${store.filePath}.tmp`));
+});
+
+test('namespaced views share the journal but not the collections', t => {
+  const dir = createDir(t);
+  const store = new StateStore({ dir }).load();
+  const paper = store.namespace('paper');
+  store.set('risk', 'trades', [1]);
+  paper.set('risk', 'trades', [2]);
+
+  const reloaded = new StateStore({ dir }).load();
+  assert.deepStrictEqual(reloaded.get('risk', 'trades'), [1]);
+  assert.deepStrictEqual(reloaded.namespace('paper').get('risk', 'trades'), [2]);
+});
@@ -0,0 +1,225 @@
+/**
+ * BNB trade ledger with FIFO cost basis
+ *
+ * Every confirmed fill records the tokens moved and the BNB that actually left or
+ * reached the wallet, with gas and the four.meme trading fee broken out. Buys open
+ * lots per wallet and token; sells consume the oldest lots first, so partial closes
+ * realize P&L against the right cost. Amounts are BigInt wei / token units in memory
+ * and decimal strings in the state journal. Fills only guard against booking a
+ * transaction twice, so those older than `fillRetentionMs` are dropped unless an open lot
+ * still came from them.
+ */
+
+function toBNB(wei) {
+  return Number(wei) / 1e18;
+}
+
+function emptyTotals() {
+  return {
+    buys: 0,
+    sells: 0,
+    spentWei: 0n, // BNB paid into the curve (cost + fee), gas excluded
+    receivedWei: 0n, // BNB received from sells (after fee), gas excluded
+    gasWei: 0n,
+    feesWei: 0n,
+    realizedPnlWei: 0n
+  };
+}
+
+const TOTAL_AMOUNT_FIELDS = ['spentWei', 'receivedWei', 'gasWei', 'feesWei', 'realizedPnlWei'];
+const DEFAULT_FILL_RETENTION_MS = 2 * 24 * 60 * 60 * 1000; // Today's and yesterday's P&L window
+
+class TradeLedger {
+  constructor({ stateStore, fillRetentionMs = DEFAULT_FILL_RETENTION_MS, clock = { now: () => Date.now() } }) {
+    this.stateStore = stateStore;
+    this.clock = clock; // { now: () => ms }, stamps fills booked without an explicit time
+    this.fillRetentionMs = fillRetentionMs;
+    this.lots = new Map(); // "wallet:token" -> [{ tokens, costWei, txHash, at }], oldest first
+    this.totals = emptyTotals();
+  }
+
+  /**
+   * Reload lots and totals from the (already loaded) state store
+   */
+  load() {
+    this.lots = new Map();
+    for (const [key, saved] of this.stateStore.entries('lots')) {
+      const lots = (saved || []).map(lot => ({
+        ...lot,
+        tokens: BigInt(lot.tokens),
+        costWei: BigInt(lot.costWei)
+      }));
+      if (lots.length > 0) this.lots.set(key, lots);
+    }
+
+    const savedTotals = this.stateStore.get('ledger', 'totals');
+    this.totals = emptyTotals();
+    if (savedTotals) {
+      this.totals.buys = savedTotals.buys || 0;
+      this.totals.sells = savedTotals.sells || 0;
+      for (const field of TOTAL_AMOUNT_FIELDS) {
+        this.totals[field] = BigInt(savedTotals[field] || 0);
+      }
+    }
+  }
+
+  lotKey(wallet, tokenAddress) {
+    return `${wallet.toLowerCase()}:${tokenAddress.toLowerCase()}`;
+  }
+
+  hasFill(txHash) {
+    return this.stateStore.get('fills', txHash) !== undefined;
+  }
+
+  /**
+   * Open a lot from a confirmed buy; the lot's cost includes fee and gas
+   */
+  recordBuy({ txHash, wallet, tokenAddress, tokens, spentWei, gasWei = 0n, feeWei = 0n, at = this.clock.now() }) {
+    if (this.hasFill(txHash)) return { duplicate: true };
+
+    const key = this.lotKey(wallet, tokenAddress);
+    const lots = this.lots.get(key) || [];
+    lots.push({ tokens, costWei: spentWei + gasWei, txHash, at });
+    this.lots.set(key, lots);
+
+    this.totals.buys++;
+    this.totals.spentWei += spentWei;
+    this.totals.gasWei += gasWei;
+    this.totals.feesWei += feeWei;
+
+    this.saveFill({ side: 'buy', txHash, wallet, tokenAddress, tokens, bnbWei: spentWei, gasWei, feeWei, at });
+    this.saveLots(key);
+    this.saveTotals();
+    return { duplicate: false, costWei: spentWei + gasWei };
+  }
+
+  /**
+   * Close lots FIFO against a confirmed sell and realize P&L (proceeds - gas - cost basis)
+   */
+  recordSell({ txHash, wallet, tokenAddress, tokens, proceedsWei, gasWei = 0n, feeWei = 0n, at = this.clock.now() }) {
+    if (this.hasFill(txHash)) return { duplicate: true };
+
+    const key = this.lotKey(wallet, tokenAddress);
+    const lots = this.lots.get(key) || [];
+    let remaining = tokens;
+    let costBasisWei = 0n;
+    while (remaining > 0n && lots.length > 0) {
+      const lot = lots[0];
+      if (lot.tokens <= remaining) {
+        costBasisWei += lot.costWei;
+        remaining -= lot.tokens;
+        lots.shift();
+      } else {
+        const partCost = (lot.costWei * remaining) / lot.tokens;
+        costBasisWei += partCost;
+        lot.costWei -= partCost;
+        lot.tokens -= remaining;
+        remaining = 0n;
+      }
+    }
+    if (remaining > 0n) {
+      // Tokens the ledger never saw bought (e.g. transferred in); treated as zero cost
+      console.log(`⚠️ Ledger: ${toBNB(remaining).toFixed(2)} sold ${tokenAddress.slice(0, 8)}... tokens had no open lot in ${wallet.slice(0, 8)}...`);
+    }
+    if (lots.length > 0) {
+      this.lots.set(key, lots);
+    } else {
+      this.lots.delete(key);
+    }
+
+    const realizedPnlWei = proceedsWei - gasWei - costBasisWei;
+    this.totals.sells++;
+    this.totals.receivedWei += proceedsWei;
+    this.totals.gasWei += gasWei;
+    this.totals.feesWei += feeWei;
+    this.totals.realizedPnlWei += realizedPnlWei;
+
+    this.saveFill({ side: 'sell', txHash, wallet, tokenAddress, tokens, bnbWei: proceedsWei, gasWei, feeWei, costBasisWei, realizedPnlWei, at });
+    this.saveLots(key);
+    this.saveTotals();
+    this.pruneFills(at);
+    return { duplicate: false, costBasisWei, realizedPnlWei, realizedPnlBNB: toBNB(realizedPnlWei) };
+  }
+
+  /**
+   * Open tokens and remaining cost basis for a token across all wallets (or one wallet)
+   */
+  getOpenPosition(tokenAddress, wallet = null) {
+    const suffix = `:${tokenAddress.toLowerCase()}`;
+    const prefix = wallet ? `${wallet.toLowerCase()}:` : '';
+    let tokens = 0n;
+    let costWei = 0n;
+    for (const [key, lots] of this.lots) {
+      if (!key.endsWith(suffix) || !key.startsWith(prefix)) continue;
+      for (const lot of lots) {
+        tokens += lot.tokens;
+        costWei += lot.costWei;
+      }
+    }
+    return { tokens, costWei };
+  }
+
+  getSummary() {
+    let openCostWei = 0n;
+    for (const lots of this.lots.values()) {
+      for (const lot of lots) openCostWei += lot.costWei;
+    }
+    return {
+      ledgerBuys: this.totals.buys,
+      ledgerSells: this.totals.sells,
+      totalSpentBNB: toBNB(this.totals.spentWei),
+      totalReceivedBNB: toBNB(this.totals.receivedWei),
+      totalGasBNB: toBNB(this.totals.gasWei),
+      totalFeesBNB: toBNB(this.totals.feesWei),
+      realizedPnlBNB: toBNB(this.totals.realizedPnlWei),
+      openCostBasisBNB: toBNB(openCostWei)
+    };
+  }
+
+  saveFill(fill) {
+    const record = {};
+    for (const [field, value] of Object.entries(fill)) {
+      record[field] = typeof value === 'bigint' ? value.toString() : value;
+    }
+    this.stateStore.set('fills', fill.txHash, record);
+  }
+
+  /**
+   * Drop fills older than fillRetentionMs whose transaction opened no lot that is still open
+   */
+  pruneFills(now) {
+    const openLotHashes = new Set();
+    for (const lots of this.lots.values()) {
+      for (const lot of lots) openLotHashes.add(lot.txHash);
+    }
+    const cutoff = now - this.fillRetentionMs;
+    for (const [txHash, fill] of this.stateStore.entries('fills')) {
+      if (fill.at < cutoff && !openLotHashes.has(txHash)) {
+        this.stateStore.delete('fills', txHash);
+      }
+    }
+  }
+
+  saveLots(key) {
+    const lots = this.lots.get(key);
+    if (!lots) {
+      this.stateStore.delete('lots', key);
+      return;
+    }
+    this.stateStore.set('lots', key, lots.map(lot => ({
+      ...lot,
+      tokens: lot.tokens.toString(),
+      costWei: lot.costWei.toString()
+    })));
+  }
+
+  saveTotals() {
+    const record = { buys: this.totals.buys, sells: this.totals.sells };
+    for (const field of TOTAL_AMOUNT_FIELDS) {
+      record[field] = this.totals[field].toString();
+    }
+    this.stateStore.set('ledger', 'totals', record);
+  }
+}
+
+module.exports = { TradeLedger, toBNB };
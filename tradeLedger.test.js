@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StateStore } = require('./stateStore');
+const { TradeLedger } = require('./tradeLedger');
+
+const WALLET = '0x2222222222222222222222222222222222222222';
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const BNB = 10n ** 18n;
+
+function createLedger(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const ledger = new TradeLedger({ stateStore: new StateStore({ dir }).load() });
+  return { dir, ledger };
+}
+
+test('sells close the oldest lots first and realize P&L against their cost', t => {
+  const { ledger } = createLedger(t);
+  // 100 tokens for 1 BNB, then 100 for 2 BNB (cost includes gas)
+  ledger.recordBuy({ txHash: '0xb1', wallet: WALLET, tokenAddress: TOKEN, tokens: 100n, spentWei: BNB - 1000n, gasWei: 1000n, feeWei: BNB / 100n });
+  ledger.recordBuy({ txHash: '0xb2', wallet: WALLET, tokenAddress: TOKEN, tokens: 100n, spentWei: 2n * BNB, gasWei: 0n });
+
+  // 150 tokens: all of the first lot and half of the second, 1 + 1 BNB cost
+  const first = ledger.recordSell({ txHash: '0xs1', wallet: WALLET, tokenAddress: TOKEN, tokens: 150n, proceedsWei: 3n * BNB, gasWei: 0n });
+  assert.strictEqual(first.costBasisWei, 2n * BNB);
+  assert.strictEqual(first.realizedPnlWei, BNB);
+  assert.deepStrictEqual(ledger.getOpenPosition(TOKEN), { tokens: 50n, costWei: BNB });
+
+  const second = ledger.recordSell({ txHash: '0xs2', wallet: WALLET, tokenAddress: TOKEN, tokens: 50n, proceedsWei: BNB / 2n, gasWei: 0n });
+  assert.strictEqual(second.realizedPnlWei, -BNB / 2n);
+  assert.deepStrictEqual(ledger.getOpenPosition(TOKEN), { tokens: 0n, costWei: 0n });
+  assert.strictEqual(ledger.getSummary().realizedPnlBNB, 0.5);
+});
+
+test('a fill is booked once, and lots and totals survive a reload', t => {
+  const { dir, ledger } = createLedger(t);
+  ledger.recordBuy({ txHash: '0xb1', wallet: WALLET, tokenAddress: TOKEN, tokens: 100n, spentWei: BNB });
+  assert.deepStrictEqual(ledger.recordBuy({ txHash: '0xb1', wallet: WALLET, tokenAddress: TOKEN, tokens: 100n, spentWei: BNB }), { duplicate: true });
+  ledger.recordSell({ txHash: '0xs1', wallet: WALLET, tokenAddress: TOKEN, tokens: 40n, proceedsWei: BNB });
+  assert.strictEqual(ledger.recordSell({ txHash: '0xs1', wallet: WALLET, tokenAddress: TOKEN, tokens: 40n, proceedsWei: BNB }).duplicate, true);
+
+  const reloaded = new TradeLedger({ stateStore: new StateStore({ dir }).load() });
+  reloaded.load();
+  assert.deepStrictEqual(reloaded.getOpenPosition(TOKEN, WALLET), { tokens: 60n, costWei: BNB * 60n / 100n });
+  assert.strictEqual(reloaded.hasFill('0xs1'), true);
+  assert.strictEqual(reloaded.getSummary().ledgerBuys, 1);
+  assert.strictEqual(reloaded.getSummary().ledgerSells, 1);
+});
+
+test('tokens sold without an open lot count as zero cost', t => {
+  const { ledger } = createLedger(t);
+  const result = ledger.recordSell({ txHash: '0xs1', wallet: WALLET, tokenAddress: TOKEN, tokens: 10n, proceedsWei: BNB, gasWei: 100n });
+  assert.strictEqual(result.costBasisWei, 0n);
+  assert.strictEqual(result.realizedPnlWei, BNB - 100n);
+});
+
+test('fills past the retention window are pruned unless an open lot came from them', t => {
+  const { ledger } = createLedger(t);
+  const day = 24 * 60 * 60 * 1000;
+  ledger.recordBuy({ txHash: '0xb1', wallet: WALLET, tokenAddress: TOKEN, tokens: 100n, spentWei: BNB, at: 0 });
+  ledger.recordBuy({ txHash: '0xb2', wallet: WALLET, tokenAddress: TOKEN, tokens: 100n, spentWei: BNB, at: day });
+  ledger.recordSell({ txHash: '0xs1', wallet: WALLET, tokenAddress: TOKEN, tokens: 100n, proceedsWei: BNB, at: day });
+
+  ledger.recordSell({ txHash: '0xs2', wallet: WALLET, tokenAddress: TOKEN, tokens: 50n, proceedsWei: BNB, at: 4 * day });
+  assert.strictEqual(ledger.hasFill('0xb1'), false); // Its lot closed
+  assert.strictEqual(ledger.hasFill('0xs1'), false);
+  assert.strictEqual(ledger.hasFill('0xb2'), true); // Half of its lot is still open
+  assert.strictEqual(ledger.hasFill('0xs2'), true);
+});
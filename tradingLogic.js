@@ -1,15 +1,119 @@
 // Trading logic module with pattern-based decisions
 
-function shouldBuy(token, pattern, config) {
+// Sell reasons that go through even when the quote is under the proceeds limit: exits that must not wait for a better price
+const DEFAULT_MIN_PROCEEDS_OVERRIDE_REASONS = ['stop_loss', 'migration_guard'];
+
+// Bonding curve progress (0-100) from getTokenInfo: the further of BNB raised vs. target and tokens sold vs. offered
+function getCurveProgressPercent({ funds, maxFunds, offers, maxOffers, liquidityAdded }) {
+  if (liquidityAdded) {
+    return 100;
+  }
+  const progress = [];
+  if (maxFunds !== undefined && BigInt(maxFunds) > 0n) {
+    progress.push(Number(BigInt(funds) * 10000n / BigInt(maxFunds)) / 100);
+  }
+  if (maxOffers !== undefined && BigInt(maxOffers) > 0n) {
+    progress.push(Number((BigInt(maxOffers) - BigInt(offers)) * 10000n / BigInt(maxOffers)) / 100);
+  }
+  return progress.length > 0 ? Math.min(100, Math.max(...progress)) : null;
+}
+
+// Exit ahead of migration once curve progress or price crosses the pattern's (or config's) limits
+function checkMigrationGuard(token, pattern, config) {
+  const guard = {
+    ...(config.trading.migrationGuard || {}),
+    ...((pattern && pattern.trading && pattern.trading.migrationGuard) || {})
+  };
+  if (guard.enabled === false) {
+    return null;
+  }
+
+  const progress = token.curveProgressPercent;
+  const hasProgress = typeof progress === 'number';
+  const fullExitProgress = Number(guard.fullExitProgressPercent ?? 95);
+  const partialExitProgress = Number(guard.partialExitProgressPercent ?? 80);
+  const migrationPriceBNB = Number(guard.migrationPriceBNB ?? config.trading.migrationPriceBNB ?? 0);
+  const migrationPriceUSD = Number(guard.migrationPriceUSD ?? config.trading.migrationPriceUSD ?? 0);
+
+  const priceCrossed =
+    (migrationPriceBNB > 0 && token.currentPriceBNB >= migrationPriceBNB) ||
+    (migrationPriceUSD > 0 && token.currentPriceUSD >= migrationPriceUSD);
+  if (priceCrossed || (hasProgress && fullExitProgress > 0 && progress >= fullExitProgress)) {
+    return { shouldSell: true, amountMode: 'all', reason: 'migration_guard' };
+  }
+  if (hasProgress && partialExitProgress > 0 && progress >= partialExitProgress && !token.hasSoldHalf) {
+    return { shouldSell: true, amountMode: 'half', reason: 'migration_guard' };
+  }
+  return null;
+}
+
+// Fold one curve reading into the token: progress, funds raised, launch age and the funds
+// inflow per minute across the window (null until there are two samples in it)
+function applyCurveState(token, curve, now = new Date(), inflowWindowSeconds = 60) {
+  const nowMs = now.getTime();
+  if (curve.progressPercent !== null && curve.progressPercent !== undefined) {
+    token.curveProgressPercent = curve.progressPercent;
+  }
+  token.curveFundsRaisedBNB = curve.fundsRaisedBNB;
+  if (curve.launchTime > 0) {
+    token.launchTime = new Date(curve.launchTime * 1000);
+  }
+  if (token.launchTime) {
+    token.secondsSinceLaunch = Math.max(0, (nowMs - token.launchTime.getTime()) / 1000);
+  }
+
+  const windowMs = Math.max(1, Number(inflowWindowSeconds) || 60) * 1000;
+  const samples = (token.curveFundsSamples || []).filter(sample => nowMs - sample.at <= windowMs);
+  samples.push({ at: nowMs, fundsBNB: curve.fundsRaisedBNB });
+  token.curveFundsSamples = samples;
+  const elapsedMinutes = (nowMs - samples[0].at) / 60000;
+  token.curveInflowBNBPerMinute = samples.length > 1 && elapsedMinutes > 0
+    ? (curve.fundsRaisedBNB - samples[0].fundsBNB) / elapsedMinutes
+    : null;
+}
+
+// Seconds since the curve opened for trading (launchTime), falling back to the last computed value
+function getSecondsSinceLaunch(token, now = new Date()) {
+  if (token.launchTime) {
+    return Math.max(0, (now.getTime() - token.launchTime.getTime()) / 1000);
+  }
+  return typeof token.secondsSinceLaunch === 'number' ? token.secondsSinceLaunch : null;
+}
+
+// Optional pattern.trading.curve entry rules, e.g. { minProgressPercent: 30, maxSecondsSinceLaunch: 60 }
+// for "30% filled within 60 seconds". A rule whose metric is not known yet blocks the buy.
+function curveEntryAllowed(token, rules, now = new Date()) {
+  if (!rules) {
+    return true;
+  }
+  const progress = token.curveProgressPercent;
+  const inflow = token.curveInflowBNBPerMinute;
+  const secondsSinceLaunch = getSecondsSinceLaunch(token, now);
+  const known = value => typeof value === 'number';
+
+  if (rules.minProgressPercent !== undefined && !(known(progress) && progress >= rules.minProgressPercent)) return false;
+  if (rules.maxProgressPercent !== undefined && !(known(progress) && progress <= rules.maxProgressPercent)) return false;
+  if (rules.minFundsRaisedBNB !== undefined && !(known(token.curveFundsRaisedBNB) && token.curveFundsRaisedBNB >= rules.minFundsRaisedBNB)) return false;
+  if (rules.minInflowBNBPerMinute !== undefined && !(known(inflow) && inflow >= rules.minInflowBNBPerMinute)) return false;
+  if (rules.maxSecondsSinceLaunch !== undefined && !(known(secondsSinceLaunch) && secondsSinceLaunch <= rules.maxSecondsSinceLaunch)) return false;
+  return true;
+}
+
+// `now` lets replays run on a simulated clock
+function shouldBuy(token, pattern, config, now = new Date()) {
   if (!pattern || !pattern.trading) {
     return false;
   }
 
+  // Creation tx was reorged out of the canonical chain
+  if (token.orphaned) {
+    return false;
+  }
+
   const currentPriceUSD = token.currentPriceUSD;
   const buyThreshold = pattern.trading.buyPriceThresholdUSD;
   
   // Check buy delay - don't buy immediately after token creation
-  const now = new Date();
   const timeSinceCreation = (now.getTime() - token.creationTime.getTime()) / 1000;
   const buyDelaySeconds = pattern.trading.buyDelaySeconds || 0;
   
@@ -22,6 +126,15 @@ function shouldBuy(token, pattern, config) {
   if (token.buyAttempts >= maxBuyAttempts) {
     return false;
   }
+
+  // Don't buy what the migration guard would sell right away
+  if (checkMigrationGuard(token, pattern, config)) {
+    return false;
+  }
+
+  if (!curveEntryAllowed(token, pattern.trading.curve, now)) {
+    return false;
+  }
   
   // Only buy if:
   // 1. Price is above buy threshold
@@ -42,14 +155,13 @@ function shouldBuy(token, pattern, config) {
   );
 }
 
-function shouldSell(token, pattern, config) {
+function shouldSell(token, pattern, config, now = new Date()) {
   if (!pattern || !pattern.trading || !token.positionOpen) {
     return false;
   }
 
   const currentPriceUSD = token.currentPriceUSD;
   const buyPriceUSD = token.buyPriceUSD;
-  const now = new Date();
   
   // Require confirmed buy state
   if (!token.buyTime) {
@@ -60,6 +172,12 @@ function shouldSell(token, pattern, config) {
   if (((now.getTime() - token.buyTime.getTime()) / 1000) < graceSeconds) {
     return false;
   }
+
+  // Migration protection goes first: post-migration dumps outrun every other exit
+  const migrationSell = checkMigrationGuard(token, pattern, config);
+  if (migrationSell) {
+    return migrationSell;
+  }
   
   if (!buyPriceUSD || buyPriceUSD <= 0) {
     return false;
@@ -89,7 +207,11 @@ function shouldSell(token, pattern, config) {
     stagnation: token.lastPriceChange && 
       (now.getTime() - token.lastPriceChange.getTime()) / 1000 > tradingParams.priceStagnationTimeoutSeconds,
     longTermStagnation: token.lastPriceChange && 
-      (now.getTime() - token.lastPriceChange.getTime()) / 1000 > tradingParams.longTermStagnationTimeoutSeconds
+      (now.getTime() - token.lastPriceChange.getTime()) / 1000 > tradingParams.longTermStagnationTimeoutSeconds,
+    // Optional pattern.trading.curve.exitBelowInflowBNBPerMinute: buyers stopped coming in
+    curveInflowStall: tradingParams.curve && tradingParams.curve.exitBelowInflowBNBPerMinute !== undefined &&
+      typeof token.curveInflowBNBPerMinute === 'number' && timeSinceBuy >= minHoldTime &&
+      token.curveInflowBNBPerMinute < tradingParams.curve.exitBelowInflowBNBPerMinute
   };
 
   // Determine sell type
@@ -113,6 +235,10 @@ function shouldSell(token, pattern, config) {
     return { shouldSell: true, amountMode: 'all', reason: 'long_term_stagnation' };
   }
 
+  if (sellConditions.curveInflowStall) {
+    return { shouldSell: true, amountMode: 'all', reason: 'curve_inflow_stall' };
+  }
+
   return false;
 }
 
@@ -133,9 +259,20 @@ function getTradingParams(pattern) {
     secondSellThresholdPercent: pattern.trading.secondSellThresholdPercent,
     stopLossFromPeakPercent: pattern.trading.stopLossFromPeakPercent,
     priceStagnationTimeoutSeconds: pattern.trading.priceStagnationTimeoutSeconds,
-    longTermStagnationTimeoutSeconds: pattern.trading.longTermStagnationTimeoutSeconds
+    longTermStagnationTimeoutSeconds: pattern.trading.longTermStagnationTimeoutSeconds,
+    migrationGuard: pattern.trading.migrationGuard,
+    curve: pattern.trading.curve
   };
 }
 
-module.exports = { shouldBuy, shouldSell, getTradingParams };
+module.exports = {
+  shouldBuy,
+  shouldSell,
+  getTradingParams,
+  getCurveProgressPercent,
+  applyCurveState,
+  getSecondsSinceLaunch,
+  checkMigrationGuard,
+  DEFAULT_MIN_PROCEEDS_OVERRIDE_REASONS
+};
 
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { shouldBuy, shouldSell, checkMigrationGuard, getCurveProgressPercent, applyCurveState } = require('./tradingLogic');
+
+const pattern = {
+  trading: {
+    buyPriceThresholdUSD: 0.00001,
+    firstSellThresholdPercent: 100,
+    secondSellThresholdPercent: 200,
+    stopLossFromPeakPercent: 50,
+    priceStagnationTimeoutSeconds: 600,
+    longTermStagnationTimeoutSeconds: 3600
+  }
+};
+const config = { trading: { postBuySellGraceSeconds: 0, migrationGuard: { partialExitProgressPercent: 80, fullExitProgressPercent: 95 } } };
+
+function openPosition(fields = {}) {
+  return {
+    creationTime: new Date(Date.now() - 600000),
+    buyTime: new Date(Date.now() - 60000),
+    positionOpen: true,
+    buyPriceUSD: 0.00002,
+    currentPriceUSD: 0.00002,
+    currentPriceBNB: 0.00000003,
+    ...fields
+  };
+}
+
+test('curve progress is the further of funds raised and tokens sold; a migrated curve is 100%', () => {
+  assert.strictEqual(getCurveProgressPercent({ funds: 6n, maxFunds: 24n, offers: 300n, maxOffers: 1000n }), 70);
+  assert.strictEqual(getCurveProgressPercent({ funds: 0n, maxFunds: 24n, liquidityAdded: true }), 100);
+  assert.strictEqual(getCurveProgressPercent({ funds: 0n, maxFunds: 0n }), null);
+});
+
+test('the migration guard sells half at the partial threshold, then all at the full threshold', () => {
+  assert.strictEqual(shouldSell(openPosition({ curveProgressPercent: 79 }), pattern, config), false);
+  assert.deepStrictEqual(shouldSell(openPosition({ curveProgressPercent: 85 }), pattern, config), { shouldSell: true, amountMode: 'half', reason: 'migration_guard' });
+  assert.strictEqual(checkMigrationGuard(openPosition({ curveProgressPercent: 85, hasSoldHalf: true }), pattern, config), null);
+  assert.deepStrictEqual(shouldSell(openPosition({ curveProgressPercent: 96, hasSoldHalf: true }), pattern, config), { shouldSell: true, amountMode: 'all', reason: 'migration_guard' });
+});
+
+test('a migration price crossing exits in full; the pattern can override or disable the guard', () => {
+  const priced = { trading: { ...config.trading, migrationPriceBNB: 0.00000003 } };
+  assert.deepStrictEqual(checkMigrationGuard(openPosition(), pattern, priced), { shouldSell: true, amountMode: 'all', reason: 'migration_guard' });
+
+  const relaxed = { trading: { ...pattern.trading, migrationGuard: { partialExitProgressPercent: 90 } } };
+  assert.strictEqual(checkMigrationGuard(openPosition({ curveProgressPercent: 85 }), relaxed, config), null);
+  const disabled = { trading: { ...pattern.trading, migrationGuard: { enabled: false } } };
+  assert.strictEqual(checkMigrationGuard(openPosition({ curveProgressPercent: 99 }), disabled, priced), null);
+});
+
+test('no buy into a token the migration guard would sell', () => {
+  const candidate = { creationTime: new Date(Date.now() - 600000), currentPriceUSD: 0.00002, buyAttempts: 0 };
+  assert.strictEqual(shouldBuy({ ...candidate, curveProgressPercent: 50 }, pattern, config), true);
+  assert.strictEqual(shouldBuy({ ...candidate, curveProgressPercent: 85 }, pattern, config), false);
+});
+
+test('curve entry rules block the buy until each metric is known and within limits', () => {
+  const curvePattern = { trading: { ...pattern.trading, curve: { minProgressPercent: 30, maxSecondsSinceLaunch: 60, minInflowBNBPerMinute: 1 } } };
+  const candidate = { creationTime: new Date(Date.now() - 600000), currentPriceUSD: 0.00002, buyAttempts: 0, curveProgressPercent: 40, curveInflowBNBPerMinute: 2 };
+
+  assert.strictEqual(shouldBuy(candidate, curvePattern, config), false); // Launch age unknown
+  assert.strictEqual(shouldBuy({ ...candidate, launchTime: new Date(Date.now() - 30000) }, curvePattern, config), true);
+  assert.strictEqual(shouldBuy({ ...candidate, launchTime: new Date(Date.now() - 90000) }, curvePattern, config), false);
+  assert.strictEqual(shouldBuy({ ...candidate, launchTime: new Date(Date.now() - 30000), curveProgressPercent: 20 }, curvePattern, config), false);
+  assert.strictEqual(shouldBuy({ ...candidate, launchTime: new Date(Date.now() - 30000), curveInflowBNBPerMinute: null }, curvePattern, config), false);
+});
+
+test('an open position exits once curve inflow drops under exitBelowInflowBNBPerMinute', () => {
+  const curvePattern = { trading: { ...pattern.trading, curve: { exitBelowInflowBNBPerMinute: 0.5 } } };
+  assert.strictEqual(shouldSell(openPosition({ curveInflowBNBPerMinute: 1 }), curvePattern, config), false);
+  assert.deepStrictEqual(shouldSell(openPosition({ curveInflowBNBPerMinute: 0.2 }), curvePattern, config), { shouldSell: true, amountMode: 'all', reason: 'curve_inflow_stall' });
+});
+
+test('curve readings give launch age and the funds inflow over the window', () => {
+  const start = Date.parse('2024-06-01T00:00:00Z');
+  const token = {};
+  applyCurveState(token, { progressPercent: 10, fundsRaisedBNB: 2, launchTime: start / 1000 - 30 }, new Date(start));
+  assert.strictEqual(token.secondsSinceLaunch, 30);
+  assert.strictEqual(token.curveInflowBNBPerMinute, null); // One sample is no rate
+
+  applyCurveState(token, { progressPercent: null, fundsRaisedBNB: 3, launchTime: 0 }, new Date(start + 30000));
+  assert.strictEqual(token.curveProgressPercent, 10); // An unknown progress keeps the last one
+  assert.strictEqual(token.curveInflowBNBPerMinute, 2);
+
+  // Samples older than the window drop out of the rate
+  applyCurveState(token, { progressPercent: 20, fundsRaisedBNB: 4, launchTime: 0 }, new Date(start + 90000));
+  assert.strictEqual(token.curveInflowBNBPerMinute, 1);
+  assert.strictEqual(token.curveFundsSamples.length, 2);
+});
@@ -0,0 +1,156 @@
+const { decodeErrorResult, ExecutionRevertedError, InsufficientFundsError } = require('viem');
+const { TOKEN_MANAGER_ERRORS_ABI } = require('./abis');
+
+/**
+ * Pre-flight simulation of transactions with revert reason decoding
+ *
+ * Every buy, sell and approve is run through eth_call against the pending block
+ * before it is broadcast. Reverts are decoded (Error(string), Panic(uint256), custom
+ * errors in TOKEN_MANAGER_ERRORS_ABI plus those of a configured contract ABI, else the
+ * raw selector) and classified into a stable error code, using the token's curve state
+ * from getTokenInfo where the revert message alone is ambiguous. A call that failed
+ * without the node rejecting the transaction (no revert data, no funds check) is
+ * SIMULATION_FAILED: the simulation did not run, so it says nothing about the transaction.
+ */
+
+const PANIC_REASONS = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow/underflow',
+  0x12: 'division by zero',
+  0x32: 'array index out of bounds'
+};
+
+// Checked in order against the lowercased revert reason / RPC message, custom error
+// names split into words (TradingNotStarted -> "trading not started")
+const REVERT_PATTERNS = [
+  { code: 'INSUFFICIENT_FUNDS', pattern: /insufficient funds|insufficient balance for transfer/ },
+  { code: 'MIGRATED', pattern: /migrat|liquidity added|added liquidity|pancake|trading closed/ },
+  { code: 'TRADING_NOT_STARTED', pattern: /not start|not launched|not open|launch ?time|too early/ },
+  { code: 'EXCEEDS_MAX_OFFERS', pattern: /max ?offers|exceeds? (max|offer|supply)|sold out|insufficient offers|over limit/ },
+  { code: 'SLIPPAGE', pattern: /slippage|min ?amount|min ?funds|too little|insufficient output/ },
+  { code: 'INSUFFICIENT_ALLOWANCE', pattern: /allowance/ },
+  { code: 'INSUFFICIENT_TOKEN_BALANCE', pattern: /transfer amount exceeds balance|burn amount exceeds balance|insufficient token|erc20 insufficient balance/ }
+];
+
+/**
+ * Pull the revert data (0x-prefixed hex) out of a viem error chain
+ */
+function findRevertData(error) {
+  let found = null;
+  const visit = err => {
+    if (!err || found) return;
+    const data = err.data && typeof err.data === 'object' ? err.data.data : err.data;
+    if (typeof data === 'string' && /^0x[0-9a-f]{8}/i.test(data)) {
+      found = data;
+    }
+  };
+  if (typeof error?.walk === 'function') {
+    error.walk(err => {
+      visit(err);
+      return false;
+    });
+  }
+  for (let err = error; err && !found; err = err.cause) {
+    visit(err);
+  }
+  return found;
+}
+
+/**
+ * True when the node answered the call with a revert or a failed funds check, as opposed
+ * to the request itself failing (timeout, rate limit, dropped connection, ...)
+ */
+function isCallRejection(error) {
+  return Boolean(findRevertData(error)) || hasCause(error, ExecutionRevertedError) || hasCause(error, InsufficientFundsError);
+}
+
+function hasCause(error, ErrorClass) {
+  for (let err = error; err; err = err.cause) {
+    if (err instanceof ErrorClass) return true;
+  }
+  return false;
+}
+
+/**
+ * TOKEN_MANAGER_ERRORS_ABI plus the custom errors of a contract ABI (e.g. the verified
+ * TokenManager ABI from BscScan); other entries are ignored
+ */
+function buildErrorAbi(contractAbi = []) {
+  const known = new Set(TOKEN_MANAGER_ERRORS_ABI.map(entry => entry.name));
+  const extra = (Array.isArray(contractAbi) ? contractAbi : [])
+    .filter(entry => entry && entry.type === 'error' && !known.has(entry.name));
+  return [...TOKEN_MANAGER_ERRORS_ABI, ...extra];
+}
+
+function decodeRevert(error, errorAbi = TOKEN_MANAGER_ERRORS_ABI) {
+  const data = findRevertData(error);
+  if (!data) {
+    return { reason: error?.details || error?.shortMessage || error?.message || 'unknown error', selector: null };
+  }
+  try {
+    const decoded = decodeErrorResult({ abi: errorAbi, data });
+    if (decoded.errorName === 'Panic') {
+      const panicCode = Number(decoded.args[0]);
+      return { reason: `panic: ${PANIC_REASONS[panicCode] || `0x${panicCode.toString(16)}`}`, selector: data.slice(0, 10) };
+    }
+    if (decoded.errorName === 'Error') {
+      return { reason: String(decoded.args[0]), selector: data.slice(0, 10) };
+    }
+    // Known custom error: its name carries the meaning, arguments help when reading logs
+    return { reason: `${decoded.errorName}(${(decoded.args || []).map(String).join(', ')})`, selector: data.slice(0, 10) };
+  } catch (_) {
+    // Custom error we have no ABI for; report the selector so it can be looked up
+    return { reason: `custom error ${data.slice(0, 10)}`, selector: data.slice(0, 10) };
+  }
+}
+
+/**
+ * Map a revert to an error code; curve state fills in when the message is not recognizable
+ */
+function classifyRevert(reason, { action, tokenInfo, now = Date.now() } = {}) {
+  const text = String(reason || '').replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  const match = REVERT_PATTERNS.find(entry => entry.pattern.test(text));
+  if (match) return match.code;
+
+  if (tokenInfo) {
+    if (tokenInfo.liquidityAdded) return 'MIGRATED';
+    if (tokenInfo.launchTime && Number(tokenInfo.launchTime) * 1000 > now) return 'TRADING_NOT_STARTED';
+    if (action === 'buy' && tokenInfo.offers !== undefined && BigInt(tokenInfo.offers) === 0n) return 'EXCEEDS_MAX_OFFERS';
+  }
+  return 'REVERTED';
+}
+
+/**
+ * eth_call the transaction against the pending block; `context.errorAbi` replaces the
+ * default error ABI. Resolves to { success: true } or { success: false, code, error, selector }.
+ */
+async function simulateTransaction(publicClient, request, context = {}) {
+  try {
+    await publicClient.call({
+      account: request.account,
+      to: request.to,
+      value: request.value,
+      data: request.data,
+      gas: request.gas,
+      gasPrice: request.gasPrice,
+      blockTag: 'pending'
+    });
+    return { success: true };
+  } catch (error) {
+    const { reason, selector } = decodeRevert(error, context.errorAbi);
+    let code = 'SIMULATION_FAILED';
+    if (hasCause(error, InsufficientFundsError)) {
+      code = 'INSUFFICIENT_FUNDS';
+    } else if (isCallRejection(error)) {
+      code = classifyRevert(reason, context);
+    }
+    return {
+      success: false,
+      code,
+      error: reason,
+      selector
+    };
+  }
+}
+
+module.exports = { simulateTransaction, classifyRevert, decodeRevert, isCallRejection, buildErrorAbi };
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { encodeErrorResult, BaseError, ExecutionRevertedError, InsufficientFundsError } = require('viem');
+const { simulateTransaction, classifyRevert, decodeRevert, buildErrorAbi } = require('./txSimulator');
+const { TOKEN_MANAGER_ERRORS_ABI } = require('./abis');
+
+const WALLET = '0x2222222222222222222222222222222222222222';
+const MANAGER = '0x3333333333333333333333333333333333333333';
+
+function revertingClient(data) {
+  return {
+    call: async () => {
+      const error = new Error('execution reverted');
+      error.data = data;
+      throw error;
+    }
+  };
+}
+
+test('custom errors from the TokenManager error ABI are decoded by name', async () => {
+  const data = encodeErrorResult({
+    abi: TOKEN_MANAGER_ERRORS_ABI,
+    errorName: 'ERC20InsufficientAllowance',
+    args: [MANAGER, 0n, 1000n]
+  });
+  const result = await simulateTransaction(revertingClient(data), { account: WALLET, to: MANAGER, data: '0x' }, { action: 'sell' });
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.code, 'INSUFFICIENT_ALLOWANCE');
+  assert.strictEqual(result.error, `ERC20InsufficientAllowance(${MANAGER}, 0, 1000)`);
+});
+
+test('unknown custom errors are reported by selector', async () => {
+  const result = await simulateTransaction(revertingClient('0xdeadbeef'), { account: WALLET, to: MANAGER, data: '0x' }, { action: 'buy' });
+
+  assert.strictEqual(result.code, 'REVERTED');
+  assert.strictEqual(result.selector, '0xdeadbeef');
+  assert.strictEqual(result.error, 'custom error 0xdeadbeef');
+});
+
+test('Error(string) and Panic reverts are decoded', () => {
+  const message = encodeErrorResult({
+    abi: [{ type: 'error', name: 'Error', inputs: [{ name: 'message', type: 'string' }] }],
+    errorName: 'Error',
+    args: ['Slippage']
+  });
+  const panic = encodeErrorResult({
+    abi: [{ type: 'error', name: 'Panic', inputs: [{ name: 'code', type: 'uint256' }] }],
+    errorName: 'Panic',
+    args: [0x11n]
+  });
+
+  assert.deepStrictEqual(decodeRevert({ data: message }), { reason: 'Slippage', selector: '0x08c379a0' });
+  assert.strictEqual(decodeRevert({ cause: { data: { data: panic } } }).reason, 'panic: arithmetic overflow/underflow');
+});
+
+test('custom errors of a configured contract ABI are decoded and classified by their words', async () => {
+  const contractAbi = [
+    { type: 'function', name: 'buyToken', inputs: [], outputs: [] },
+    { type: 'error', name: 'TradingNotStarted', inputs: [{ name: 'launchTime', type: 'uint256' }] }
+  ];
+  const errorAbi = buildErrorAbi(contractAbi);
+  assert.strictEqual(errorAbi.filter(entry => entry.name === 'buyToken').length, 0);
+  const data = encodeErrorResult({ abi: errorAbi, errorName: 'TradingNotStarted', args: [1700000000n] });
+
+  const result = await simulateTransaction(revertingClient(data), { account: WALLET, to: MANAGER, data: '0x' }, { action: 'buy', errorAbi });
+  assert.strictEqual(result.error, 'TradingNotStarted(1700000000)');
+  assert.strictEqual(result.code, 'TRADING_NOT_STARTED');
+});
+
+test('revert reasons map to codes, with curve state deciding unclear ones', () => {
+  assert.strictEqual(classifyRevert('insufficient funds for gas * price + value'), 'INSUFFICIENT_FUNDS');
+  assert.strictEqual(classifyRevert('ERC20InsufficientBalance(0x1, 0, 5)'), 'INSUFFICIENT_TOKEN_BALANCE');
+  assert.strictEqual(classifyRevert('ERC20: transfer amount exceeds balance'), 'INSUFFICIENT_TOKEN_BALANCE');
+  assert.strictEqual(classifyRevert('MaxOffersExceeded()'), 'EXCEEDS_MAX_OFFERS');
+  assert.strictEqual(classifyRevert('Slippage'), 'SLIPPAGE');
+
+  assert.strictEqual(classifyRevert('GW', { action: 'buy', tokenInfo: { liquidityAdded: true } }), 'MIGRATED');
+  assert.strictEqual(classifyRevert('GW', { action: 'buy', tokenInfo: { launchTime: 4102444800n } }), 'TRADING_NOT_STARTED');
+  assert.strictEqual(classifyRevert('GW', { action: 'buy', tokenInfo: { launchTime: 1n, offers: 0n } }), 'EXCEEDS_MAX_OFFERS');
+  assert.strictEqual(classifyRevert('GW', { action: 'sell', tokenInfo: { launchTime: 1n, offers: 0n } }), 'REVERTED');
+});
+
+test('a call that failed without revert data is SIMULATION_FAILED; node rejections are classified', async () => {
+  const failingClient = error => ({ call: async () => { throw error; } });
+  const request = { account: WALLET, to: MANAGER, data: '0x' };
+
+  const transport = await simulateTransaction(failingClient(new Error('socket hang up')), request, { action: 'buy' });
+  assert.strictEqual(transport.code, 'SIMULATION_FAILED');
+
+  // A node error whose message happens to look like a revert reason is still not a revert
+  const misleading = await simulateTransaction(failingClient(new Error('upstream says: slippage service unavailable')), request, { action: 'buy' });
+  assert.strictEqual(misleading.code, 'SIMULATION_FAILED');
+
+  const emptyRevert = new BaseError('call failed', { cause: new ExecutionRevertedError() });
+  assert.strictEqual((await simulateTransaction(failingClient(emptyRevert), request, { action: 'sell', tokenInfo: { liquidityAdded: true } })).code, 'MIGRATED');
+
+  const noFunds = new BaseError('call failed', { cause: new InsufficientFundsError() });
+  assert.strictEqual((await simulateTransaction(failingClient(noFunds), request, { action: 'buy' })).code, 'INSUFFICIENT_FUNDS');
+});
@@ -0,0 +1,237 @@
+/**
+ * Watches submitted transactions and replaces them when they get stuck
+ *
+ * A transaction and every replacement sent on its nonce form a chain, keyed by the
+ * first hash. If none of the chain's transactions is mined within `replaceAfterMs`,
+ * the same request is re-broadcast on the same nonce with the gas price bumped by
+ * `gasBumpPercent`, up to `maxReplacements` times and never above `maxGasPriceGwei`.
+ * A chain can also be cancelled with a 0 BNB self-transfer on its nonce. Chains are
+ * recorded in the state journal under `txChains`.
+ */
+
+const GWEI = 1000000000n;
+const MIN_BUMP_PERCENT = 10; // Nodes reject replacements priced less than 10% higher
+const CHAIN_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const SYSTEM_CLOCK = { now: () => Date.now(), sleep: ms => new Promise(resolve => setTimeout(resolve, ms)) };
+
+class TxWatcher {
+  constructor({ getPublicClient, nonceManager, stateStore, getConfig, clock = SYSTEM_CLOCK }) {
+    this.getPublicClient = getPublicClient;
+    this.nonceManager = nonceManager;
+    this.stateStore = stateStore;
+    this.getConfig = getConfig; // Read on every use so config updates apply live
+    this.clock = clock; // { now: () => ms, sleep: ms => Promise }, the service's clock
+    this.chains = new Map(); // any hash in a chain -> live chain
+  }
+
+  settings() {
+    const config = this.getConfig() || {};
+    return {
+      replaceAfterMs: Math.max(1000, Number(config.replaceAfterMs) || 15000),
+      gasBumpPercent: Math.max(MIN_BUMP_PERCENT, Number(config.gasBumpPercent) || 15),
+      maxGasPriceGwei: Number(config.maxGasPriceGwei) || 20,
+      maxReplacements: Math.max(0, Number(config.maxReplacements ?? 3)),
+      pollIntervalMs: Math.max(250, Number(config.pollIntervalMs) || 1000)
+    };
+  }
+
+  /**
+   * Send a transaction through the nonce manager and start a replacement chain for it
+   */
+  async send({ walletClient, label, request, gasPrice, replaceStuck = false }) {
+    const address = walletClient.account.address;
+    let usedNonce = null;
+    const hash = await this.nonceManager.send(address, label, nonce => {
+      usedNonce = nonce;
+      return walletClient.sendTransaction({ ...request, account: walletClient.account, gasPrice, nonce });
+    }, { replaceStuck });
+
+    const chain = {
+      id: hash,
+      wallet: address,
+      nonce: usedNonce,
+      label,
+      status: 'pending',
+      attempts: [{ hash, kind: 'original', gasPrice, at: this.clock.now() }],
+      walletClient,
+      request
+    };
+    this.chains.set(hash, chain);
+    this.pruneRecorded();
+    this.record(chain);
+    return hash;
+  }
+
+  /**
+   * Wait until any transaction of the chain is mined, replacing it while it sits pending.
+   * Resolves to the mined receipt, or null once timeoutMs passes without one.
+   */
+  async waitForMined(hash, { timeoutMs = 60000 } = {}) {
+    const chain = this.chains.get(hash);
+    const client = this.getPublicClient();
+    if (!chain) {
+      // Not sent through the watcher; plain wait
+      try {
+        return await client.waitForTransactionReceipt({ hash, timeout: timeoutMs });
+      } catch (error) {
+        if (error?.name === 'WaitForTransactionReceiptTimeoutError') return null;
+        throw error;
+      }
+    }
+
+    const { replaceAfterMs, pollIntervalMs } = this.settings();
+    const deadline = this.clock.now() + timeoutMs;
+    let replaceAt = this.clock.now() + replaceAfterMs;
+    while (true) {
+      const receipt = await this.findReceipt(chain);
+      if (receipt) {
+        this.finish(chain, receipt);
+        return receipt;
+      }
+      if (this.clock.now() >= deadline) {
+        return null;
+      }
+      if (this.clock.now() >= replaceAt && chain.status === 'pending') {
+        await this.replace(chain);
+        replaceAt = this.clock.now() + replaceAfterMs;
+      }
+      await this.clock.sleep(pollIntervalMs);
+    }
+  }
+
+  async findReceipt(chain) {
+    const client = this.getPublicClient();
+    // Newest first: the latest replacement is the most likely to be mined
+    for (const attempt of [...chain.attempts].reverse()) {
+      try {
+        return await client.getTransactionReceipt({ hash: attempt.hash });
+      } catch (_) {
+        // Not mined (or not known) yet
+      }
+    }
+    return null;
+  }
+
+  bumpedGasPrice(chain) {
+    const { gasBumpPercent } = this.settings();
+    const highest = chain.attempts.reduce((max, attempt) => (attempt.gasPrice > max ? attempt.gasPrice : max), 0n);
+    return (highest * BigInt(100 + Math.ceil(gasBumpPercent))) / 100n + 1n;
+  }
+
+  /**
+   * Re-broadcast the chain's request on its nonce with a higher gas price
+   */
+  async replace(chain) {
+    const { maxReplacements, maxGasPriceGwei } = this.settings();
+    const replacements = chain.attempts.length - 1;
+    const gasPrice = this.bumpedGasPrice(chain);
+    const label = `${chain.label} ${chain.wallet.slice(0, 8)}... nonce ${chain.nonce}`;
+
+    if (replacements >= maxReplacements) {
+      return;
+    }
+    if (gasPrice > BigInt(Math.round(maxGasPriceGwei * 1e9))) {
+      console.log(`⛽ Not bumping ${label}: ${this.formatGwei(gasPrice)} gwei is over maxGasPriceGwei ${maxGasPriceGwei}`);
+      chain.status = 'capped';
+      this.record(chain);
+      return;
+    }
+
+    try {
+      const hash = await chain.walletClient.sendTransaction({
+        ...chain.request,
+        account: chain.walletClient.account,
+        gasPrice,
+        nonce: chain.nonce
+      });
+      this.addAttempt(chain, hash, 'bump', gasPrice);
+      console.log(`⛽ Replaced stuck ${label} at ${this.formatGwei(gasPrice)} gwei (${replacements + 1}/${maxReplacements}): ${hash}`);
+    } catch (error) {
+      // Usually "nonce too low": one of the earlier attempts was just mined
+      console.log(`⚠️ Replacement of ${label} failed: ${error.shortMessage || error.message}`);
+    }
+  }
+
+  /**
+   * Cancel a pending chain with a 0 BNB self-transfer on the same nonce
+   */
+  async cancel(hash) {
+    const chain = this.chains.get(hash);
+    if (!chain || chain.status === 'mined' || chain.status === 'cancelled') {
+      return { success: false, error: 'No pending transaction chain for this hash' };
+    }
+
+    const gasPrice = this.bumpedGasPrice(chain);
+    try {
+      const cancelHash = await chain.walletClient.sendTransaction({
+        account: chain.walletClient.account,
+        to: chain.wallet,
+        value: 0n,
+        gas: 21000n,
+        gasPrice,
+        nonce: chain.nonce
+      });
+      this.addAttempt(chain, cancelHash, 'cancel', gasPrice);
+      chain.status = 'cancelling';
+      this.record(chain);
+      console.log(`🚫 Cancel sent for ${chain.label} ${chain.wallet.slice(0, 8)}... nonce ${chain.nonce}: ${cancelHash}`);
+      return { success: true, transactionHash: cancelHash };
+    } catch (error) {
+      return { success: false, error: error.shortMessage || error.message };
+    }
+  }
+
+  addAttempt(chain, hash, kind, gasPrice) {
+    chain.attempts.push({ hash, kind, gasPrice, at: this.clock.now() });
+    this.chains.set(hash, chain);
+    this.nonceManager.markSubmitted(chain.wallet, chain.nonce, hash, chain.label);
+    this.record(chain);
+  }
+
+  finish(chain, receipt) {
+    const mined = chain.attempts.find(attempt => attempt.hash === receipt.transactionHash);
+    chain.status = mined && mined.kind === 'cancel' ? 'cancelled' : 'mined';
+    chain.minedHash = receipt.transactionHash;
+    chain.minedStatus = receipt.status;
+    for (const attempt of chain.attempts) {
+      this.nonceManager.complete(chain.wallet, attempt.hash);
+      this.chains.delete(attempt.hash);
+    }
+    this.record(chain);
+  }
+
+  record(chain) {
+    this.stateStore.set('txChains', chain.id, {
+      wallet: chain.wallet,
+      nonce: chain.nonce,
+      label: chain.label,
+      status: chain.status,
+      minedHash: chain.minedHash || null,
+      minedStatus: chain.minedStatus || null,
+      attempts: chain.attempts.map(attempt => ({
+        hash: attempt.hash,
+        kind: attempt.kind,
+        gasPriceGwei: this.formatGwei(attempt.gasPrice),
+        at: new Date(attempt.at).toISOString()
+      }))
+    });
+  }
+
+  /**
+   * Drop recorded chains older than the retention window
+   */
+  pruneRecorded(now = this.clock.now()) {
+    for (const [id, recorded] of this.stateStore.entries('txChains')) {
+      const first = recorded && recorded.attempts && recorded.attempts[0];
+      if (first && now - new Date(first.at).getTime() > CHAIN_RETENTION_MS) {
+        this.stateStore.delete('txChains', id);
+      }
+    }
+  }
+
+  formatGwei(wei) {
+    return (Number(wei) / Number(GWEI)).toFixed(2);
+  }
+}
+
+module.exports = { TxWatcher };
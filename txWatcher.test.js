@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StateStore } = require('./stateStore');
+const { NonceManager } = require('./nonceManager');
+const { TxWatcher } = require('./txWatcher');
+
+const WALLET = '0x2222222222222222222222222222222222222222';
+const GWEI = 1000000000n;
+
+/**
+ * Watcher on a fake chain and clock: sleeps advance the clock, `mined` maps hash -> receipt
+ */
+function createWatcher(t, config = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watcher-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  let now = Date.parse('2024-06-01T00:00:00Z');
+  const clock = { now: () => now, sleep: async ms => { now += ms; } };
+  const mined = new Map();
+  const sent = [];
+  const walletClient = {
+    account: { address: WALLET },
+    sendTransaction: async request => {
+      sent.push(request);
+      return `0x${sent.length}`;
+    }
+  };
+  const watcher = new TxWatcher({
+    getPublicClient: () => ({
+      getTransactionReceipt: async ({ hash }) => {
+        if (!mined.has(hash)) throw new Error('receipt not found');
+        return mined.get(hash);
+      }
+    }),
+    nonceManager: new NonceManager({ getTransactionCount: async () => 7, getTransaction: async hash => ({ hash }), clock }),
+    stateStore: new StateStore({ dir }).load(),
+    getConfig: () => ({ replaceAfterMs: 15000, gasBumpPercent: 15, maxGasPriceGwei: 20, maxReplacements: 2, pollIntervalMs: 1000, ...config }),
+    clock
+  });
+  return { watcher, walletClient, mined, sent, clock };
+}
+
+test('a stuck transaction is re-sent on its nonce with more gas, and the mined replacement is returned', async t => {
+  const { watcher, walletClient, mined, sent, clock } = createWatcher(t);
+  const start = clock.now();
+  const hash = await watcher.send({ walletClient, label: 'sell', request: { to: WALLET, data: '0x' }, gasPrice: 5n * GWEI });
+
+  // The replacement, sent after 15s, is the one that gets mined
+  mined.set('0x2', { transactionHash: '0x2', status: 'success' });
+  const receipt = await watcher.waitForMined(hash, { timeoutMs: 60000 });
+
+  assert.strictEqual(receipt.transactionHash, '0x2');
+  assert.deepStrictEqual(sent.map(request => [request.nonce, request.gasPrice]), [[7, 5n * GWEI], [7, 5750000001n]]);
+  assert.ok(clock.now() - start >= 15000);
+  assert.strictEqual(watcher.stateStore.get('txChains', hash).status, 'mined');
+});
+
+test('waiting ends at the timeout on the injected clock; replacements stop at maxReplacements', async t => {
+  const { watcher, walletClient, sent, clock } = createWatcher(t);
+  const start = clock.now();
+  const hash = await watcher.send({ walletClient, label: 'buy', request: { to: WALLET, value: 1n }, gasPrice: 5n * GWEI });
+
+  assert.strictEqual(await watcher.waitForMined(hash, { timeoutMs: 60000 }), null);
+  assert.strictEqual(clock.now() - start, 60000);
+  assert.strictEqual(sent.length, 3); // The original and two replacements
+});
+
+test('a bump over maxGasPriceGwei is not sent', async t => {
+  const { watcher, walletClient, sent } = createWatcher(t, { maxGasPriceGwei: 5.5 });
+  const hash = await watcher.send({ walletClient, label: 'buy', request: { to: WALLET, value: 1n }, gasPrice: 5n * GWEI });
+
+  assert.strictEqual(await watcher.waitForMined(hash, { timeoutMs: 30000 }), null);
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(watcher.stateStore.get('txChains', hash).status, 'capped');
+});
+
+test('cancel sends a 0 BNB self-transfer on the same nonce and a mined cancel ends the chain', async t => {
+  const { watcher, walletClient, mined, sent } = createWatcher(t);
+  const hash = await watcher.send({ walletClient, label: 'buy', request: { to: '0x3333333333333333333333333333333333333333', value: 5n }, gasPrice: 5n * GWEI });
+
+  const result = await watcher.cancel(hash);
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(sent[1], { account: walletClient.account, to: WALLET, value: 0n, gas: 21000n, gasPrice: 5750000001n, nonce: 7 });
+
+  mined.set(result.transactionHash, { transactionHash: result.transactionHash, status: 'success' });
+  const receipt = await watcher.waitForMined(hash, { timeoutMs: 5000 });
+  assert.strictEqual(receipt.transactionHash, result.transactionHash);
+  assert.strictEqual(watcher.stateStore.get('txChains', hash).status, 'cancelled');
+  assert.strictEqual((await watcher.cancel(hash)).success, false);
+});